@@ -0,0 +1,103 @@
+// Service worker: keeps the app shell available offline and receives files shared to the
+// installed app from other apps (Web Share Target, see manifest.webmanifest).
+// Shared files wait in SHARE_CACHE until the upload page picks them up (src/lib/shareTarget.js).
+
+const SHELL_CACHE = 'file-share-shell-v2';
+const SHARE_CACHE = 'file-share-shared';
+const SHELL_URLS = ['/', '/manifest.webmanifest', '/icons/icon.svg'];
+
+// Vite names build assets after their contents, so a cached copy never goes stale
+const isAsset = (url) => url.pathname.startsWith('/assets/');
+
+// The page itself plus the scripts and styles it links; chunks loaded later are cached on first use
+const precacheShell = async () => {
+  const cache = await caches.open(SHELL_CACHE);
+  await cache.addAll(SHELL_URLS);
+  const html = await (await cache.match('/')).text();
+  const assets = [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map(match => match[1]);
+  await cache.addAll(assets);
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(precacheShell());
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith('file-share-shell-') && key !== SHELL_CACHE)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Each shared file becomes a cached response under /shared/<index>, its name in a header
+const receiveShare = async (request) => {
+  const data = await request.formData();
+  const cache = await caches.open(SHARE_CACHE);
+  await Promise.all((await cache.keys()).map(key => cache.delete(key)));
+
+  const files = data.getAll('files').filter(file => typeof file !== 'string');
+  await Promise.all(files.map((file, index) => cache.put(`/shared/${index}`, new Response(file, {
+    headers: {
+      'Content-Type': file.type || 'application/octet-stream',
+      'X-Filename': encodeURIComponent(file.name),
+      'X-Last-Modified': String(file.lastModified || Date.now()),
+    },
+  }))));
+
+  // Apps that share a link or some text send it instead of files
+  const text = [data.get('title'), data.get('text'), data.get('url')].filter(Boolean).join('\n');
+  if (text) {
+    await cache.put('/shared/text', new Response(text, { headers: { 'Content-Type': 'text/plain' } }));
+  }
+  return Response.redirect('/?shared=1', 303);
+};
+
+// Keeps the copy in the background; the page gets the response straight away
+const keepCopy = (event, key, response) => {
+  const copy = response.clone();
+  event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.put(key, copy)));
+};
+
+const cacheFirst = async (event) => {
+  const cached = await caches.match(event.request);
+  if (cached) return cached;
+  const response = await fetch(event.request);
+  if (response.ok) keepCopy(event, event.request, response);
+  return response;
+};
+
+// Every page load refreshes the cached shell, so it always names assets that are cached too
+const networkFirstPage = async (event) => {
+  try {
+    const response = await fetch(event.request);
+    if (response.ok && !response.redirected && response.headers.get('Content-Type')?.includes('text/html')) {
+      keepCopy(event, '/', response);
+    }
+    return response;
+  } catch {
+    return caches.match('/');
+  }
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (request.method === 'POST' && url.pathname === '/share-target') {
+    event.respondWith(receiveShare(request));
+    return;
+  }
+
+  // Pages come from the network; the cached shell only stands in when offline.
+  // Build assets come from the cache; everything else goes straight to the network.
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirstPage(event));
+  } else if (request.method === 'GET' && isAsset(url)) {
+    event.respondWith(cacheFirst(event));
+  }
+});
@@ -0,0 +1,161 @@
+// Development stand-in for the signaling relay used by direct transfers (src/api/signaling.js).
+// Plain Node, no dependencies: `npm run signaling`, then run the app with `npm run dev`.
+//
+// Browsers send { type: 'join', room } first. After that every message is forwarded to the other
+// browser in the room, and the relay adds { type: 'peer-joined' }, { type: 'peer-left' } and
+// { type: 'room-full' }. Nothing is stored: file data never passes through here.
+import { createServer } from 'node:http'
+import { createHash } from 'node:crypto'
+
+const PORT = Number(process.env.PORT) || 8787
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11'
+const MAX_MESSAGE_SIZE = 64 * 1024 // offers and answers are a few kilobytes
+const ROOM_SIZE = 2
+
+const OPCODES = { continuation: 0x0, text: 0x1, close: 0x8, ping: 0x9, pong: 0xa }
+
+const rooms = new Map() // room id -> Set of clients
+
+const encodeFrame = (opcode, payload = Buffer.alloc(0)) => {
+  const length = payload.length
+  let header
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length])
+  } else if (length < 65536) {
+    header = Buffer.alloc(4)
+    header[1] = 126
+    header.writeUInt16BE(length, 2)
+  } else {
+    header = Buffer.alloc(10)
+    header[1] = 127
+    header.writeBigUInt64BE(BigInt(length), 2)
+  }
+  header[0] = 0x80 | opcode
+  return Buffer.concat([header, payload])
+}
+
+// Takes every complete frame off the front of `buffer` and returns what is left over
+const decodeFrames = (buffer, onFrame) => {
+  let offset = 0
+  while (buffer.length - offset >= 2) {
+    const first = buffer[offset]
+    const second = buffer[offset + 1]
+    let length = second & 0x7f
+    let headerLength = 2
+    if (length === 126) {
+      if (buffer.length - offset < 4) break
+      length = buffer.readUInt16BE(offset + 2)
+      headerLength = 4
+    } else if (length === 127) {
+      if (buffer.length - offset < 10) break
+      length = Number(buffer.readBigUInt64BE(offset + 2))
+      headerLength = 10
+    }
+    const maskLength = second & 0x80 ? 4 : 0
+    const frameLength = headerLength + maskLength + length
+    if (length > MAX_MESSAGE_SIZE) throw new Error('Message too large')
+    if (buffer.length - offset < frameLength) break
+
+    const payload = Buffer.from(buffer.subarray(offset + headerLength + maskLength, offset + frameLength))
+    if (maskLength) {
+      const mask = buffer.subarray(offset + headerLength, offset + headerLength + 4)
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4]
+    }
+    onFrame({ fin: (first & 0x80) !== 0, opcode: first & 0x0f, payload })
+    offset += frameLength
+  }
+  return buffer.subarray(offset)
+}
+
+const send = (client, message) => {
+  if (!client.socket.destroyed) client.socket.write(encodeFrame(OPCODES.text, Buffer.from(JSON.stringify(message))))
+}
+
+const others = (client) => [...(rooms.get(client.room) || [])].filter(other => other !== client)
+
+const leave = (client) => {
+  const room = rooms.get(client.room)
+  if (!room || !room.delete(client)) return
+  room.forEach(other => send(other, { type: 'peer-left' }))
+  if (room.size === 0) rooms.delete(client.room)
+  console.log(`left ${client.room} (${room.size} in room)`)
+}
+
+const handleMessage = (client, text) => {
+  let message
+  try {
+    message = JSON.parse(text)
+  } catch {
+    return
+  }
+
+  if (client.room === null) {
+    if (message.type !== 'join' || typeof message.room !== 'string' || !message.room) return
+    const room = rooms.get(message.room) || new Set()
+    if (room.size >= ROOM_SIZE) {
+      send(client, { type: 'room-full' })
+      return
+    }
+    client.room = message.room
+    room.forEach(other => send(other, { type: 'peer-joined' }))
+    room.add(client)
+    rooms.set(client.room, room)
+    console.log(`joined ${client.room} (${room.size} in room)`)
+    return
+  }
+
+  others(client).forEach(other => send(other, message))
+}
+
+const server = createServer((request, response) => {
+  response.writeHead(426, { 'Content-Type': 'text/plain' })
+  response.end('File Share signaling relay: connect with a WebSocket.\n')
+})
+
+server.on('upgrade', (request, socket) => {
+  const key = request.headers['sec-websocket-key']
+  if (request.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n')
+    return
+  }
+  const accept = createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64')
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '',
+    '',
+  ].join('\r\n'))
+
+  const client = { socket, room: null }
+  let pending = Buffer.alloc(0)
+  let fragments = []
+
+  socket.on('data', (data) => {
+    try {
+      pending = decodeFrames(Buffer.concat([pending, data]), ({ fin, opcode, payload }) => {
+        if (opcode === OPCODES.close) {
+          socket.end(encodeFrame(OPCODES.close))
+        } else if (opcode === OPCODES.ping) {
+          socket.write(encodeFrame(OPCODES.pong, payload))
+        } else if (opcode === OPCODES.text || opcode === OPCODES.continuation) {
+          fragments.push(payload)
+          if (fin) {
+            const text = Buffer.concat(fragments).toString('utf8')
+            fragments = []
+            handleMessage(client, text)
+          }
+        }
+      })
+    } catch {
+      socket.destroy()
+    }
+  })
+  socket.on('close', () => leave(client))
+  socket.on('error', () => socket.destroy())
+})
+
+server.listen(PORT, () => {
+  console.log(`Signaling relay listening on ws://localhost:${PORT}`)
+})
@@ -1,55 +1,225 @@
 import React, { useState, useRef, useEffect } from 'react';
-
-// Simple Router Component
-const Router = ({ children }) => {
-  const [currentPath, setCurrentPath] = useState(window.location.pathname);
-
-  useEffect(() => {
-    const handlePopState = () => {
-      setCurrentPath(window.location.pathname);
-    };
-
-    window.addEventListener('popstate', handlePopState);
-    return () => window.removeEventListener('popstate', handlePopState);
-  }, []);
-
-  const navigate = (path) => {
-    window.history.pushState({}, '', path);
-    setCurrentPath(path);
-  };
-
-  return React.Children.map(children, child => 
-    React.cloneElement(child, { currentPath, navigate })
-  );
-};
-
-const Route = ({ path, component: Component, currentPath, navigate, exact = false }) => {
-  const isMatch = exact ? currentPath === path : currentPath.startsWith(path);
-  return isMatch ? <Component navigate={navigate} /> : null;
+import { completeUpload, toShareUrl } from './api/client';
+import { describeError } from './api/errors';
+import { ensureServerAwake } from './api/health';
+import { isSignalingAvailable } from './api/signaling';
+import { useUploadQueue } from './hooks/useUploadQueue';
+import { useServerStatus } from './hooks/useServerStatus';
+import { validateFiles, describeRules, getAcceptAttribute } from './lib/validation';
+import { formatFileSize, formatDuration, formatRelativeTime, formatTimeSpan } from './lib/format';
+import { buildLocaleFragment } from './lib/i18n';
+import { useI18n } from './hooks/useI18n';
+import { useThrottledAnnouncement } from './hooks/useThrottledAnnouncement';
+import { useBrand } from './hooks/useBrand';
+import { localizeBrandText } from './lib/brand';
+import { SHARE_DEFAULTS, PEER_TRANSFER } from './config';
+import { fromFileList, fromDataTransfer } from './lib/folders';
+import { generateLinkKey, buildKeyFragment } from './lib/crypto';
+import { buildDigestFragment } from './lib/hash';
+import { copyText, shareLink } from './lib/clipboard';
+import { takeSharedItems } from './lib/shareTarget';
+import { addToHistory } from './lib/history';
+import FileTree from './components/FileTree';
+import DownloadPage from './components/DownloadPage';
+import PeerDownloadPage from './components/PeerDownloadPage';
+import NotFoundPage from './components/NotFoundPage';
+import HistoryPage from './components/HistoryPage';
+import QrCodePanel from './components/QrCodePanel';
+import ShareOptions from './components/ShareOptions';
+import ServerStatusIndicator from './components/ServerStatusIndicator';
+import LanguagePicker from './components/LanguagePicker';
+import ThemeToggle from './components/ThemeToggle';
+import ImageOptions from './components/ImageOptions';
+import SnippetEditor from './components/SnippetEditor';
+import PeerSendPanel from './components/PeerSendPanel';
+import { readClipboard } from './lib/paste';
+import { isProcessableImage } from './lib/imageProcessing';
+import { Router, Route, Link } from './router';
+
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// "in 1 day", "after the first download", "after 5 downloads or in 6 hours, whichever comes first"
+const describeLifetime = ({ expiresAt, maxDownloads }, t, locale) => {
+  const expiry = expiresAt ? formatRelativeTime((expiresAt - Date.now()) / 1000, locale) : null;
+  const limit = maxDownloads === 1
+    ? t('upload.lifetime.firstDownload')
+    : maxDownloads ? t('upload.lifetime.downloads', { count: maxDownloads }) : null;
+  if (limit && expiry) return t('upload.lifetime.whicheverFirst', { limit, expiry });
+  return limit || expiry;
 };
 
 // File Upload Service Component
-const FileUploadService = ({ navigate }) => {
-  const [selectedFiles, setSelectedFiles] = useState([]);
-  const [isUploading, setIsUploading] = useState(false);
-  const [uploadProgress, setUploadProgress] = useState(0);
+const FileUploadService = ({ navigate, query }) => {
   const [result, setResult] = useState(null);
   const [showQR, setShowQR] = useState(false);
-  const [qrLoading, setQrLoading] = useState(false);
   const [copySuccess, setCopySuccess] = useState(false);
+  const [compareContents, setCompareContents] = useState(false);
+  const [skippedDuplicates, setSkippedDuplicates] = useState([]);
+  const [encrypt, setEncrypt] = useState(false);
+  const [encryptMode, setEncryptMode] = useState('link'); // link: key in the URL fragment, passphrase: PBKDF2
+  const [passphrase, setPassphrase] = useState('');
+  const [shareOptions, setShareOptions] = useState(SHARE_DEFAULTS);
+  const [isWaitingForServer, setIsWaitingForServer] = useState(false);
+  const [snippet, setSnippet] = useState(null); // { id, text } while the snippet editor is open
+  const [peerFiles, setPeerFiles] = useState(null); // [{ file, path }] while sending directly
+  const server = useServerStatus({ check: true });
+  const { locale, t } = useI18n();
+  const brand = useBrand();
+  const encryptionRef = useRef(null);
   const fileInputRef = useRef(null);
+  const folderInputRef = useRef(null);
   const uploadAreaRef = useRef(null);
+  const resultRef = useRef(null);
+
+  // What the backend gets to know about the share, with the form upload or the completion request
+  const getShareRequest = () => ({
+    expiresIn: shareOptions.expiresIn,
+    maxDownloads: shareOptions.burnAfterReading ? 1 : shareOptions.maxDownloads,
+    burnAfterReading: shareOptions.burnAfterReading,
+    message: shareOptions.message.trim(),
+  });
+
+  // Called by the queue once every file has been uploaded.
+  // uploaded: the form upload's response, which already created the share (see useUploadQueue)
+  const finishUpload = async (entries, uploaded) => {
+    try {
+      const shareRequest = getShareRequest();
+      const { maxDownloads } = shareRequest;
+      const encryption = encryptionRef.current;
+      const response = uploaded || await completeUpload(entries.map(entry => entry.uploadId), {
+        ...shareRequest,
+        // Digests of the plaintext would tell the server about encrypted contents, so those stay in the link only
+        checksums: encryption ? undefined : Object.fromEntries(entries.map(entry => [entry.uploadId, entry.hash])),
+      });
 
-  const handleFiles = (files) => {
-    const fileArray = Array.from(files);
-    setSelectedFiles(fileArray);
+      const backendDownloadLink = response.downloadLink || response.url || response.link;
+      // The fragment never reaches the server, so the key stays between sender and recipient.
+      // It also carries the checksums, so downloads can be verified whatever the backend stores,
+      // and the sender's language, which recipients see by default.
+      const fragment = [
+        encryption && buildKeyFragment(encryption),
+        buildDigestFragment(entries.map(entry => ({ path: entry.relativePath, sha256: entry.hash }))),
+        buildLocaleFragment(locale),
+      ].filter(Boolean).join('&');
+      const frontendDownloadUrl = `${toShareUrl(backendDownloadLink)}#${fragment}`;
+
+      const share = {
+        downloadUrl: frontendDownloadUrl,
+        encryption: encryption?.type || null,
+        // Prefer what the backend settled on; fall back to what was asked for
+        expiresAt: response.expiresAt ? Date.parse(response.expiresAt) : Date.now() + shareOptions.expiresIn * 1000,
+        maxDownloads: response.maxDownloads !== undefined ? response.maxDownloads : maxDownloads,
+      };
+
+      setResult({
+        type: 'success',
+        ...share,
+        backendUrl: backendDownloadLink,
+        files: response.files || entries.map(entry => ({ name: entry.file.name })),
+        checksums: entries.map(entry => ({ name: entry.relativePath, sha256: entry.hash })),
+        response: response
+      });
+      addToHistory({
+        ...share,
+        files: entries.map(entry => ({ name: entry.relativePath, size: entry.file.size })),
+      });
+
+      reset();
+      encryptionRef.current = null;
+      if (fileInputRef.current) {
+        fileInputRef.current.value = '';
+      }
+
+    } catch (error) {
+      setResult({
+        type: 'error',
+        error: describeError(error)
+      });
+    }
+  };
+
+  const {
+    entries: selectedFiles,
+    isRunning: isUploading,
+    resumable,
+    concurrency,
+    setConcurrency,
+    addFiles,
+    setImageOptions,
+    move,
+    start,
+    pause,
+    resume,
+    retry,
+    cancel,
+    clear,
+    reset,
+  } = useUploadQueue({ onComplete: finishUpload });
+
+  // Takes { file, relativePath } items from the pickers, drag-and-drop or paste
+  // Callers don't wait for it, so a failure (hashing for the content check) is shown here
+  const handleFiles = async (items) => {
+    if (items.length === 0) return;
     setResult(null);
+    try {
+      const duplicates = await addFiles(items, { compareContents });
+      setSkippedDuplicates(duplicates.map(item => item.relativePath));
+    } catch (error) {
+      setResult({ type: 'error', error: describeError(error) });
+    }
   };
 
+  // For listeners that live longer than one render
+  const handleFilesRef = useRef(handleFiles);
+  useEffect(() => {
+    handleFilesRef.current = handleFiles;
+  });
+
   const handleFileInputChange = (e) => {
-    handleFiles(e.target.files);
+    handleFiles(fromFileList(e.target.files));
+    // Allow picking the same file again after removing it
+    e.target.value = '';
   };
 
+  // Pasting files or screenshots anywhere on the page adds them to the selection.
+  // Pasted text opens the snippet editor, unless it was meant for a field on the page.
+  useEffect(() => {
+    const handlePaste = (e) => {
+      const { files, text } = readClipboard(e.clipboardData);
+      if (files.length > 0) {
+        e.preventDefault();
+        handleFilesRef.current(files);
+        return;
+      }
+      const target = e.target;
+      const isEditable = target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+      if (!text.trim() || isEditable || snippet) return;
+      e.preventDefault();
+      setSnippet({ id: Date.now(), text });
+    };
+    window.addEventListener('paste', handlePaste);
+    return () => window.removeEventListener('paste', handlePaste);
+  }, [snippet]);
+
+  // Files shared from another app through the installed PWA (see public/sw.js)
+  const sharedTakenRef = useRef(false);
+  useEffect(() => {
+    if (!query.shared || sharedTakenRef.current) return;
+    sharedTakenRef.current = true;
+    takeSharedItems()
+      .then(({ files, text }) => {
+        if (files.length > 0) handleFilesRef.current(files);
+        else if (text.trim()) setSnippet({ id: Date.now(), text });
+      })
+      .catch(error => setResult({ type: 'error', error: describeError(error) }))
+      .finally(() => navigate('/', { replace: true }));
+  }, [query.shared, navigate]);
+
+  // Screen readers start reading the outcome, and keyboard users are taken to the link
+  useEffect(() => {
+    if (result) resultRef.current?.focus();
+  }, [result]);
+
   const handleDragOver = (e) => {
     e.preventDefault();
     uploadAreaRef.current?.classList.add('dragover');
@@ -62,295 +232,536 @@ const FileUploadService = ({ navigate }) => {
   const handleDrop = (e) => {
     e.preventDefault();
     uploadAreaRef.current?.classList.remove('dragover');
-    handleFiles(e.dataTransfer.files);
+    fromDataTransfer(e.dataTransfer)
+      .then(handleFiles)
+      .catch(error => setResult({ type: 'error', error: describeError(error) }));
+  };
+
+  // The drop zone acts as a button for keyboard users
+  const handleUploadAreaKeyDown = (e) => {
+    if (e.key !== 'Enter' && e.key !== ' ') return;
+    e.preventDefault();
+    fileInputRef.current?.click();
   };
 
-  const removeFile = (index) => {
-    const newFiles = selectedFiles.filter((_, i) => i !== index);
-    setSelectedFiles(newFiles);
+  const addSnippet = (file) => {
+    setSnippet(null);
+    handleFiles([{ file, relativePath: file.name }]);
   };
 
   const clearFiles = () => {
-    setSelectedFiles([]);
+    clear();
+    encryptionRef.current = null;
+    setSkippedDuplicates([]);
     setResult(null);
+    setPeerFiles(null);
     if (fileInputRef.current) {
       fileInputRef.current.value = '';
     }
   };
 
-  const formatFileSize = (bytes) => {
-    if (bytes === 0) return '0 Bytes';
-    const k = 1024;
-    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
-  };
+  // Re-run on every change so removing a file clears count and total-size violations
+  const fileErrors = validateFiles(selectedFiles.map(entry => entry.file));
+  const hasInvalidFiles = fileErrors.some(errors => errors.length > 0);
+  const isProcessing = selectedFiles.some(entry => entry.processing);
+  // Direct transfers skip the backend, so only its size limits stop being a problem
+  const canSendDirectly = isSignalingAvailable() && !isUploading && !isProcessing &&
+    validateFiles(selectedFiles.map(entry => entry.file), PEER_TRANSFER.rules).every(errors => errors.length === 0);
+
+  // Every file in a share uses the same secret, so it can't change once uploading has begun
+  const encryptionLocked = selectedFiles.some(entry => entry.status !== 'queued');
+  const passphraseTooShort = encrypt && encryptMode === 'passphrase' && passphrase.length < MIN_PASSPHRASE_LENGTH;
+
+  // Overall progress, weighted by file size, for the live region
+  const totalSize = selectedFiles.reduce((sum, entry) => sum + entry.file.size, 0);
+  const uploadedSize = selectedFiles.reduce((sum, entry) => sum + (entry.progress / 100) * entry.file.size, 0);
+  const announcement = useThrottledAnnouncement(
+    isUploading ? t('upload.overallProgress', { percent: totalSize ? Math.round((uploadedSize / totalSize) * 100) : 0 }) : ''
+  );
 
-  const uploadFiles = async () => {
-    if (selectedFiles.length === 0) return;
+  // One row of the selection list: status, progress, queue controls and validation errors
+  const renderEntry = (entry, index, { first, last }) => (
+    <div
+      className={`p-4 rounded-lg mb-2 ${
+        fileErrors[index].length > 0 ? 'bg-red-50 border border-red-300' : 'bg-surface-muted'
+      }`}
+    >
+      <div className="flex justify-between items-center gap-3">
+        <div className="min-w-0">
+          <div className="font-medium text-content truncate">{entry.file.name}</div>
+          <div className="text-xs text-content-subtle">
+            {formatFileSize(entry.file.size, locale)} · {t(`upload.status.${entry.status}`)}
+            {entry.status !== 'queued' && entry.status !== 'done' && ` · ${Math.round(entry.progress)}%`}
+          </div>
+        </div>
+        <div className="flex gap-2 shrink-0">
+          {!isUploading && (
+            <>
+              <button
+                onClick={() => move(entry.id, -1)}
+                disabled={first}
+                title={t('upload.moveUp', { name: entry.file.name })}
+                aria-label={t('upload.moveUp', { name: entry.file.name })}
+                className="bg-surface-sunken text-content px-2 py-1 rounded-full text-sm hover:bg-surface-strong transition-colors disabled:opacity-40"
+              >
+                ↑
+              </button>
+              <button
+                onClick={() => move(entry.id, 1)}
+                disabled={last}
+                title={t('upload.moveDown', { name: entry.file.name })}
+                aria-label={t('upload.moveDown', { name: entry.file.name })}
+                className="bg-surface-sunken text-content px-2 py-1 rounded-full text-sm hover:bg-surface-strong transition-colors disabled:opacity-40"
+              >
+                ↓
+              </button>
+            </>
+          )}
+          {entry.status === 'uploading' && resumable && (
+            <button
+              onClick={() => pause(entry.id)}
+              className="bg-yellow-500 text-white px-3 py-1 rounded-full text-sm hover:bg-yellow-600 transition-colors"
+            >
+              {t('upload.pause')}
+            </button>
+          )}
+          {entry.status === 'paused' && (
+            <button
+              onClick={() => resume(entry.id)}
+              className="bg-brand-accent text-white px-3 py-1 rounded-full text-sm hover:opacity-90 transition-opacity"
+            >
+              {t('upload.resume')}
+            </button>
+          )}
+          {entry.status === 'failed' && (
+            <button
+              onClick={() => retry(entry.id)}
+              className="bg-brand-accent text-white px-3 py-1 rounded-full text-sm hover:opacity-90 transition-opacity"
+            >
+              {t('upload.retry')}
+            </button>
+          )}
+          {entry.status !== 'done' && (
+            <button
+              onClick={() => cancel(entry.id)}
+              title={t('upload.remove', { name: entry.file.name })}
+              aria-label={t('upload.remove', { name: entry.file.name })}
+              className="bg-red-500 text-white px-3 py-1 rounded-full text-sm hover:bg-red-600 transition-colors"
+            >
+              ×
+            </button>
+          )}
+        </div>
+      </div>
+      {entry.status !== 'queued' && (
+        <div
+          role="progressbar"
+          aria-label={t('upload.progressLabel', { name: entry.file.name })}
+          aria-valuemin={0}
+          aria-valuemax={100}
+          aria-valuenow={Math.round(entry.progress)}
+          className="w-full bg-surface-sunken rounded-full h-2 mt-3"
+        >
+          <div
+            className={`h-2 rounded-full transition-all duration-300 motion-reduce:transition-none ${
+              entry.status === 'failed'
+                ? 'bg-red-400'
+                : 'bg-gradient-to-r from-brand-from to-brand-via'
+            }`}
+            style={{ width: `${entry.progress}%` }}
+          ></div>
+        </div>
+      )}
+      {entry.status === 'queued' && isProcessableImage(entry.originalFile || entry.file) && (
+        <ImageOptions
+          entry={entry}
+          onChange={(options) => setImageOptions(entry.id, options)}
+          disabled={isUploading}
+        />
+      )}
+      {entry.error && (
+        <div className="text-xs text-red-600 mt-2">
+          <strong>{entry.error.title}.</strong> {entry.error.message} {entry.error.action}
+        </div>
+      )}
+      {fileErrors[index].length > 0 && (
+        <ul className="text-xs text-red-600 mt-2 list-disc list-inside">
+          {fileErrors[index].map(error => (
+            <li key={error}>{error}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
 
-    const formData = new FormData();
-    selectedFiles.forEach(file => {
-      formData.append('files', file);
-    });
+  // Reuses the current secret while it still matches the options, so resumed files share a key
+  const getEncryption = async () => {
+    const current = encryptionRef.current;
+    if (!encrypt) {
+      encryptionRef.current = null;
+    } else if (encryptMode === 'link' && current?.type !== 'key') {
+      encryptionRef.current = await generateLinkKey();
+    } else if (encryptMode === 'passphrase' && current?.passphrase !== passphrase) {
+      encryptionRef.current = { type: 'passphrase', passphrase };
+    }
+    return encryptionRef.current;
+  };
 
-    setIsUploading(true);
-    setUploadProgress(0);
+  // Holds the upload while a sleeping backend starts up, then starts it automatically
+  const uploadFiles = async () => {
+    if (selectedFiles.length === 0 || hasInvalidFiles || passphraseTooShort || isProcessing) return;
     setResult(null);
-
+    setIsWaitingForServer(true);
     try {
-      const xhr = new XMLHttpRequest();
-
-      xhr.upload.addEventListener('progress', (e) => {
-        if (e.lengthComputable) {
-          const percentComplete = (e.loaded / e.total) * 100;
-          setUploadProgress(percentComplete);
-        }
-      });
-
-      const response = await new Promise((resolve, reject) => {
-        xhr.onload = () => {
-          if (xhr.status === 200) {
-            try {
-              resolve(JSON.parse(xhr.responseText));
-            } catch (e) {
-              resolve(xhr.responseText);
-            }
-          } else {
-            reject(new Error(xhr.responseText || `HTTP ${xhr.status}`));
-          }
-        };
-        xhr.onerror = () => reject(new Error('Upload failed - Network error'));
-        xhr.open('POST', 'https://upload-qodp.onrender.com/upload');
-        xhr.send(formData);
-      });
-
-      // Handle successful upload - convert backend download URL to frontend URL
-      const backendDownloadLink = response.downloadLink || response.url || response.link;
-      let frontendDownloadUrl = '';
-      
-      if (backendDownloadLink) {
-        // Extract file ID from backend URL (e.g., /download/80e17ee-d1c8-4df2-b18c-bcfd842866d9)
-        const fileIdMatch = backendDownloadLink.match(/\/download\/(.+)$/);
-        if (fileIdMatch) {
-          const fileId = fileIdMatch[1];
-          // Convert to frontend URL
-          frontendDownloadUrl = `${window.location.origin}/download/${fileId}`;
-        } else {
-          // Fallback to original URL if pattern doesn't match
-          frontendDownloadUrl = backendDownloadLink.startsWith('http') 
-            ? backendDownloadLink 
-            : `https://upload-qodp.onrender.com${backendDownloadLink}`;
-        }
-      }
-
-      setResult({
-        type: 'success',
-        downloadUrl: frontendDownloadUrl,
-        backendUrl: backendDownloadLink,
-        files: response.files || selectedFiles.map(f => ({ name: f.name })),
-        response: response
-      });
-
-      setSelectedFiles([]);
-      if (fileInputRef.current) {
-        fileInputRef.current.value = '';
-      }
-
+      await ensureServerAwake();
     } catch (error) {
-      setResult({
-        type: 'error',
-        message: error.message || 'Upload failed'
-      });
+      setResult({ type: 'error', error: describeError(error) });
+      return;
     } finally {
-      setIsUploading(false);
-      setUploadProgress(0);
+      setIsWaitingForServer(false);
     }
+    start({ encryption: await getEncryption(), share: getShareRequest() });
   };
 
   const copyToClipboard = async (text) => {
-    try {
-      await navigator.clipboard.writeText(text);
-      setCopySuccess(true);
-      setTimeout(() => setCopySuccess(false), 2000);
-    } catch (err) {
-      const textArea = document.createElement('textarea');
-      textArea.value = text;
-      document.body.appendChild(textArea);
-      textArea.select();
-      document.execCommand('copy');
-      document.body.removeChild(textArea);
-      setCopySuccess(true);
-      setTimeout(() => setCopySuccess(false), 2000);
-    }
+    await copyText(text);
+    setCopySuccess(true);
+    setTimeout(() => setCopySuccess(false), 2000);
   };
 
-  const toggleQR = async (url) => {
-    if (!showQR) {
-      setQrLoading(true);
-      setShowQR(true);
-      await new Promise(resolve => setTimeout(resolve, 800));
-      setQrLoading(false);
-    } else {
-      setShowQR(false);
-      setQrLoading(false);
-    }
+  // Native share sheet on phones; browsers without one copy the link instead
+  const shareDownloadLink = async () => {
+    const names = result.files.map(file => file.name || file.filename);
+    const shared = await shareLink({
+      title: brand.title,
+      text: names.length === 1 ? names[0] : t('common.files', { count: names.length }),
+      url: result.downloadUrl,
+    });
+    if (!shared) await copyToClipboard(result.downloadUrl);
   };
 
+  // The history link sits inside the sentence, so the message is split around it
+  const [deletionBefore, deletionAfter] = result?.type === 'success'
+    ? t('upload.success.deletion', { lifetime: describeLifetime(result, t, locale) }).split('{history}')
+    : [];
+
   return (
-    <div className="min-h-screen bg-gradient-to-br from-blue-400 via-purple-500 to-purple-600 flex items-center justify-center p-5">
-      <div className="bg-white bg-opacity-95 backdrop-blur-lg rounded-3xl p-10 shadow-2xl max-w-2xl w-full text-center">
-        <h1 className="text-4xl font-light text-gray-800 mb-8">📁 File Share</h1>
-        <p className="text-gray-600 mb-8">Upload your files and get a shareable download link</p>
+    <div className="page">
+      <div className="card max-w-2xl">
+        <h1 className="text-4xl font-light text-content mb-8 flex items-center justify-center gap-3">
+          {brand.logoUrl
+            ? <img src={brand.logoUrl} alt="" className="h-10 w-auto" />
+            : <span aria-hidden="true">{brand.logo}</span>}
+          {brand.title}
+        </h1>
+        <p className="text-content-muted mb-2">{t('upload.subtitle')}</p>
+        {brand.expiryNote && (
+          <p className="text-sm text-content-subtle mb-2">
+            {localizeBrandText(brand.expiryNote, locale)
+              .replace('{lifetime}', formatTimeSpan(SHARE_DEFAULTS.expiresIn, locale))}
+          </p>
+        )}
+        <Link to="/history" className="inline-block text-sm link mb-8">
+          {t('upload.historyLink')}
+        </Link>
 
         <div
           ref={uploadAreaRef}
-          className="border-3 border-dashed border-blue-400 rounded-2xl p-10 mb-8 transition-all duration-300 cursor-pointer bg-gradient-to-br from-blue-50 to-purple-50 hover:border-purple-500 hover:bg-gradient-to-br hover:from-blue-100 hover:to-purple-100 hover:-translate-y-1"
+          role="button"
+          tabIndex={0}
+          aria-describedby="upload-rules"
+          className="border-3 border-dashed border-brand-from rounded-2xl p-10 mb-8 transition-all duration-300 cursor-pointer bg-gradient-to-br from-brand-from/10 to-brand-via/10 hover:border-brand-via hover:from-brand-from/20 hover:to-brand-via/20 motion-safe:hover:-translate-y-1 focus:outline-none focus-visible:ring-4 focus-visible:ring-brand-via/40"
           onClick={() => fileInputRef.current?.click()}
+          onKeyDown={handleUploadAreaKeyDown}
           onDragOver={handleDragOver}
           onDragLeave={handleDragLeave}
           onDrop={handleDrop}
         >
-          <div className="text-5xl text-blue-400 mb-4">☁️</div>
-          <div className="text-lg text-gray-600 mb-2">Click to upload files or drag & drop</div>
-          <div className="text-sm text-gray-400">Maximum 10 files, 50MB per file</div>
+          <div className="text-5xl mb-4" aria-hidden="true">☁️</div>
+          <div className="text-lg text-content-muted mb-2">{t('upload.dropTitle')}</div>
+          <div id="upload-rules" className="text-sm text-content-subtle">{describeRules()}</div>
         </div>
 
         <input
           ref={fileInputRef}
           type="file"
           multiple
-          accept="*/*"
+          accept={getAcceptAttribute()}
+          onChange={handleFileInputChange}
+          className="hidden"
+        />
+
+        <input
+          ref={folderInputRef}
+          type="file"
+          webkitdirectory=""
+          directory=""
+          multiple
           onChange={handleFileInputChange}
           className="hidden"
         />
 
+        <button
+          onClick={() => folderInputRef.current?.click()}
+          className="text-sm link -mt-4 mb-8"
+        >
+          {t('upload.chooseFolder')}
+        </button>
+        <button
+          onClick={() => setSnippet({ id: Date.now(), text: '' })}
+          disabled={Boolean(snippet)}
+          className="text-sm link -mt-4 mb-8 ml-4 disabled:opacity-40"
+        >
+          {t('upload.writeSnippet')}
+        </button>
+        <p className="text-xs text-content-subtle -mt-6 mb-8">
+          {t('upload.pasteTip')}
+        </p>
+
+        {snippet && (
+          <SnippetEditor
+            key={snippet.id}
+            initialText={snippet.text}
+            onAdd={addSnippet}
+            onCancel={() => setSnippet(null)}
+          />
+        )}
+
+        {skippedDuplicates.length > 0 && (
+          <div role="status" className="bg-yellow-50 text-yellow-800 text-sm p-3 rounded-lg mb-4 text-left">
+            {t('upload.skippedDuplicates', { count: skippedDuplicates.length, names: skippedDuplicates.join(', ') })}
+          </div>
+        )}
+
         {selectedFiles.length > 0 && (
           <div className="mb-6 text-left">
-            {selectedFiles.map((file, index) => (
-              <div key={index} className="bg-gray-50 p-4 rounded-lg mb-2 flex justify-between items-center">
-                <div>
-                  <div className="font-medium text-gray-800">{file.name}</div>
-                  <div className="text-xs text-gray-500">{formatFileSize(file.size)}</div>
-                </div>
-                <button
-                  onClick={() => removeFile(index)}
-                  className="bg-red-500 text-white px-3 py-1 rounded-full text-sm hover:bg-red-600 transition-colors"
-                >
-                  ×
-                </button>
-              </div>
-            ))}
+            <FileTree entries={selectedFiles} renderEntry={renderEntry} />
           </div>
         )}
 
-        {isUploading && (
-          <div className="w-full bg-gray-200 rounded-full h-2 mb-6">
-            <div
-              className="bg-gradient-to-r from-blue-400 to-purple-500 h-2 rounded-full transition-all duration-300"
-              style={{ width: `${uploadProgress}%` }}
-            ></div>
-          </div>
+        {peerFiles && (
+          <PeerSendPanel files={peerFiles} onClose={() => setPeerFiles(null)} />
         )}
 
-        {selectedFiles.length > 0 && (
+        {selectedFiles.length > 0 && !peerFiles && (
           <div className="mb-6">
+            {hasInvalidFiles && (
+              <p className="text-sm text-red-600 mb-4">{t('upload.removeInvalid')}</p>
+            )}
+            {hasInvalidFiles && canSendDirectly && (
+              <p className="text-sm text-content-muted mb-4">{t('peer.sendDirectlyHint')}</p>
+            )}
+            {isWaitingForServer && server.status === 'waking' && (
+              <p className="text-sm text-yellow-800 bg-yellow-50 rounded-lg p-3 mb-4">
+                {t('upload.waking', { elapsed: formatDuration(server.elapsed, locale) })}
+              </p>
+            )}
+            <ShareOptions options={shareOptions} onChange={setShareOptions} disabled={isUploading} />
             <button
               onClick={uploadFiles}
-              disabled={isUploading}
-              className="bg-gradient-to-r from-blue-400 to-purple-500 text-white px-8 py-3 rounded-full text-lg mr-4 hover:-translate-y-1 hover:shadow-lg transition-all duration-300 disabled:opacity-60 disabled:cursor-not-allowed disabled:transform-none"
+              disabled={isUploading || isWaitingForServer || hasInvalidFiles || passphraseTooShort || isProcessing}
+              className="btn-primary px-8 text-lg mr-4"
             >
-              {isUploading ? 'Uploading...' : 'Upload Files'}
+              {isWaitingForServer ? t('upload.waitingForServer') : isUploading ? t('upload.uploading') : t('upload.upload')}
             </button>
             <button
               onClick={clearFiles}
-              className="bg-gradient-to-r from-gray-400 to-gray-500 text-white px-8 py-3 rounded-full text-lg hover:-translate-y-1 hover:shadow-lg transition-all duration-300"
+              className="btn-secondary px-8 text-lg"
             >
-              Clear Files
+              {t('upload.clear')}
             </button>
+            {isSignalingAvailable() && (
+              <button
+                onClick={() => setPeerFiles(selectedFiles.map(entry => ({ file: entry.file, path: entry.relativePath })))}
+                disabled={!canSendDirectly}
+                className="block mx-auto mt-4 bg-surface-sunken text-content px-6 py-2 rounded-full hover:bg-surface-strong transition-colors disabled:opacity-40"
+              >
+                {t('peer.sendDirectly')}
+              </button>
+            )}
+            <label className="block mt-4 text-sm text-content-subtle">
+              <input
+                type="checkbox"
+                checked={compareContents}
+                onChange={(e) => setCompareContents(e.target.checked)}
+                className="mr-2"
+              />
+              {t('upload.compareContents')}
+            </label>
+            <div className="mt-2 text-sm text-content-subtle">
+              <label>
+                <input
+                  type="checkbox"
+                  checked={encrypt}
+                  disabled={encryptionLocked}
+                  onChange={(e) => setEncrypt(e.target.checked)}
+                  className="mr-2"
+                />
+                {t('upload.encrypt')}
+              </label>
+              {encrypt && (
+                <div className="mt-2 inline-block text-left bg-surface-muted rounded-lg p-3">
+                  <label className="block">
+                    <input
+                      type="radio"
+                      name="encrypt-mode"
+                      checked={encryptMode === 'link'}
+                      disabled={encryptionLocked}
+                      onChange={() => setEncryptMode('link')}
+                      className="mr-2"
+                    />
+                    {t('upload.encryptWithLink')}
+                  </label>
+                  <label className="block mt-1">
+                    <input
+                      type="radio"
+                      name="encrypt-mode"
+                      checked={encryptMode === 'passphrase'}
+                      disabled={encryptionLocked}
+                      onChange={() => setEncryptMode('passphrase')}
+                      className="mr-2"
+                    />
+                    {t('upload.encryptWithPassword')}
+                  </label>
+                  {encryptMode === 'passphrase' && (
+                    <>
+                      <input
+                        type="password"
+                        value={passphrase}
+                        disabled={encryptionLocked}
+                        onChange={(e) => setPassphrase(e.target.value)}
+                        placeholder={t('upload.passwordPlaceholder')}
+                        aria-label={t('upload.passwordPlaceholder')}
+                        aria-invalid={passphraseTooShort}
+                        autoComplete="new-password"
+                        className="block w-full mt-2 border border-line rounded px-3 py-1"
+                      />
+                      {passphraseTooShort && (
+                        <p className="text-xs text-red-600 mt-1">
+                          {t('upload.passwordTooShort', { count: MIN_PASSPHRASE_LENGTH })}
+                        </p>
+                      )}
+                    </>
+                  )}
+                </div>
+              )}
+            </div>
+            {resumable && (
+              <label className="block mt-2 text-sm text-content-subtle">
+                {t('upload.parallelUploads')}{' '}
+                <select
+                  value={concurrency}
+                  onChange={(e) => setConcurrency(Number(e.target.value))}
+                  className="ml-1 border border-line rounded px-2 py-1"
+                >
+                  {[1, 2, 3, 4, 5].map(n => (
+                    <option key={n} value={n}>{n}</option>
+                  ))}
+                </select>
+              </label>
+            )}
           </div>
         )}
 
+        <div role="status" className="sr-only">{announcement}</div>
+
         {result && (
-          <div className={`p-6 rounded-2xl ${
+          <div ref={resultRef} tabIndex={-1} className={`p-6 rounded-2xl focus:outline-none ${
             result.type === 'success' 
-              ? 'bg-gradient-to-r from-teal-400 to-green-500 text-white' 
-              : 'bg-gradient-to-r from-red-400 to-red-500 text-white'
+              ? 'bg-gradient-to-r from-brand-from to-brand-via text-white'
+              : 'bg-gradient-to-r from-danger/80 to-danger text-white'
           }`}>
             {result.type === 'success' ? (
               <>
-                <h3 className="text-xl font-semibold mb-3">✅ Upload Successful!</h3>
-                <p className="mb-3">Your files have been uploaded successfully.</p>
+                <h3 className="text-xl font-semibold mb-3">{t('upload.success.title')}</h3>
+                <p className="mb-3">{t('upload.success.message')}</p>
                 <p className="mb-6">
-                  <strong>Files:</strong> {result.files.map(f => f.name).join(', ')}
+                  <strong>{t('upload.success.files')}</strong> {result.files.map(f => f.name).join(', ')}
                 </p>
+                <details className="mb-6 text-left text-sm bg-white bg-opacity-10 rounded-lg p-3">
+                  <summary className="cursor-pointer">{t('upload.success.checksums')}</summary>
+                  <ul className="mt-2 space-y-1">
+                    {result.checksums.map(({ name, sha256 }) => (
+                      <li key={name}>
+                        <div className="truncate">{name}</div>
+                        <code className="block text-xs break-all opacity-90">{sha256}</code>
+                      </li>
+                    ))}
+                  </ul>
+                </details>
+                {result.encryption && (
+                  <p className="mb-6 text-sm bg-white bg-opacity-10 rounded-lg p-3">
+                    {t('upload.success.encrypted')}{' '}
+                    {result.encryption === 'key'
+                      ? t('upload.success.encryptedWithKey')
+                      : t('upload.success.encryptedWithPassword')}
+                  </p>
+                )}
                 
                 <a
                   href={result.downloadUrl}
-                  className="inline-block bg-white bg-opacity-20 text-white px-6 py-3 rounded-full mb-6 hover:bg-opacity-30 hover:-translate-y-1 transition-all duration-300 font-medium"
+                  className="inline-block bg-white bg-opacity-20 text-white px-6 py-3 rounded-full mb-6 hover:bg-opacity-30 motion-safe:hover:-translate-y-1 transition-all duration-300 font-medium"
                 >
-                  📥 Download Files
+                  {t('upload.success.downloadFiles')}
                 </a>
 
                 <div className="bg-white bg-opacity-10 p-6 rounded-2xl border border-white border-opacity-20">
-                  <h4 className="text-lg mb-4">📤 Share this link</h4>
+                  <h4 className="text-lg mb-4">{t('upload.success.shareTitle')}</h4>
                   
                   <div className="flex gap-3 mb-4 flex-wrap">
                     <input
                       type="text"
                       value={result.downloadUrl}
                       readOnly
+                      aria-label={t('upload.success.linkLabel')}
                       className="flex-1 px-4 py-3 rounded-full bg-white bg-opacity-20 text-white placeholder-white placeholder-opacity-70 border border-white border-opacity-30 focus:outline-none focus:border-opacity-50 focus:bg-opacity-30 min-w-48"
                     />
                     <button
                       onClick={() => copyToClipboard(result.downloadUrl)}
                       className={`px-6 py-3 rounded-full transition-all duration-300 ${
                         copySuccess 
-                          ? 'bg-teal-400 text-white' 
+                          ? 'bg-brand-accent text-white'
                           : 'bg-white bg-opacity-20 text-white hover:bg-opacity-30'
                       }`}
                     >
-                      {copySuccess ? '✅ Copied!' : '📋 Copy'}
+                      {copySuccess ? t('common.copied') : t('common.copy')}
+                    </button>
+                    <button
+                      onClick={shareDownloadLink}
+                      className="px-6 py-3 rounded-full transition-all duration-300 bg-white bg-opacity-20 text-white hover:bg-opacity-30"
+                    >
+                      {t('upload.success.share')}
                     </button>
                   </div>
 
                   <div className="text-center">
                     <button
-                      onClick={() => toggleQR(result.downloadUrl)}
-                      disabled={qrLoading}
-                      className="bg-white bg-opacity-20 text-white px-4 py-2 rounded-2xl text-sm hover:bg-opacity-30 transition-all duration-300 disabled:opacity-60"
+                      onClick={() => setShowQR(!showQR)}
+                      aria-expanded={showQR}
+                      className="bg-white bg-opacity-20 text-white px-4 py-2 rounded-2xl text-sm hover:bg-opacity-30 transition-all duration-300"
                     >
-                      {qrLoading ? '⏳ Generating...' : showQR ? '🔼 Hide QR Code' : '📱 Show QR Code'}
+                      {showQR ? t('upload.success.hideQr') : t('upload.success.showQr')}
                     </button>
                     
                     {showQR && (
                       <div className="mt-4 inline-block">
-                        {qrLoading ? (
-                          <div className="bg-white p-5 rounded-lg shadow-lg">
-                            <div className="w-10 h-10 border-4 border-gray-300 border-t-blue-500 rounded-full animate-spin mx-auto"></div>
-                          </div>
-                        ) : (
-                          <div className="bg-white p-4 rounded-lg shadow-lg">
-                            <img
-                              src={`https://api.qrserver.com/v1/create-qr-code/?size=200x200&data=${encodeURIComponent(result.downloadUrl)}`}
-                              alt="QR Code"
-                              className="max-w-48 h-auto block mx-auto"
-                            />
-                          </div>
-                        )}
+                        <QrCodePanel url={result.downloadUrl} />
                       </div>
                     )}
                   </div>
                 </div>
 
                 <p className="mt-4 text-xs opacity-80">
-                  Files will be deleted after 24 hours.
+                  {deletionBefore}
+                  <Link to="/history" className="underline">{t('upload.success.historyLink')}</Link>
+                  {deletionAfter}
                 </p>
               </>
             ) : (
               <>
-                <h3 className="text-xl font-semibold mb-3">❌ Upload Failed</h3>
-                <p>{result.message}</p>
+                <h3 className="text-xl font-semibold mb-3">{t('upload.failed', { title: result.error.title })}</h3>
+                <p className="mb-2">{result.error.message}</p>
+                <p className="text-sm opacity-90">{result.error.action}</p>
               </>
             )}
           </div>
@@ -360,182 +771,40 @@ const FileUploadService = ({ navigate }) => {
   );
 };
 
-// Download Page Component  
-const DownloadPage = ({ navigate }) => {
-  const getFileIdFromPath = () => {
-    const path = window.location.pathname;
-    const match = path.match(/\/download\/(.+)$/);
-    return match ? match[1] : null;
-  };
-
-  const [fileId] = useState(getFileIdFromPath());
-  const [downloadStatus, setDownloadStatus] = useState('loading');
-  const [errorMessage, setErrorMessage] = useState('');
-  const [fileInfo, setFileInfo] = useState(null);
+// Main App Component with Routing
+const App = () => {
+  const { locale } = useI18n();
+  const brand = useBrand();
 
+  // Screen readers and hyphenation follow the chosen language
   useEffect(() => {
-    if (!fileId) {
-      setDownloadStatus('error');
-      setErrorMessage('No file ID provided');
-      return;
-    }
-
-    const downloadFile = async () => {
-      try {
-        setDownloadStatus('loading');
-        
-        const response = await fetch(`https://upload-qodp.onrender.com/download/${fileId}`, {
-          method: 'GET',
-          headers: {
-            'Accept': '*/*',
-          },
-        });
-
-        if (!response.ok) {
-          throw new Error(`Download failed: ${response.status} ${response.statusText}`);
-        }
-
-        const contentDisposition = response.headers.get('content-disposition');
-        const contentType = response.headers.get('content-type');
-        const contentLength = response.headers.get('content-length');
-        
-        let filename = 'download';
-        if (contentDisposition) {
-          const filenameMatch = contentDisposition.match(/filename[^;=\n]*=((['"]).*?\2|[^;\n]*)/);
-          if (filenameMatch && filenameMatch[1]) {
-            filename = filenameMatch[1].replace(/['"]/g, '');
-          }
-        }
-
-        const blob = await response.blob();
-        
-        const url = window.URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = filename;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        window.URL.revokeObjectURL(url);
-
-        setFileInfo({
-          filename,
-          size: contentLength ? parseInt(contentLength) : blob.size,
-          type: contentType || 'application/octet-stream'
-        });
-        setDownloadStatus('success');
-
-      } catch (error) {
-        console.error('Download error:', error);
-        setDownloadStatus('error');
-        setErrorMessage(error.message || 'Failed to download file');
-      }
-    };
-
-    downloadFile();
-  }, [fileId]);
-
-  const formatFileSize = (bytes) => {
-    if (!bytes || bytes === 0) return '0 Bytes';
-    const k = 1024;
-    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
-  };
-
-  const retryDownload = () => {
-    window.location.reload();
-  };
-
-  const goToUpload = () => {
-    navigate('/');
-  };
-
-  if (downloadStatus === 'loading') {
-    return (
-      <div className="min-h-screen bg-gradient-to-br from-blue-400 via-purple-500 to-purple-600 flex items-center justify-center p-5">
-        <div className="bg-white bg-opacity-95 backdrop-blur-lg rounded-3xl p-10 shadow-2xl max-w-md w-full text-center">
-          <div className="animate-spin w-16 h-16 border-4 border-blue-400 border-t-transparent rounded-full mx-auto mb-6"></div>
-          <h2 className="text-2xl font-light text-gray-800 mb-4">Preparing Download</h2>
-          <p className="text-gray-600 mb-4">Please wait while we fetch your file...</p>
-          <div className="text-sm text-gray-500">File ID: {fileId}</div>
-        </div>
-      </div>
-    );
-  }
-
-  if (downloadStatus === 'error') {
-    return (
-      <div className="min-h-screen bg-gradient-to-br from-red-400 via-red-500 to-red-600 flex items-center justify-center p-5">
-        <div className="bg-white bg-opacity-95 backdrop-blur-lg rounded-3xl p-10 shadow-2xl max-w-md w-full text-center">
-          <div className="text-6xl mb-6">❌</div>
-          <h2 className="text-2xl font-light text-gray-800 mb-4">Download Failed</h2>
-          <p className="text-gray-600 mb-6">{errorMessage}</p>
-          <div className="space-y-3">
-            <button
-              onClick={retryDownload}
-              className="w-full bg-gradient-to-r from-red-400 to-red-500 text-white px-6 py-3 rounded-full hover:-translate-y-1 hover:shadow-lg transition-all duration-300"
-            >
-              🔄 Try Again
-            </button>
-            <button
-              onClick={goToUpload}
-              className="w-full bg-gradient-to-r from-gray-400 to-gray-500 text-white px-6 py-3 rounded-full hover:-translate-y-1 hover:shadow-lg transition-all duration-300"
-            >
-              📁 Upload New Files
-            </button>
-          </div>
-        </div>
-      </div>
-    );
-  }
-
-  if (downloadStatus === 'success') {
-    return (
-      <div className="min-h-screen bg-gradient-to-br from-green-400 via-teal-500 to-blue-500 flex items-center justify-center p-5">
-        <div className="bg-white bg-opacity-95 backdrop-blur-lg rounded-3xl p-10 shadow-2xl max-w-md w-full text-center">
-          <div className="text-6xl mb-6">✅</div>
-          <h2 className="text-2xl font-light text-gray-800 mb-4">Download Complete!</h2>
-          <p className="text-gray-600 mb-6">Your file has been downloaded successfully.</p>
-          
-          {fileInfo && (
-            <div className="bg-gray-50 p-4 rounded-lg mb-6 text-left">
-              <div className="text-sm text-gray-600 mb-2">File Details:</div>
-              <div className="font-medium text-gray-800">{fileInfo.filename}</div>
-              <div className="text-sm text-gray-500">{formatFileSize(fileInfo.size)}</div>
-              <div className="text-xs text-gray-400">{fileInfo.type}</div>
-            </div>
-          )}
-
-          <div className="space-y-3">
-            <button
-              onClick={retryDownload}
-              className="w-full bg-gradient-to-r from-teal-400 to-blue-500 text-white px-6 py-3 rounded-full hover:-translate-y-1 hover:shadow-lg transition-all duration-300"
-            >
-              📥 Download Again
-            </button>
-            <button
-              onClick={goToUpload}
-              className="w-full bg-gradient-to-r from-gray-400 to-gray-500 text-white px-6 py-3 rounded-full hover:-translate-y-1 hover:shadow-lg transition-all duration-300"
-            >
-              📁 Upload New Files
-            </button>
-          </div>
-        </div>
-      </div>
-    );
-  }
+    document.documentElement.lang = locale;
+  }, [locale]);
 
-  return null;
-};
+  useEffect(() => {
+    document.title = brand.title;
+  }, [brand.title]);
 
-// Main App Component with Routing
-const App = () => {
   return (
-    <Router>
-      <Route path="/" component={FileUploadService} exact />
-      <Route path="/download/" component={DownloadPage} />
-    </Router>
+    <>
+      <div className="fixed top-3 left-3 z-10 flex gap-2">
+        <LanguagePicker />
+        <ThemeToggle />
+      </div>
+      <ServerStatusIndicator />
+      <Router>
+        <Route path="/" component={FileUploadService} exact />
+        <Route path="/download/p2p/:roomId" component={PeerDownloadPage} exact />
+        <Route path="/download/:shareId" component={DownloadPage} exact />
+        <Route path="/history" component={HistoryPage} exact />
+        <Route path="*" component={NotFoundPage} />
+      </Router>
+      {brand.footer && (
+        <footer className="fixed bottom-0 inset-x-0 py-3 text-center text-xs text-white text-opacity-80">
+          {brand.footer}
+        </footer>
+      )}
+    </>
   );
 };
 
@@ -0,0 +1,174 @@
+import { createHttpAdapter } from './httpAdapter';
+import { createMockAdapter } from './mockAdapter';
+import { withRetry } from './retry';
+
+// Configured through Vite env variables, e.g. in .env.local:
+//   VITE_API_BASE_URL=http://localhost:3000
+//   VITE_API_ADAPTER=mock   (run without any backend)
+//   VITE_UPLOAD_MODE=chunked (resumable uploads; the backend must implement the chunk routes)
+const DEFAULT_API_BASE_URL = 'https://upload-qodp.onrender.com';
+const UPLOAD_MODES = ['form', 'chunked'];
+
+const trimSlashes = (url) => url.replace(/\/+$/, '');
+const toUploadMode = (mode) => (UPLOAD_MODES.includes(mode) ? mode : 'form');
+
+let apiBaseUrl = trimSlashes(import.meta.env.VITE_API_BASE_URL || DEFAULT_API_BASE_URL);
+let adapter = import.meta.env.VITE_API_ADAPTER === 'mock' ? createMockAdapter() : createHttpAdapter(apiBaseUrl);
+// Where share links point; the embeddable widget runs on other sites, so it sets the app's origin
+let shareBaseUrl = null;
+// 'form' sends the whole share in one multipart POST /upload, which every backend accepts;
+// 'chunked' uses the resumable protocol below
+let uploadMode = toUploadMode(import.meta.env.VITE_UPLOAD_MODE);
+
+// Points the client at another backend, for embedders that don't build with the env variables.
+// Applies to the whole page: every widget on it talks to the same backend.
+export const configureApi = ({ baseUrl, mock = false, shareUrl, uploadMode: mode } = {}) => {
+  if (baseUrl || mock) {
+    apiBaseUrl = trimSlashes(baseUrl || apiBaseUrl);
+    adapter = mock ? createMockAdapter() : createHttpAdapter(apiBaseUrl);
+  }
+  if (shareUrl) {
+    shareBaseUrl = trimSlashes(shareUrl);
+  }
+  if (mode) {
+    uploadMode = toUploadMode(mode);
+  }
+};
+
+export const getUploadMode = () => uploadMode;
+
+export const resolveApiUrl = (path) => (/^https?:\/\//.test(path) ? path : `${apiBaseUrl}${path}`);
+
+// Cheap request used to wake the backend and check it is up (see api/health)
+export const pingServer = () => adapter.ping();
+
+// Completing twice could create two shares, so only retry answers that mean "not processed"
+const isSafeToRepeat = (error) => error?.kind === 'rateLimited' || [502, 503, 504].includes(error?.status);
+
+// Form upload: files are [{ blob, name, relativePath, type, sha256 }] in share order, options as
+// for completeUpload plus `encrypted`. onProgress receives (loaded, total) of the request body.
+// Resolves with the same response as completeUpload; it creates the share, so it retries like it.
+export const uploadForm = (files, options = {}, { onProgress, signal } = {}) =>
+  withRetry(() => adapter.uploadForm(files, options, { onProgress, signal }), { retryable: isSafeToRepeat, signal });
+
+// Chunked upload protocol: init a session per file, PUT its chunks, then combine the sessions into one share.
+// Recoverable failures (see api/errors) are retried with backoff before they reach the UI;
+// chunk uploads retry in lib/chunkedUpload.
+export const initUpload = (meta) => withRetry(() => adapter.initUpload(meta));
+
+export const getUploadStatus = (uploadId) => withRetry(() => adapter.getUploadStatus(uploadId));
+
+export const uploadChunk = (uploadId, index, blob, options) =>
+  adapter.uploadChunk(uploadId, index, blob, options);
+
+// options: { expiresIn (seconds), maxDownloads (null for unlimited), burnAfterReading, message,
+// checksums ({ [uploadId]: SHA-256 hex }) }
+export const completeUpload = (uploadIds, options = {}) =>
+  withRetry(() => adapter.completeUpload(uploadIds, options), { retryable: isSafeToRepeat });
+
+// The backend hands out links to its own /download route; share the frontend's instead
+export const toShareUrl = (backendDownloadLink) => {
+  if (!backendDownloadLink) return '';
+  // Extract file ID from backend URL (e.g., /download/80e17ee-d1c8-4df2-b18c-bcfd842866d9)
+  const fileIdMatch = backendDownloadLink.match(/\/download\/(.+)$/);
+  if (fileIdMatch) {
+    return `${shareBaseUrl || window.location.origin}/download/${fileIdMatch[1]}`;
+  }
+  return resolveApiUrl(backendDownloadLink);
+};
+
+const parseFilename = (contentDisposition) => {
+  if (!contentDisposition) return null;
+  const encoded = contentDisposition.match(/filename\*\s*=\s*(?:UTF-8|utf-8)''([^;\n]+)/);
+  if (encoded) {
+    try {
+      return decodeURIComponent(encoded[1]);
+    } catch {
+      // Malformed encoding, fall back to the plain parameter
+    }
+  }
+  const plain = contentDisposition.match(/filename[^;=\n*]*=((['"]).*?\2|[^;\n]*)/);
+  return plain && plain[1] ? plain[1].replace(/['"]/g, '') : null;
+};
+
+const parseExpiry = (value) => {
+  if (!value) return null;
+  const time = typeof value === 'number' ? value : Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+};
+
+const parseCount = (value) => {
+  if (value == null || value === '') return null;
+  const count = Number(value);
+  return Number.isFinite(count) ? count : null;
+};
+
+const normalizeFile = (file, index) => ({
+  id: file.id != null ? String(file.id) : String(index),
+  filename: file.name || file.filename || 'download',
+  relativePath: file.relativePath || file.name || file.filename || 'download',
+  size: file.size ?? null,
+  type: file.type || file.mimeType || 'application/octet-stream',
+  // Encrypted in the browser before upload (see lib/crypto); size is the encrypted size
+  encrypted: Boolean(file.encrypted),
+  sha256: (file.sha256 || file.checksum || '').toLowerCase() || null,
+});
+
+// Metadata for the landing page, without downloading anything. Resolves with
+// { files: [{ id, filename, relativePath, size, type, encrypted, sha256 }], expiresAt, remainingDownloads,
+// burnAfterReading, message, hasZip }; remainingDownloads is null when there is no limit.
+// Single-file shares from older backends get one file with id null, served from the share URL
+// itself. Shares that expired or ran out of downloads reject with a 410 (see isShareGone).
+export const getShareInfo = async (shareId) => {
+  const info = await withRetry(() => adapter.getInfo(shareId));
+  if (info.headers) {
+    const { headers } = info;
+    const contentLength = headers.get('content-length');
+    const filename = parseFilename(headers.get('content-disposition')) || 'download';
+    return {
+      files: [{
+        id: null,
+        filename,
+        relativePath: filename,
+        size: contentLength ? parseInt(contentLength, 10) : null,
+        type: headers.get('content-type') || 'application/octet-stream',
+      }],
+      expiresAt: parseExpiry(headers.get('x-expires-at')),
+      remainingDownloads: parseCount(headers.get('x-downloads-remaining')),
+      burnAfterReading: false,
+      message: '',
+      hasZip: false,
+    };
+  }
+  const files = Array.isArray(info.files)
+    ? info.files.map(normalizeFile)
+    : [{ ...normalizeFile(info, 0), id: null }];
+  return {
+    files,
+    expiresAt: parseExpiry(info.expiresAt),
+    remainingDownloads: parseCount(info.remainingDownloads),
+    burnAfterReading: Boolean(info.burnAfterReading),
+    message: info.message || '',
+    hasZip: Boolean(info.zip || info.zipUrl) && files.length > 1,
+  };
+};
+
+const describeDownload = (response) => {
+  const contentLength = response.headers.get('content-length');
+  return {
+    response,
+    filename: parseFilename(response.headers.get('content-disposition')) || 'download',
+    contentType: response.headers.get('content-type') || 'application/octet-stream',
+    contentLength: contentLength ? parseInt(contentLength, 10) : null,
+  };
+};
+
+// Resolves with the open response plus what its headers say about the file.
+// Pass fileId to pick one file out of a multi-file share.
+// session, range: see httpAdapter's fetchDownload. Servers may ignore the range and send everything.
+export const openDownload = async (shareId, { fileId = null, signal, session, range } = {}) =>
+  describeDownload(await withRetry(() => adapter.download(shareId, { fileId, signal, session, range }), { signal }));
+
+// Server-built archive of the whole share; only offered when getShareInfo reports hasZip
+export const openZipDownload = async (shareId, { signal, session } = {}) =>
+  describeDownload(await withRetry(() => adapter.downloadZip(shareId, { signal, session }), { signal }));
@@ -0,0 +1,101 @@
+import { translate } from '../lib/i18n';
+
+// Every failure coming out of the API client is an ApiError, whatever the adapter.
+// kind names its copy in the catalogs (errors.<kind>); code is the backend's machine-readable reason when it
+// sends one (e.g. 'expired'); retryAfter is the server's Retry-After in seconds.
+export class ApiError extends Error {
+  constructor(message, { status = 0, network = false, code = null, kind = null, retryAfter = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.network = network;
+    this.code = code;
+    this.kind = kind || kindFromStatus(status);
+    this.retryAfter = retryAfter;
+  }
+}
+
+const kindFromStatus = (status) => {
+  if (status === 408) return 'timeout';
+  if (status === 413) return 'tooLarge';
+  if (status === 404) return 'notFound';
+  if (status === 410) return 'gone';
+  if (status === 429) return 'rateLimited';
+  if (status >= 500) return 'server';
+  return 'unknown';
+};
+
+// Failures that usually go away on their own, so they are retried with backoff
+const RECOVERABLE_KINDS = ['offline', 'timeout', 'network', 'rateLimited', 'server'];
+
+export const isRecoverable = (error) => RECOVERABLE_KINDS.includes(error?.kind);
+
+const ERROR_KINDS = [
+  'offline', 'timeout', 'network', 'cors', 'tooLarge', 'notFound', 'gone', 'rateLimited', 'server',
+  'signaling', 'roomFull', 'peerConnection', 'peerLeft', 'peerProtocol', 'unknown',
+];
+
+// { kind, title, message, action, recoverable } for any error, in the current language. Errors
+// outside the API (e.g. a wrong decryption password) keep their own message.
+export const describeError = (error) => {
+  const kind = error instanceof ApiError ? error.kind : 'unknown';
+  const copy = ERROR_KINDS.includes(kind) ? kind : 'unknown';
+  const message = kind === 'unknown' && error?.message ? error.message : translate(`errors.${copy}.message`);
+  return {
+    kind,
+    title: translate(`errors.${copy}.title`),
+    message,
+    action: translate(`errors.${copy}.action`),
+    recoverable: isRecoverable(error),
+  };
+};
+
+// Backends answer errors with JSON ({ error, code } / { message, reason }) or plain text
+export const parseErrorBody = (body) => {
+  try {
+    const parsed = JSON.parse(body);
+    return { message: parsed.error || parsed.message || body, code: parsed.code || parsed.reason || null };
+  } catch {
+    // Not JSON, use the text as-is
+    return { message: body, code: null };
+  }
+};
+
+// Retry-After is either seconds or an HTTP date
+export const parseRetryAfter = (value) => {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, (date - Date.now()) / 1000);
+};
+
+export const errorFromResponse = (status, statusText, body, retryAfter = null) => {
+  const { message, code } = parseErrorBody(body);
+  return new ApiError(message || `HTTP ${status}${statusText ? ` ${statusText}` : ''}`, {
+    status,
+    code,
+    retryAfter: parseRetryAfter(retryAfter),
+  });
+};
+
+// 410 Gone: the share ran out of time or downloads
+export const isShareGone = (error) => error?.status === 410;
+
+// The browser can't say why a request failed. Offline is detectable; blocked (CORS) needs
+// evidence that the server is reachable (see httpAdapter), and anything else is the network.
+export const networkError = (message = 'Network error - check your connection', { blocked = false } = {}) => {
+  let kind = blocked ? 'cors' : 'network';
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) kind = 'offline';
+  return new ApiError(message, { network: true, kind });
+};
+
+export const timeoutError = () => new ApiError('Request timed out', { kind: 'timeout' });
+
+// Direct transfers (lib/peerTransfer) fail in their own ways but share the error copy:
+// signaling, roomFull, peerConnection, peerLeft or peerProtocol (a message that makes no sense)
+export const peerError = (kind, message = kind) => new ApiError(message, { kind });
+
+export const abortError = () => new DOMException('Request aborted', 'AbortError');
+
+export const isAbortError = (error) => error?.name === 'AbortError';
@@ -0,0 +1,86 @@
+import { pingServer } from './client';
+import { ApiError } from './errors';
+import { wait, waitForOnline } from './retry';
+
+// The backend runs on a free tier that sleeps when idle; the first request after that can take
+// 30+ seconds. This tracks whether it is awake so the UI can explain the wait instead of hanging.
+const WAKE_THRESHOLD = 3000; // a ping slower than this means the server is starting up
+const PING_INTERVAL = 3000;
+const MAX_WAKE_TIME = 2 * 60 * 1000;
+const STALE_AFTER = 10 * 60 * 1000; // idle instances are put to sleep after about 15 minutes
+
+// status: unknown, checking, waking, online, offline, unreachable
+let state = { status: 'unknown', wakingSince: null, lastContact: null };
+const listeners = new Set();
+let currentCheck = null;
+
+const setState = (patch) => {
+  state = { ...state, ...patch };
+  listeners.forEach(listener => listener());
+};
+
+export const getServerStatus = () => state;
+
+export const subscribeServerStatus = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Any real answer means the app is up, even a 404 from a backend without /health.
+// 5xx is the hosting proxy answering while the app is still booting.
+const pingOnce = async () => {
+  try {
+    await pingServer();
+    return true;
+  } catch (error) {
+    return error instanceof ApiError && error.status > 0 && error.status < 500;
+  }
+};
+
+const runCheck = async () => {
+  const startedAt = Date.now();
+  const markWaking = () => setState({ status: 'waking', wakingSince: startedAt });
+  setState({ status: 'checking', wakingSince: null });
+  const slowTimer = setTimeout(() => {
+    if (state.status === 'checking') markWaking();
+  }, WAKE_THRESHOLD);
+
+  try {
+    while (Date.now() - startedAt < MAX_WAKE_TIME) {
+      if (!navigator.onLine) {
+        setState({ status: 'offline', wakingSince: null });
+        await waitForOnline();
+        if (Date.now() - startedAt > WAKE_THRESHOLD) markWaking();
+        else setState({ status: 'checking' });
+      }
+      if (await pingOnce()) {
+        setState({ status: 'online', wakingSince: null, lastContact: Date.now() });
+        return true;
+      }
+      await wait(PING_INTERVAL);
+    }
+    setState({ status: 'unreachable', wakingSince: null });
+    return false;
+  } finally {
+    clearTimeout(slowTimer);
+  }
+};
+
+// Resolves true once the server answers, false if it never does. Concurrent callers share one
+// check, and a recent answer is trusted without pinging again unless force is set.
+export const checkServer = ({ force = false } = {}) => {
+  if (currentCheck) return currentCheck;
+  const isFresh = state.status === 'online' && Date.now() - state.lastContact < STALE_AFTER;
+  if (isFresh && !force) return Promise.resolve(true);
+  currentCheck = runCheck().finally(() => {
+    currentCheck = null;
+  });
+  return currentCheck;
+};
+
+// For work that needs the server: waits through a cold start, rejects if it never wakes up
+export const ensureServerAwake = async () => {
+  if (!(await checkServer())) {
+    throw new ApiError('The server did not wake up', { kind: 'timeout' });
+  }
+};
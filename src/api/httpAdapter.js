@@ -0,0 +1,187 @@
+import { ApiError, abortError, errorFromResponse, networkError, parseErrorBody, parseRetryAfter, timeoutError } from './errors';
+
+// A chunk is up to 5 MB, so it gets far longer than a metadata request
+const REQUEST_TIMEOUT = 30000;
+const CHUNK_TIMEOUT = 5 * 60 * 1000;
+// A form upload carries the whole share, so it may take as long as it needs
+const NO_TIMEOUT = 0;
+// The hosting proxy holds requests while a sleeping instance boots
+const PING_TIMEOUT = 60000;
+const PROBE_TIMEOUT = 10000;
+
+// A request the CORS policy rejects fails just like a dropped connection. A no-cors request
+// isn't subject to the policy: if one gets through to the same server, it is up and answering,
+// so the policy is what blocked us. Without that evidence the failure counts as the network's.
+const describeFailure = async (url, message) => {
+  if (navigator.onLine === false) return networkError(message);
+  try {
+    await fetch(new URL(url).origin, { mode: 'no-cors', cache: 'no-store', signal: AbortSignal.timeout(PROBE_TIMEOUT) });
+    return networkError(message, { blocked: true });
+  } catch {
+    return networkError(message);
+  }
+};
+
+// XHR rather than fetch so uploads can report progress
+const xhrRequest = ({ method, url, body, contentType, onUploadProgress, signal, withHeaders = false, timeout = REQUEST_TIMEOUT }) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+    const xhr = new XMLHttpRequest();
+    const onAbort = () => xhr.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    if (onUploadProgress) {
+      xhr.upload.addEventListener('progress', (e) => {
+        if (e.lengthComputable) {
+          onUploadProgress(e.loaded, e.total);
+        }
+      });
+    }
+    xhr.onloadend = () => signal?.removeEventListener('abort', onAbort);
+    xhr.onabort = () => reject(abortError());
+    xhr.onerror = () => describeFailure(url).then(reject);
+    xhr.ontimeout = () => reject(timeoutError());
+    xhr.onload = () => {
+      if (xhr.status >= 200 && xhr.status < 300 && withHeaders) {
+        resolve({ headers: { get: name => xhr.getResponseHeader(name) } });
+      } else if (xhr.status >= 200 && xhr.status < 300) {
+        try {
+          resolve(JSON.parse(xhr.responseText));
+        } catch {
+          resolve(xhr.responseText);
+        }
+      } else {
+        reject(errorFromResponse(xhr.status, xhr.statusText, xhr.responseText, xhr.getResponseHeader('Retry-After')));
+      }
+    };
+
+    xhr.open(method, url);
+    xhr.timeout = timeout;
+    if (contentType) {
+      xhr.setRequestHeader('Content-Type', contentType);
+    }
+    xhr.send(body);
+  });
+
+const jsonRequest = (method, url, payload) => xhrRequest({
+  method,
+  url,
+  body: payload === undefined ? undefined : JSON.stringify(payload),
+  contentType: payload === undefined ? undefined : 'application/json',
+});
+
+// session groups the requests of one visit (preview, files of a ZIP...) so a share with a
+// download limit counts them once; only sent for limited shares, as it needs a CORS preflight
+// range: [first, last] byte, for reading the start of a file without downloading it
+// The timeout only covers waiting for the response headers; the body may take as long as it needs
+const fetchDownload = async (url, signal, session, range) => {
+  const controller = new AbortController();
+  signal?.addEventListener('abort', () => controller.abort(), { once: true });
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, REQUEST_TIMEOUT);
+
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'GET',
+      headers: {
+        'Accept': '*/*',
+        ...(session ? { 'X-Download-Session': session } : {}),
+        ...(range ? { 'Range': `bytes=${range[0]}-${range[1]}` } : {}),
+      },
+      signal: controller.signal,
+    });
+  } catch (error) {
+    if (signal?.aborted) throw abortError();
+    if (timedOut) throw timeoutError();
+    throw await describeFailure(url, error.message);
+  } finally {
+    clearTimeout(timer);
+  }
+  if (!response.ok) {
+    const { code } = parseErrorBody(await response.text().catch(() => ''));
+    throw new ApiError(`Download failed: ${response.status} ${response.statusText}`, {
+      status: response.status,
+      code,
+      retryAfter: parseRetryAfter(response.headers.get('Retry-After')),
+    });
+  }
+  return response;
+};
+
+// The original multipart upload: every file under `files`, in order, with the share options
+// as plain fields next to them
+const buildUploadForm = (files, { expiresIn, maxDownloads, burnAfterReading, message, encrypted }) => {
+  const formData = new FormData();
+  files.forEach(({ blob, name, relativePath, sha256 }) => {
+    formData.append('files', blob, name);
+    formData.append('relativePaths', relativePath);
+    if (sha256) formData.append('checksums', sha256);
+  });
+  if (expiresIn != null) formData.append('expiresIn', String(expiresIn));
+  if (maxDownloads != null) formData.append('maxDownloads', String(maxDownloads));
+  if (burnAfterReading) formData.append('burnAfterReading', 'true');
+  if (message) formData.append('message', message);
+  if (encrypted) formData.append('encrypted', 'true');
+  return formData;
+};
+
+export const createHttpAdapter = (baseUrl) => ({
+  ping: () => xhrRequest({ method: 'GET', url: `${baseUrl}/health`, timeout: PING_TIMEOUT }),
+
+  uploadForm: (files, options, { onProgress, signal } = {}) => xhrRequest({
+    method: 'POST',
+    url: `${baseUrl}/upload`,
+    body: buildUploadForm(files, options),
+    onUploadProgress: onProgress,
+    signal,
+    timeout: NO_TIMEOUT,
+  }),
+
+  initUpload: (meta) => jsonRequest('POST', `${baseUrl}/upload/init`, meta),
+
+  getUploadStatus: (uploadId) => jsonRequest('GET', `${baseUrl}/upload/${uploadId}`),
+
+  uploadChunk: (uploadId, index, blob, { onProgress, signal } = {}) => xhrRequest({
+    method: 'PUT',
+    url: `${baseUrl}/upload/${uploadId}/chunks/${index}`,
+    body: blob,
+    contentType: 'application/octet-stream',
+    onUploadProgress: onProgress,
+    signal,
+    timeout: CHUNK_TIMEOUT,
+  }),
+
+  completeUpload: (uploadIds, options) =>
+    jsonRequest('POST', `${baseUrl}/upload/complete`, { uploadIds, ...options }),
+
+  // Prefers the JSON metadata endpoint; older backends only answer HEAD on the download route
+  getInfo: async (shareId) => {
+    try {
+      return await jsonRequest('GET', `${baseUrl}/download/${shareId}/info`);
+    } catch (error) {
+      if (error.status !== 404 && error.status !== 405) throw error;
+    }
+    const head = await xhrRequest({ method: 'HEAD', url: `${baseUrl}/download/${shareId}`, withHeaders: true });
+    return { headers: head.headers };
+  },
+
+  // Without a fileId this is the share's default (single) file
+  download: (shareId, { fileId, signal, session, range } = {}) => fetchDownload(
+    fileId == null
+      ? `${baseUrl}/download/${shareId}`
+      : `${baseUrl}/download/${shareId}/files/${fileId}`,
+    signal,
+    session,
+    range
+  ),
+
+  downloadZip: (shareId, { signal, session } = {}) =>
+    fetchDownload(`${baseUrl}/download/${shareId}/zip`, signal, session),
+});
@@ -0,0 +1,218 @@
+import { dbDelete, dbGet, dbPut } from '../lib/db';
+import { ApiError, abortError } from './errors';
+
+// Stand-in backend that keeps everything in IndexedDB, so the app runs end to end
+// (including opening share links in a new tab) without the real service
+const STORE = 'mock';
+const LATENCY = 150;
+const DEFAULT_EXPIRES_IN = 24 * 60 * 60;
+
+const randomId = () => Math.random().toString(36).slice(2, 10) + Date.now().toString(36);
+
+const delay = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(abortError());
+    return;
+  }
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(abortError());
+  }, { once: true });
+});
+
+const loadUpload = async (uploadId) => {
+  const upload = await dbGet(STORE, `upload:${uploadId}`);
+  if (!upload) {
+    throw new ApiError('Upload session not found', { status: 404 });
+  }
+  return upload;
+};
+
+// Expired and used-up shares answer 410 like the real backend; a session that was already
+// counted may keep fetching, so every file of a ZIP built in the browser gets through
+const loadShare = async (shareId, session) => {
+  const share = await dbGet(STORE, `share:${shareId}`);
+  if (!share) {
+    throw new ApiError('Download failed: 404 Not Found', { status: 404 });
+  }
+  // Shares stored before share options existed
+  share.expiresAt ??= share.createdAt + DEFAULT_EXPIRES_IN * 1000;
+  share.sessions ??= [];
+  if (Date.now() >= share.expiresAt) {
+    await dbDelete(STORE, share.id);
+    throw new ApiError('This share has expired', { status: 410, code: 'expired' });
+  }
+  const isCounted = Boolean(session) && share.sessions.includes(session);
+  if (share.maxDownloads != null && share.sessions.length >= share.maxDownloads && !isCounted) {
+    throw new ApiError('This share has reached its download limit', { status: 410, code: 'limit_reached' });
+  }
+  return share;
+};
+
+// Requests sharing a session count as one download; without one, every request counts
+const countDownload = async (share, session) => {
+  if (share.maxDownloads == null) return;
+  const id = session || randomId();
+  if (share.sessions.includes(id)) return;
+  share.sessions.push(id);
+  await dbPut(STORE, share);
+};
+
+const countReceived = (upload) => {
+  let received = 0;
+  while (upload.chunks[received]) received++;
+  return received;
+};
+
+const createShare = async (files, {
+  expiresIn = DEFAULT_EXPIRES_IN,
+  maxDownloads = null,
+  burnAfterReading = false,
+  message = '',
+}) => {
+  const shareId = randomId();
+  const share = {
+    id: `share:${shareId}`,
+    files,
+    createdAt: Date.now(),
+    expiresAt: Date.now() + expiresIn * 1000,
+    maxDownloads: burnAfterReading ? 1 : maxDownloads,
+    burnAfterReading,
+    message,
+    sessions: [],
+  };
+  await dbPut(STORE, share);
+  return {
+    downloadLink: `/download/${shareId}`,
+    files: files.map(({ name, size }) => ({ name, size })),
+    expiresAt: new Date(share.expiresAt).toISOString(),
+    maxDownloads: share.maxDownloads,
+  };
+};
+
+export const createMockAdapter = () => ({
+  ping: async () => {
+    await delay(LATENCY);
+    return { status: 'ok' };
+  },
+
+  initUpload: async (meta) => {
+    await delay(LATENCY);
+    const uploadId = randomId();
+    await dbPut(STORE, { id: `upload:${uploadId}`, meta, chunks: [] });
+    return { uploadId, chunkSize: meta.chunkSize };
+  },
+
+  getUploadStatus: async (uploadId) => {
+    await delay(LATENCY);
+    const upload = await loadUpload(uploadId);
+    return { receivedChunks: countReceived(upload) };
+  },
+
+  // Reports progress in a few steps so the UI behaves like a real transfer
+  uploadChunk: async (uploadId, index, blob, { onProgress, signal } = {}) => {
+    const steps = 4;
+    for (let step = 1; step <= steps; step++) {
+      await delay(LATENCY, signal);
+      onProgress?.((blob.size * step) / steps);
+    }
+    const upload = await loadUpload(uploadId);
+    upload.chunks[index] = blob;
+    await dbPut(STORE, upload);
+    return { received: index };
+  },
+
+  // Same result as the chunked protocol, in one request
+  uploadForm: async (files, options = {}, { onProgress, signal } = {}) => {
+    const total = files.reduce((sum, file) => sum + file.blob.size, 0);
+    const steps = 4;
+    for (let step = 1; step <= steps; step++) {
+      await delay(LATENCY, signal);
+      onProgress?.((total * step) / steps, total);
+    }
+    return createShare(files.map(({ blob, name, relativePath, type, sha256 }) => ({
+      name,
+      relativePath,
+      type,
+      size: blob.size,
+      encrypted: Boolean(options.encrypted),
+      sha256: sha256 || null,
+      blob,
+    })), options);
+  },
+
+  completeUpload: async (uploadIds, options = {}) => {
+    await delay(LATENCY);
+    const { checksums = {} } = options;
+    const files = [];
+    for (const uploadId of uploadIds) {
+      const upload = await loadUpload(uploadId);
+      files.push({
+        name: upload.meta.name,
+        relativePath: upload.meta.relativePath,
+        type: upload.meta.type,
+        size: upload.meta.size,
+        encrypted: Boolean(upload.meta.encrypted),
+        sha256: checksums[uploadId] || null,
+        blob: new Blob(upload.chunks, { type: upload.meta.type }),
+      });
+      await dbDelete(STORE, `upload:${uploadId}`);
+    }
+    return createShare(files, options);
+  },
+
+  getInfo: async (shareId) => {
+    await delay(LATENCY);
+    const share = await loadShare(shareId);
+    return {
+      files: share.files.map((file, index) => ({
+        id: String(index),
+        name: file.name,
+        relativePath: file.relativePath,
+        size: file.size,
+        type: file.type,
+        encrypted: file.encrypted,
+        sha256: file.sha256,
+      })),
+      expiresAt: new Date(share.expiresAt).toISOString(),
+      remainingDownloads: share.maxDownloads == null ? null : share.maxDownloads - share.sessions.length,
+      burnAfterReading: share.burnAfterReading,
+      message: share.message,
+      zip: false,
+    };
+  },
+
+  // Partial requests only peek at a file (see DownloadPage's password check), so they don't count
+  download: async (shareId, { fileId, signal, session, range } = {}) => {
+    await delay(LATENCY, signal);
+    const share = await loadShare(shareId, session);
+    const file = share.files[fileId == null ? 0 : Number(fileId)];
+    if (!file) {
+      throw new ApiError('Download failed: 404 Not Found', { status: 404 });
+    }
+    if (range) {
+      const part = file.blob.slice(range[0], range[1] + 1);
+      return new Response(part, {
+        status: 206,
+        headers: {
+          'content-type': file.type || 'application/octet-stream',
+          'content-length': String(part.size),
+        },
+      });
+    }
+    await countDownload(share, session);
+    return new Response(file.blob, {
+      headers: {
+        'content-type': file.type || 'application/octet-stream',
+        'content-length': String(file.size),
+        'content-disposition': `attachment; filename*=UTF-8''${encodeURIComponent(file.name)}`,
+      },
+    });
+  },
+
+  // The mock never builds archives; clients fall back to zipping in the browser
+  downloadZip: async () => {
+    throw new ApiError('Download failed: 404 Not Found', { status: 404 });
+  },
+});
@@ -0,0 +1,46 @@
+import { abortError, isRecoverable } from './errors';
+
+const BASE_DELAY = 1000;
+const MAX_DELAY = 30000;
+
+export const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(abortError());
+    return;
+  }
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(abortError());
+  }, { once: true });
+});
+
+export const waitForOnline = (signal) => {
+  if (navigator.onLine) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    window.addEventListener('online', resolve, { once: true });
+    signal?.addEventListener('abort', () => reject(abortError()), { once: true });
+  });
+};
+
+// Exponential backoff with jitter, unless the server said how long to wait
+export const getRetryDelay = (error, attempt) => {
+  if (error?.retryAfter != null) return Math.min(error.retryAfter * 1000, MAX_DELAY * 2);
+  const delay = Math.min(BASE_DELAY * 2 ** (attempt - 1), MAX_DELAY);
+  return delay / 2 + Math.random() * (delay / 2);
+};
+
+// Runs operation(attempt) until it succeeds, fails with an error that isn't worth retrying,
+// or runs out of attempts. Offline failures wait for the connection to come back first.
+export const withRetry = async (operation, { attempts = 4, retryable = isRecoverable, onRetry, signal } = {}) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      if (signal?.aborted || !retryable(error) || attempt >= attempts) throw error;
+      onRetry?.(error, attempt);
+      await waitForOnline(signal);
+      await wait(getRetryDelay(error, attempt), signal);
+    }
+  }
+};
@@ -0,0 +1,31 @@
+import { createWebSocketSignaling } from './websocketSignaling';
+import { peerError } from './errors';
+
+// Direct transfers (lib/peerTransfer) only need a way to pass a few small messages between the
+// two browsers until their own connection is up. Any transport can do that if it implements
+//   join(roomId) -> Promise<{ send(message), onMessage(handler) -> unsubscribe, leave() }>
+// with plain-object messages. Besides relaying, it tells each side about the other:
+//   { type: 'peer-joined' }, { type: 'peer-left' }, { type: 'room-full' } (two browsers already in),
+//   { type: 'disconnected' } (the transport itself went away).
+//
+// Configured through Vite env variables, e.g. in .env.local:
+//   VITE_SIGNALING_URL=wss://signal.example.com   (WebSocket relay, see scripts/signaling-server.js)
+// In development the relay from `npm run signaling` is used by default.
+const DEV_SIGNALING_URL = 'ws://localhost:8787';
+
+const signalingUrl = import.meta.env.VITE_SIGNALING_URL || (import.meta.env.DEV ? DEV_SIGNALING_URL : null);
+
+let transport = signalingUrl ? createWebSocketSignaling(signalingUrl) : null;
+
+// Plugs in another transport (e.g. your own realtime service); null turns direct transfers off
+export const configureSignaling = (nextTransport) => {
+  transport = nextTransport;
+};
+
+// The "send directly" option is only offered when there is a way to find the other browser
+export const isSignalingAvailable = () => transport !== null;
+
+export const joinRoom = (roomId) => {
+  if (!transport) return Promise.reject(peerError('signaling', 'No signaling transport configured'));
+  return transport.join(roomId);
+};
@@ -0,0 +1,46 @@
+import { peerError } from './errors';
+
+// Signaling over one WebSocket per room. The server only forwards messages between the two
+// browsers in a room and reports arrivals and departures; scripts/signaling-server.js is a
+// stand-in for development.
+export const createWebSocketSignaling = (url) => ({
+  join: (roomId) => new Promise((resolve, reject) => {
+    const socket = new WebSocket(url);
+    const handlers = new Set();
+    let opened = false;
+    let left = false;
+
+    const emit = (message) => handlers.forEach(handler => handler(message));
+
+    socket.onopen = () => {
+      opened = true;
+      socket.send(JSON.stringify({ type: 'join', room: roomId }));
+      resolve({
+        send: (message) => {
+          if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+        },
+        onMessage: (handler) => {
+          handlers.add(handler);
+          return () => handlers.delete(handler);
+        },
+        leave: () => {
+          left = true;
+          socket.close();
+        },
+      });
+    };
+
+    socket.onmessage = ({ data }) => {
+      try {
+        emit(JSON.parse(data));
+      } catch {
+        // Not ours; the relay only sends JSON
+      }
+    };
+
+    socket.onclose = () => {
+      if (!opened) reject(peerError('signaling', `Could not reach the signaling server at ${url}`));
+      else if (!left) emit({ type: 'disconnected' });
+    };
+  }),
+});
@@ -1,137 +1,610 @@
-import React, { useEffect, useState } from 'react';
-
-const DownloadPage = () => {
-  // Extract fileId from URL path
-  const getFileIdFromPath = () => {
-    const path = window.location.pathname;
-    const match = path.match(/\/download\/(.+)$/);
-    return match ? match[1] : null;
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { getShareInfo, openDownload, openZipDownload } from '../api/client';
+import { abortError, describeError, isAbortError, isShareGone } from '../api/errors';
+import { ensureServerAwake } from '../api/health';
+import { useServerStatus } from '../hooks/useServerStatus';
+import { pickFileSink, saveResponse } from '../lib/streamDownload';
+import { createZipStream, getZipSize } from '../lib/zip';
+import { formatFileSize, formatDuration } from '../lib/format';
+import { applyLinkLocale, parseLocaleFragment, translate } from '../lib/i18n';
+import { useI18n } from '../hooks/useI18n';
+import { useThrottledAnnouncement } from '../hooks/useThrottledAnnouncement';
+import { getPreviewKind } from '../lib/preview';
+import {
+  checkSecret,
+  createDecryptStream,
+  getPlaintextSize,
+  parseKeyFragment,
+  DecryptionError,
+  SECRET_CHECK_SIZE,
+} from '../lib/crypto';
+import { createHashStream, parseDigestFragment } from '../lib/hash';
+import FilePreview from './FilePreview';
+
+const ZIP_FILENAME = 'shared-files.zip';
+
+// One id per visit, so a share with a download limit counts this page's requests once
+const createSessionId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+// 410 responses and exhausted shares get their own screens instead of the generic error
+const goneStatus = (error) => (error.code === 'limit_reached' ? 'limit' : 'expired');
+
+// Decrypts an opened download on the fly when the share is end-to-end encrypted
+const openFile = async (shareId, file, { secret, session, signal }) => {
+  const opened = await openDownload(shareId, { fileId: file.id, signal, session });
+  if (!secret) {
+    return opened;
+  }
+  return {
+    ...opened,
+    response: new Response(opened.response.body.pipeThrough(createDecryptStream(secret))),
+    contentLength: getPlaintextSize(opened.contentLength),
   };
+};
+
+// Reads up to `size` bytes from the start of a body and drops the rest
+const readStart = async (body, size) => {
+  const reader = body.getReader();
+  let bytes = new Uint8Array(0);
+  try {
+    while (bytes.length < size) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      const next = new Uint8Array(bytes.length + value.length);
+      next.set(bytes);
+      next.set(value, bytes.length);
+      bytes = next;
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+  return bytes.subarray(0, size);
+};
+
+// Checks a password against the header and first record of a file. Only those bytes are
+// asked for, and partial requests don't count against a download limit.
+const verifySecret = async (shareId, file, { secret, session }) => {
+  const { response } = await openDownload(shareId, { fileId: file.id, session, range: [0, SECRET_CHECK_SIZE - 1] });
+  await checkSecret(secret, await readStart(response.body, SECRET_CHECK_SIZE));
+};
+
+// Hashes a file's (decrypted) bytes on their way to the disk; the digest lands in `checks`
+const hashBody = (body, file, checks) => {
+  const { stream, digest } = createHashStream();
+  checks.push({ file, digest });
+  return body.pipeThrough(stream);
+};
+
+// Compares the received bytes with the checksums from the sender:
+// { status: 'verified' | 'mismatch' | 'unavailable', mismatched: [relativePath] }
+const verifyChecks = async (checks) => {
+  const expected = checks.filter(check => check.file.expectedSha256);
+  if (expected.length === 0) return { status: 'unavailable', mismatched: [] };
+  // The file is saved either way; if hashing broke down it just can't be checked
+  const digests = await Promise.all(expected.map(check => check.digest)).catch(() => null);
+  if (!digests) return { status: 'unavailable', mismatched: [] };
+  const mismatched = expected
+    .filter((check, index) => digests[index] !== check.file.expectedSha256)
+    .map(check => check.file.relativePath);
+  return { status: mismatched.length > 0 ? 'mismatch' : 'verified', mismatched };
+};
+
+// Opens whatever the user asked for: one file, or the whole share as a ZIP.
+// Files that pass through here are hashed into `checks` (see verifyChecks).
+const openTarget = async (shareId, share, target, access) => {
+  const { secret, session, signal } = access;
+  const checks = [];
+  if (target.type === 'file') {
+    const opened = await openFile(shareId, target.file, access);
+    const response = new Response(hashBody(opened.response.body, target.file, checks));
+    return { ...opened, response, total: opened.contentLength, checks };
+  }
+
+  // A server-built archive would hold the encrypted files, so encrypted shares are zipped here
+  if (share.hasZip && !secret) {
+    const opened = await openZipDownload(shareId, { signal, session });
+    const filename = opened.filename === 'download' ? ZIP_FILENAME : opened.filename;
+    // The archive arrives as one blob, so there is nothing to check it against
+    return { ...opened, filename, total: opened.contentLength, checks };
+  }
+
+  // No archive from the backend: stream the files one by one into a ZIP built here
+  const entries = share.files.map(file => ({
+    name: file.relativePath,
+    size: file.size,
+    open: async () => hashBody((await openFile(shareId, file, access)).response.body, file, checks),
+  }));
+  const sizesKnown = share.files.every(file => file.size != null);
+  return {
+    response: new Response(createZipStream(entries)),
+    filename: ZIP_FILENAME,
+    contentType: 'application/zip',
+    total: sizesKnown ? getZipSize(entries) : null,
+    checks,
+  };
+};
+
+const DownloadPage = ({ navigate, params }) => {
+  const { shareId } = params;
+  // loading, ready, downloading, success, error, expired, limit
+  const [downloadStatus, setDownloadStatus] = useState('loading');
+  const [failure, setFailure] = useState(null); // describeError() output
+  const [share, setShare] = useState(null);
+  const [target, setTarget] = useState(null);
+  const [downloaded, setDownloaded] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [previewFileId, setPreviewFileId] = useState(null);
+  const [wasCancelled, setWasCancelled] = useState(false);
+  const [integrity, setIntegrity] = useState(null); // verifyChecks() of the last download
+  // Encrypted shares: the key from the link fragment, or a password the recipient types in
+  const [secret, setSecret] = useState(null);
+  const [passphrase, setPassphrase] = useState('');
+  const [passwordError, setPasswordError] = useState('');
+  const [isUnlocking, setIsUnlocking] = useState(false);
+  const [now, setNow] = useState(Date.now());
+  const server = useServerStatus({ check: true });
+  const { locale, t } = useI18n();
+  const controllerRef = useRef(null);
+  const sessionRef = useRef(createSessionId());
+  const countedRef = useRef(false);
+  const headingRef = useRef(null);
+  const previousStatusRef = useRef(downloadStatus);
+
+  // Only limited shares send the session header (it costs a CORS preflight)
+  const session = share?.remainingDownloads != null ? sessionRef.current : undefined;
+
+  const startDownload = useCallback(async (nextTarget) => {
+    const controller = new AbortController();
+    controllerRef.current?.abort();
+    controllerRef.current = controller;
+
+    try {
+      setTarget(nextTarget);
+      setDownloadStatus('downloading');
+      setProgress(null);
+      setWasCancelled(false);
 
-  const [fileId] = useState(getFileIdFromPath());
-  const [downloadStatus, setDownloadStatus] = useState('loading'); // loading, success, error
-  const [errorMessage, setErrorMessage] = useState('');
-  const [fileInfo, setFileInfo] = useState(null);
+      // Ask where to save before anything is fetched: the picker needs the click's user
+      // activation, and dismissing it shouldn't use up a limited share's download
+      const openSink = await pickFileSink(nextTarget.type === 'file' ? nextTarget.file.filename : ZIP_FILENAME);
+      if (controller.signal.aborted) throw abortError();
 
+      const { response, filename, contentType, total, checks } = await openTarget(
+        shareId, share, nextTarget, { secret, session, signal: controller.signal }
+      );
+
+      // Read the body as a stream so we can show bytes received instead of buffering silently
+      const received = await saveResponse(response, {
+        openSink,
+        filename,
+        type: contentType,
+        total,
+        onProgress: setProgress,
+        signal: controller.signal,
+      });
+
+      setDownloaded({ filename, size: total ?? received, type: contentType });
+      setIntegrity(await verifyChecks(checks));
+      setDownloadStatus('success');
+
+      // The backend counts this visit once, however many files it fetched
+      if (share.remainingDownloads != null && !countedRef.current) {
+        countedRef.current = true;
+        setShare(current => ({ ...current, remainingDownloads: Math.max(0, current.remainingDownloads - 1) }));
+      }
+
+    } catch (error) {
+      // Unmounting aborts too; only a user cancel should change the screen
+      if (controllerRef.current !== controller) return;
+      if (isAbortError(error)) {
+        setWasCancelled(true);
+        setDownloadStatus('ready');
+        return;
+      }
+      if (isShareGone(error)) {
+        setDownloadStatus(goneStatus(error));
+        return;
+      }
+      console.error('Download error:', error);
+      setDownloadStatus('error');
+      setFailure(describeError(error));
+    } finally {
+      if (controllerRef.current === controller) {
+        controllerRef.current = null;
+      }
+    }
+  }, [shareId, share, secret, session]);
+
+  // Show the page in the sender's language, unless the recipient picked one themselves
   useEffect(() => {
-    if (!fileId) {
+    applyLinkLocale(parseLocaleFragment(window.location.hash));
+  }, []);
+
+  useEffect(() => {
+    if (!shareId) {
       setDownloadStatus('error');
-      setErrorMessage('No file ID provided');
+      setFailure({
+        kind: 'notFound',
+        title: translate('download.invalidLink.title'),
+        message: translate('download.invalidLink.message'),
+        action: translate('download.invalidLink.action'),
+      });
       return;
     }
 
-    const downloadFile = async () => {
-      try {
-        setDownloadStatus('loading');
-        
-        // Make GET request to the backend
-        const response = await fetch(`https://upload-qodp.onrender.com/download/${fileId}`, {
-          method: 'GET',
-          headers: {
-            'Accept': '*/*',
-          },
-        });
-
-        if (!response.ok) {
-          throw new Error(`Download failed: ${response.status} ${response.statusText}`);
+    // Show what's behind the link first; the recipient decides what to download
+    let active = true;
+    // A sleeping backend is woken first, so the lookup doesn't time out during a cold start
+    ensureServerAwake()
+      .then(() => Promise.all([getShareInfo(shareId), parseKeyFragment(window.location.hash)]))
+      .then(([info, linkSecret]) => {
+        if (!active) return;
+        // Without a key in the link an encrypted share needs a password
+        const shareSecret = linkSecret || (info.files.some(file => file.encrypted) ? { type: 'passphrase' } : null);
+        // Checksums from the link win over the backend's: they come straight from the sender
+        const getLinkDigest = parseDigestFragment(window.location.hash);
+        info = {
+          ...info,
+          files: info.files.map((file, index) => ({
+            ...file,
+            // The server only knows the encrypted sizes
+            size: shareSecret ? getPlaintextSize(file.size) : file.size,
+            expectedSha256: getLinkDigest(file.relativePath, index) || file.sha256,
+          })),
+        };
+        setSecret(shareSecret);
+        setShare(info);
+        if (info.expiresAt && info.expiresAt <= Date.now()) {
+          setDownloadStatus('expired');
+        } else if (info.remainingDownloads === 0) {
+          setDownloadStatus('limit');
+        } else {
+          setDownloadStatus('ready');
         }
-
-        // Get file info from headers if available
-        const contentDisposition = response.headers.get('content-disposition');
-        const contentType = response.headers.get('content-type');
-        const contentLength = response.headers.get('content-length');
-        
-        let filename = 'download';
-        if (contentDisposition) {
-          const filenameMatch = contentDisposition.match(/filename[^;=\n]*=((['"]).*?\2|[^;\n]*)/);
-          if (filenameMatch && filenameMatch[1]) {
-            filename = filenameMatch[1].replace(/['"]/g, '');
-          }
+      })
+      .catch((error) => {
+        if (!active) return;
+        if (isShareGone(error)) {
+          setDownloadStatus(goneStatus(error));
+          return;
         }
-
-        // Convert response to blob
-        const blob = await response.blob();
-        
-        // Create download link and trigger download
-        const url = window.URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = filename;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        window.URL.revokeObjectURL(url);
-
-        setFileInfo({
-          filename,
-          size: contentLength ? parseInt(contentLength) : blob.size,
-          type: contentType || 'application/octet-stream'
-        });
-        setDownloadStatus('success');
-
-      } catch (error) {
-        console.error('Download error:', error);
+        console.error('Share info error:', error);
         setDownloadStatus('error');
-        setErrorMessage(error.message || 'Failed to download file');
-      }
+        setFailure(describeError(error));
+      });
+
+    return () => {
+      active = false;
+      const controller = controllerRef.current;
+      controllerRef.current = null;
+      controller?.abort();
     };
+  }, [shareId]);
 
-    downloadFile();
-  }, [fileId]);
+  // Tick the expiry countdown, and close the share once it runs out
+  const expiresAt = share?.expiresAt;
+  useEffect(() => {
+    if (!expiresAt || (downloadStatus !== 'ready' && downloadStatus !== 'success')) return;
+    const timer = setInterval(() => {
+      setNow(Date.now());
+      if (Date.now() >= expiresAt) {
+        setDownloadStatus('expired');
+      }
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [expiresAt, downloadStatus]);
+
+  // Each step replaces the whole card, so focus moves to its heading instead of getting lost.
+  // Not on arrival, where the page (or the password field) keeps the browser's own focus.
+  useEffect(() => {
+    const previous = previousStatusRef.current;
+    previousStatusRef.current = downloadStatus;
+    if (previous !== downloadStatus && previous !== 'loading') headingRef.current?.focus();
+  }, [downloadStatus]);
 
-  const formatFileSize = (bytes) => {
-    if (!bytes || bytes === 0) return '0 Bytes';
-    const k = 1024;
-    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+  const announcement = useThrottledAnnouncement(
+    downloadStatus !== 'downloading' || !progress
+      ? ''
+      : progress.total
+        ? t('download.progressAnnouncement', { percent: Math.round((progress.received / progress.total) * 100) })
+        : t('download.receivedAnnouncement', { received: formatFileSize(progress.received, locale) })
+  );
+
+  const unlock = async (e) => {
+    e.preventDefault();
+    if (!passphrase) return;
+    const nextSecret = { type: 'passphrase', passphrase };
+    setIsUnlocking(true);
+    setPasswordError('');
+    try {
+      await verifySecret(shareId, share.files[0], { secret: nextSecret, session });
+      setSecret(nextSecret);
+    } catch (error) {
+      if (isShareGone(error)) {
+        setDownloadStatus(goneStatus(error));
+        return;
+      }
+      setPasswordError(
+        error instanceof DecryptionError
+          ? error.message
+          : t('download.passwordCheckFailed', { message: describeError(error).message })
+      );
+    } finally {
+      setIsUnlocking(false);
+    }
   };
 
-  const retryDownload = () => {
-    window.location.reload();
+  const cancelDownload = () => {
+    controllerRef.current?.abort();
+  };
+
+  const togglePreview = (fileId) => {
+    setPreviewFileId(current => current === fileId ? null : fileId);
   };
 
   const goToUpload = () => {
-    window.location.href = '/';
+    navigate('/');
   };
 
   if (downloadStatus === 'loading') {
     return (
-      <div className="min-h-screen bg-gradient-to-br from-blue-400 via-purple-500 to-purple-600 flex items-center justify-center p-5">
-        <div className="bg-white bg-opacity-95 backdrop-blur-lg rounded-3xl p-10 shadow-2xl max-w-md w-full text-center">
-          <div className="animate-spin w-16 h-16 border-4 border-blue-400 border-t-transparent rounded-full mx-auto mb-6"></div>
-          <h2 className="text-2xl font-light text-gray-800 mb-4">Preparing Download</h2>
-          <p className="text-gray-600 mb-4">Please wait while we fetch your file...</p>
-          <div className="text-sm text-gray-500">File ID: {fileId}</div>
+      <div className="page">
+        <div className="card max-w-md">
+          <div aria-hidden="true" className="motion-safe:animate-spin w-16 h-16 border-4 border-brand-from border-t-transparent rounded-full mx-auto mb-6"></div>
+          {server.status === 'waking' ? (
+            <>
+              <h2 className="text-2xl font-light text-content mb-4">{t('download.loading.wakingTitle')}</h2>
+              <p className="text-content-muted mb-4">
+                {t('download.loading.wakingMessage', { elapsed: formatDuration(server.elapsed, locale) })}
+              </p>
+            </>
+          ) : (
+            <>
+              <h2 className="text-2xl font-light text-content mb-4">{t('download.loading.title')}</h2>
+              <p className="text-content-muted mb-4">{t('download.loading.message')}</p>
+            </>
+          )}
+          <div className="text-sm text-content-subtle">{t('common.fileId', { id: shareId })}</div>
         </div>
       </div>
     );
   }
 
-  if (downloadStatus === 'error') {
+  if (downloadStatus === 'ready') {
+    const { files } = share;
+    const isBundle = files.length > 1;
+    const totalSize = files.every(file => file.size != null)
+      ? files.reduce((sum, file) => sum + file.size, 0)
+      : null;
+    const expiresIn = share.expiresAt ? (share.expiresAt - now) / 1000 : null;
+    const { remainingDownloads } = share;
+    const isLocked = secret?.type === 'passphrase' && !secret.passphrase;
+
     return (
-      <div className="min-h-screen bg-gradient-to-br from-red-400 via-red-500 to-red-600 flex items-center justify-center p-5">
-        <div className="bg-white bg-opacity-95 backdrop-blur-lg rounded-3xl p-10 shadow-2xl max-w-md w-full text-center">
-          <div className="text-6xl mb-6">❌</div>
-          <h2 className="text-2xl font-light text-gray-800 mb-4">Download Failed</h2>
-          <p className="text-gray-600 mb-6">{errorMessage}</p>
+      <div className="page">
+        <div className={`card ${
+          isBundle || previewFileId !== null ? 'max-w-2xl' : 'max-w-md'
+        }`}>
+          <div className="text-6xl mb-6" aria-hidden="true">{isBundle ? '🗂️' : '📄'}</div>
+          <h2 ref={headingRef} tabIndex={-1} className="text-2xl font-light text-content focus:outline-none mb-2">
+            {t('download.sharedWithYou', { count: files.length })}
+          </h2>
+          <p className="text-sm text-content-subtle mb-6">
+            {totalSize != null && formatFileSize(totalSize, locale)}
+            {totalSize != null && expiresIn != null && ' · '}
+            {expiresIn != null && (expiresIn > 0
+              ? t('download.expiresIn', { duration: formatDuration(expiresIn, locale) })
+              : t('download.expired'))}
+            {remainingDownloads != null && !share.burnAfterReading && (
+              ` · ${t('download.downloadsLeft', { count: remainingDownloads })}`
+            )}
+          </p>
+
+          {share.burnAfterReading && (
+            <p className="text-sm text-orange-700 bg-orange-50 rounded-lg p-3 mb-4">
+              {t('download.burnNotice')}
+            </p>
+          )}
+
+          {share.message && (
+            <blockquote className="text-left text-content bg-surface-muted border-l-4 border-brand-via rounded-lg p-4 mb-6 whitespace-pre-wrap break-words">
+              {share.message}
+            </blockquote>
+          )}
+
+          {secret && (
+            <p className="text-sm text-content-subtle mb-4">
+              {t('download.encrypted')}
+            </p>
+          )}
+
+          {isLocked && (
+            <form onSubmit={unlock} className="mb-6">
+              <div className="flex gap-2">
+                <input
+                  type="password"
+                  value={passphrase}
+                  onChange={(e) => setPassphrase(e.target.value)}
+                  placeholder={t('download.passwordPlaceholder')}
+                  aria-label={t('download.passwordPlaceholder')}
+                  aria-invalid={Boolean(passwordError)}
+                  autoComplete="current-password"
+                  autoFocus
+                  className="flex-1 border border-line rounded-full px-4 py-2"
+                />
+                <button
+                  type="submit"
+                  disabled={!passphrase || isUnlocking}
+                  className="bg-gradient-to-r from-brand-from to-brand-via text-white px-5 py-2 rounded-full hover:shadow-lg transition-all duration-300 disabled:opacity-60"
+                >
+                  {isUnlocking ? t('download.checking') : t('download.unlock')}
+                </button>
+              </div>
+              {passwordError && (
+                <p role="alert" className="text-sm text-red-600 mt-2">{passwordError}</p>
+              )}
+            </form>
+          )}
+
+          {wasCancelled && (
+            <p className="text-sm text-content-subtle mb-4">{t('download.cancelled')}</p>
+          )}
+
+          <div className="mb-6 text-left">
+            {files.map((file) => {
+              const preview = getPreviewKind(file.filename, file.type, file.size);
+              const key = file.id ?? 'default';
+              return (
+                <div key={key} className="bg-surface-muted p-4 rounded-lg mb-2">
+                  <div className="flex justify-between items-center gap-3">
+                    <div className="min-w-0">
+                      <div className="font-medium text-content break-all">{file.relativePath}</div>
+                      <div className="text-xs text-content-subtle">
+                        {file.size != null ? formatFileSize(file.size, locale) : t('download.unknownSize')} · {file.type}
+                      </div>
+                    </div>
+                    <div className="flex gap-2 shrink-0">
+                      {preview && !isLocked && (
+                        <button
+                          onClick={() => togglePreview(key)}
+                          className="bg-surface-sunken text-content px-3 py-1 rounded-full text-sm hover:bg-surface-strong transition-colors"
+                        >
+                          {previewFileId === key ? t('download.hidePreview') : t('download.preview')}
+                        </button>
+                      )}
+                      {isBundle && !isLocked && (
+                        <button
+                          onClick={() => startDownload({ type: 'file', file })}
+                          className="bg-gradient-to-r from-brand-from to-brand-via text-white px-3 py-1 rounded-full text-sm hover:shadow-lg transition-all duration-300"
+                        >
+                          {t('download.download')}
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                  {previewFileId === key && preview && (
+                    <div className="mt-4">
+                      <FilePreview
+                        shareId={shareId}
+                        fileId={file.id}
+                        kind={preview.kind}
+                        language={preview.language}
+                        secret={secret}
+                        session={session}
+                      />
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+
           <div className="space-y-3">
             <button
-              onClick={retryDownload}
-              className="w-full bg-gradient-to-r from-red-400 to-red-500 text-white px-6 py-3 rounded-full hover:-translate-y-1 hover:shadow-lg transition-all duration-300"
+              onClick={() => startDownload(isBundle ? { type: 'zip' } : { type: 'file', file: files[0] })}
+              disabled={isLocked}
+              className="w-full btn-primary"
             >
-              🔄 Try Again
+              {isBundle ? t('download.downloadAll') : t('download.download')}
             </button>
             <button
               onClick={goToUpload}
-              className="w-full bg-gradient-to-r from-gray-400 to-gray-500 text-white px-6 py-3 rounded-full hover:-translate-y-1 hover:shadow-lg transition-all duration-300"
+              className="w-full btn-secondary"
             >
-              📁 Upload New Files
+              {t('common.uploadNewFiles')}
             </button>
           </div>
-          {fileId && (
-            <div className="mt-6 p-3 bg-gray-100 rounded-lg">
-              <div className="text-xs text-gray-500">File ID: {fileId}</div>
+        </div>
+      </div>
+    );
+  }
+
+  if (downloadStatus === 'downloading') {
+    const percent = progress?.total ? (progress.received / progress.total) * 100 : null;
+
+    return (
+      <div className="page">
+        <div className="card max-w-md">
+          <div className="text-6xl mb-6" aria-hidden="true">📥</div>
+          <h2 ref={headingRef} tabIndex={-1} className="text-2xl font-light text-content focus:outline-none mb-2">{t('download.downloading')}</h2>
+          <p className="text-content-muted mb-6 truncate">
+            {target.type === 'zip' ? t('download.allAsZip', { count: share.files.length }) : target.file.filename}
+          </p>
+
+          <div
+            role="progressbar"
+            aria-label={t('download.progressLabel')}
+            aria-valuemin={0}
+            aria-valuemax={100}
+            aria-valuenow={percent !== null ? Math.round(percent) : undefined}
+            aria-valuetext={percent === null ? formatFileSize(progress?.received || 0, locale) : undefined}
+            className="w-full bg-surface-sunken rounded-full h-2 mb-3 overflow-hidden"
+          >
+            {percent !== null ? (
+              <div
+                className="bg-gradient-to-r from-brand-from to-brand-via h-2 rounded-full transition-all duration-300 motion-reduce:transition-none"
+                style={{ width: `${percent}%` }}
+              ></div>
+            ) : (
+              <div className="bg-gradient-to-r from-brand-from to-brand-via h-2 w-1/3 rounded-full motion-safe:animate-pulse"></div>
+            )}
+          </div>
+
+          <div className="flex justify-between text-sm text-content-muted mb-1">
+            <span>
+              {progress?.total
+                ? t('download.progressOf', {
+                  received: formatFileSize(progress.received || 0, locale),
+                  total: formatFileSize(progress.total, locale),
+                })
+                : formatFileSize(progress?.received || 0, locale)}
+            </span>
+            {percent !== null && <span>{Math.round(percent)}%</span>}
+          </div>
+          <div className="flex justify-between text-xs text-content-subtle mb-6">
+            <span>{t('download.perSecond', { size: formatFileSize(progress?.bytesPerSecond || 0, locale) })}</span>
+            <span>{progress?.eta != null ? t('download.timeLeft', { duration: formatDuration(progress.eta, locale) }) : ''}</span>
+          </div>
+
+          <button
+            onClick={cancelDownload}
+            className="w-full btn-secondary"
+          >
+            {t('download.cancel')}
+          </button>
+          <div role="status" className="sr-only">{announcement}</div>
+        </div>
+      </div>
+    );
+  }
+
+  if (downloadStatus === 'error') {
+    return (
+      <div className="page page-danger">
+        <div className="card max-w-md">
+          <div className="text-6xl mb-6" aria-hidden="true">❌</div>
+          <h2 ref={headingRef} tabIndex={-1} className="text-2xl font-light text-content focus:outline-none mb-4">{failure.title}</h2>
+          <p className="text-content-muted mb-2">{failure.message}</p>
+          <p className="text-sm text-content-subtle mb-6">{failure.action}</p>
+          <div className="space-y-3">
+            {shareId && failure.kind !== 'notFound' && (
+              <button
+                onClick={target ? () => startDownload(target) : () => window.location.reload()}
+                className="w-full btn-danger"
+              >
+                {t('download.tryAgain')}
+              </button>
+            )}
+            <button
+              onClick={goToUpload}
+              className="w-full btn-secondary"
+            >
+              {t('common.uploadNewFiles')}
+            </button>
+          </div>
+          {shareId && (
+            <div className="mt-6 p-3 bg-surface-sunken rounded-lg">
+              <div className="text-xs text-content-subtle">{t('common.fileId', { id: shareId })}</div>
             </div>
           )}
         </div>
@@ -139,40 +612,91 @@ const DownloadPage = () => {
     );
   }
 
+  if (downloadStatus === 'expired' || downloadStatus === 'limit') {
+    const isExpired = downloadStatus === 'expired';
+    return (
+      <div className="page page-muted">
+        <div className="card max-w-md">
+          <div className="text-6xl mb-6" aria-hidden="true">{isExpired ? '⌛' : '🔒'}</div>
+          <h2 ref={headingRef} tabIndex={-1} className="text-2xl font-light text-content focus:outline-none mb-4">
+            {isExpired ? t('download.expiredTitle') : t('download.limitTitle')}
+          </h2>
+          <p className="text-content-muted mb-6">
+            {isExpired ? t('download.expiredMessage') : t('download.limitMessage')}
+            {' '}{t('download.askSender')}
+          </p>
+          <button
+            onClick={goToUpload}
+            className="w-full btn-secondary"
+          >
+            {t('common.uploadNewFiles')}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
   if (downloadStatus === 'success') {
     return (
-      <div className="min-h-screen bg-gradient-to-br from-green-400 via-teal-500 to-blue-500 flex items-center justify-center p-5">
-        <div className="bg-white bg-opacity-95 backdrop-blur-lg rounded-3xl p-10 shadow-2xl max-w-md w-full text-center">
-          <div className="text-6xl mb-6">✅</div>
-          <h2 className="text-2xl font-light text-gray-800 mb-4">Download Complete!</h2>
-          <p className="text-gray-600 mb-6">Your file has been downloaded successfully.</p>
+      <div className="page page-success">
+        <div className="card max-w-md">
+          <div className="text-6xl mb-6" aria-hidden="true">✅</div>
+          <h2 ref={headingRef} tabIndex={-1} className="text-2xl font-light text-content focus:outline-none mb-4">{t('download.completeTitle')}</h2>
+          <p className="text-content-muted mb-6">{t('download.completeMessage')}</p>
           
-          {fileInfo && (
-            <div className="bg-gray-50 p-4 rounded-lg mb-6 text-left">
-              <div className="text-sm text-gray-600 mb-2">File Details:</div>
-              <div className="font-medium text-gray-800">{fileInfo.filename}</div>
-              <div className="text-sm text-gray-500">{formatFileSize(fileInfo.size)}</div>
-              <div className="text-xs text-gray-400">{fileInfo.type}</div>
+          {downloaded && (
+            <div className="bg-surface-muted p-4 rounded-lg mb-6 text-left">
+              <div className="text-sm text-content-muted mb-2">{t('download.fileDetails')}</div>
+              <div className="font-medium text-content">{downloaded.filename}</div>
+              <div className="text-sm text-content-subtle">{formatFileSize(downloaded.size, locale)}</div>
+              <div className="text-xs text-content-subtle">{downloaded.type}</div>
             </div>
           )}
 
+          {integrity?.status === 'verified' && (
+            <div className="bg-green-50 text-green-700 text-sm p-3 rounded-lg mb-6">
+              {t('download.verified')}
+            </div>
+          )}
+          {integrity?.status === 'mismatch' && (
+            <div role="alert" className="bg-red-50 text-red-700 text-sm p-3 rounded-lg mb-6 text-left">
+              {t('download.mismatch')}
+              {integrity.mismatched.length > 0 && (
+                <div className="text-xs mt-1 break-all">{integrity.mismatched.join(', ')}</div>
+              )}
+            </div>
+          )}
+          {integrity?.status === 'unavailable' && (
+            <div className="text-content-subtle text-xs mb-6">{t('download.noChecksum')}</div>
+          )}
+
           <div className="space-y-3">
             <button
-              onClick={retryDownload}
-              className="w-full bg-gradient-to-r from-teal-400 to-blue-500 text-white px-6 py-3 rounded-full hover:-translate-y-1 hover:shadow-lg transition-all duration-300"
+              onClick={() => startDownload(target)}
+              className="w-full btn-primary"
             >
-              📥 Download Again
+              {t('download.downloadAgain')}
             </button>
+            {share.files.length > 1 && (
+              <button
+                onClick={() => setDownloadStatus('ready')}
+                className="w-full btn-primary"
+              >
+                {t('download.backToFiles')}
+              </button>
+            )}
             <button
               onClick={goToUpload}
-              className="w-full bg-gradient-to-r from-gray-400 to-gray-500 text-white px-6 py-3 rounded-full hover:-translate-y-1 hover:shadow-lg transition-all duration-300"
+              className="w-full btn-secondary"
             >
-              📁 Upload New Files
+              {t('common.uploadNewFiles')}
             </button>
           </div>
 
-          <div className="mt-6 text-xs text-gray-500">
-            Files are automatically deleted after 24 hours
+          <div className="mt-6 text-xs text-content-subtle">
+            {share.remainingDownloads === 0
+              ? t('download.lastDownload')
+              : share.expiresAt && t('download.autoDelete', { duration: formatDuration((share.expiresAt - now) / 1000, locale) })}
           </div>
         </div>
       </div>
@@ -182,4 +706,4 @@ const DownloadPage = () => {
   return null;
 };
 
-export default DownloadPage;
\ No newline at end of file
+export default DownloadPage;
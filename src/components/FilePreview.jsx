@@ -0,0 +1,94 @@
+import React, { useEffect, useState } from 'react';
+import { openDownload } from '../api/client';
+import { describeError, isAbortError } from '../api/errors';
+import { createDecryptStream } from '../lib/crypto';
+import { useI18n } from '../hooks/useI18n';
+
+// Highlighter and its theme are only fetched when a code preview is opened
+const highlight = async (text, language) => {
+  const [{ default: hljs }] = await Promise.all([
+    import('highlight.js/lib/common'),
+    import('highlight.js/styles/github.css'),
+  ]);
+  if (language && hljs.getLanguage(language)) {
+    return hljs.highlight(text, { language }).value;
+  }
+  return hljs.highlightAuto(text).value;
+};
+
+// Fetches the file and renders it inline; kind and language come from getPreviewKind.
+// secret decrypts files from end-to-end encrypted shares; session is passed on to openDownload.
+const FilePreview = ({ shareId, fileId, kind, language, secret, session }) => {
+  const [objectUrl, setObjectUrl] = useState(null);
+  const [html, setHtml] = useState(null);
+  const [error, setError] = useState('');
+  const { t } = useI18n();
+
+  useEffect(() => {
+    const controller = new AbortController();
+    let url = null;
+
+    const loadPreview = async () => {
+      try {
+        const { response, contentType } = await openDownload(shareId, {
+          fileId,
+          signal: controller.signal,
+          session,
+        });
+        const body = secret ? response.body.pipeThrough(createDecryptStream(secret)) : response.body;
+        const blob = await new Response(body).blob();
+        if (kind === 'text') {
+          setHtml(await highlight(await blob.text(), language));
+        } else {
+          // Re-type the blob so the browser's viewers (PDF, media) pick it up
+          url = URL.createObjectURL(new Blob([blob], { type: contentType }));
+          setObjectUrl(url);
+        }
+      } catch (err) {
+        if (!isAbortError(err)) {
+          setError(describeError(err).message);
+        }
+      }
+    };
+
+    loadPreview();
+    return () => {
+      controller.abort();
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [shareId, fileId, kind, language, secret, session]);
+
+  if (error) {
+    return <div className="text-sm text-red-600 p-4">{t('preview.unavailable', { error })}</div>;
+  }
+
+  if (!objectUrl && html === null) {
+    return (
+      <div role="status" className="p-6">
+        <div aria-hidden="true" className="w-10 h-10 border-4 border-line border-t-brand-accent rounded-full motion-safe:animate-spin mx-auto"></div>
+        <span className="sr-only">{t('preview.loading')}</span>
+      </div>
+    );
+  }
+
+  switch (kind) {
+    case 'image':
+      return <img src={objectUrl} alt={t('preview.imageAlt')} className="max-w-full max-h-96 mx-auto rounded-lg" />;
+    case 'pdf':
+      return <iframe src={objectUrl} title={t('preview.pdfTitle')} className="w-full h-96 rounded-lg border border-line" />;
+    case 'audio':
+      return <audio src={objectUrl} controls className="w-full" />;
+    case 'video':
+      return <video src={objectUrl} controls className="w-full max-h-96 rounded-lg" />;
+    case 'text':
+      return (
+        <pre className="text-left text-xs bg-surface-muted p-4 rounded-lg overflow-auto max-h-96 border border-line">
+          <code className="hljs" dangerouslySetInnerHTML={{ __html: html }} />
+        </pre>
+      );
+    default:
+      return null;
+  }
+};
+
+export default FilePreview;
@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+import { buildFileTree } from '../lib/folders';
+import { formatFileSize } from '../lib/format';
+import { useI18n } from '../hooks/useI18n';
+
+const countFiles = (folder) =>
+  folder.files.length + folder.folders.reduce((sum, child) => sum + countFiles(child), 0);
+
+const Folder = ({ folder, depth, collapsed, onToggle, renderEntry }) => {
+  const isCollapsed = collapsed.has(folder.path);
+  const { locale, t } = useI18n();
+
+  return (
+    <div style={{ marginLeft: depth > 0 ? 16 : 0 }}>
+      <button
+        onClick={() => onToggle(folder.path)}
+        aria-expanded={!isCollapsed}
+        className="w-full flex justify-between items-center bg-surface-sunken p-3 rounded-lg mb-2 text-left hover:bg-surface-strong transition-colors"
+      >
+        <span className="font-medium text-content truncate">
+          <span aria-hidden="true">{isCollapsed ? '▸' : '▾'} 📂 </span>{folder.name}
+        </span>
+        <span className="text-xs text-content-subtle shrink-0 ml-3">
+          {t('common.files', { count: countFiles(folder) })} · {formatFileSize(folder.size, locale)}
+        </span>
+      </button>
+      {!isCollapsed && (
+        <FolderContents
+          folder={folder}
+          depth={depth + 1}
+          collapsed={collapsed}
+          onToggle={onToggle}
+          renderEntry={renderEntry}
+        />
+      )}
+    </div>
+  );
+};
+
+const FolderContents = ({ folder, depth, collapsed, onToggle, renderEntry }) => (
+  <>
+    {folder.folders.map(child => (
+      <Folder
+        key={child.path}
+        folder={child}
+        depth={depth}
+        collapsed={collapsed}
+        onToggle={onToggle}
+        renderEntry={renderEntry}
+      />
+    ))}
+    {folder.files.map(({ entry, index }, position) => (
+      <div key={entry.id} style={{ marginLeft: depth > 0 ? 16 : 0 }}>
+        {renderEntry(entry, index, { first: position === 0, last: position === folder.files.length - 1 })}
+      </div>
+    ))}
+  </>
+);
+
+// Selected files shown as a collapsible folder tree; renderEntry draws a single file row and
+// is told whether it is the first or last file in its folder
+const FileTree = ({ entries, renderEntry }) => {
+  const [collapsed, setCollapsed] = useState(new Set());
+
+  const toggleFolder = (path) => {
+    setCollapsed(current => {
+      const next = new Set(current);
+      if (next.has(path)) {
+        next.delete(path);
+      } else {
+        next.add(path);
+      }
+      return next;
+    });
+  };
+
+  return (
+    <FolderContents
+      folder={buildFileTree(entries)}
+      depth={0}
+      collapsed={collapsed}
+      onToggle={toggleFolder}
+      renderEntry={renderEntry}
+    />
+  );
+};
+
+export default FileTree;
@@ -0,0 +1,222 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link } from '../router';
+import { getHistory, removeFromHistory, exportHistory, importHistory } from '../lib/history';
+import { copyText } from '../lib/clipboard';
+import { formatFileSize, formatDuration, formatDateTime } from '../lib/format';
+import { translate } from '../lib/i18n';
+import { useI18n } from '../hooks/useI18n';
+import QrCodePanel from './QrCodePanel';
+
+const matchesSearch = (entry, query) => {
+  if (!query) return true;
+  const needle = query.toLowerCase();
+  return entry.downloadUrl.toLowerCase().includes(needle)
+    || entry.files.some(file => file.name.toLowerCase().includes(needle));
+};
+
+const saveJson = (json, filename) => {
+  const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+  const anchor = document.createElement('a');
+  anchor.href = url;
+  anchor.download = filename;
+  anchor.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// Shares uploaded from this browser, kept in IndexedDB (see lib/history)
+const HistoryPage = () => {
+  const [entries, setEntries] = useState(null);
+  const [query, setQuery] = useState('');
+  const [now, setNow] = useState(Date.now());
+  const [qrEntryId, setQrEntryId] = useState(null);
+  const [copiedId, setCopiedId] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const importInputRef = useRef(null);
+  const { locale, t } = useI18n();
+
+  const loadHistory = () => getHistory()
+    .then(setEntries)
+    .catch(() => {
+      setEntries([]);
+      setNotice({ type: 'error', text: translate('history.unavailable') });
+    });
+
+  useEffect(() => {
+    loadHistory();
+  }, []);
+
+  // Live expiry countdowns
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const copyLink = async (entry) => {
+    await copyText(entry.downloadUrl);
+    setCopiedId(entry.id);
+    setTimeout(() => setCopiedId(current => current === entry.id ? null : current), 2000);
+  };
+
+  const deleteEntry = async (entry) => {
+    await removeFromHistory(entry.id);
+    setEntries(current => current.filter(item => item.id !== entry.id));
+  };
+
+  const exportEntries = async () => {
+    saveJson(await exportHistory(), `file-share-history-${new Date().toISOString().slice(0, 10)}.json`);
+  };
+
+  const importEntries = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const count = await importHistory(await file.text());
+      setNotice({ type: 'success', text: t('history.imported', { count }) });
+      loadHistory();
+    } catch (error) {
+      setNotice({ type: 'error', text: error.message });
+    }
+  };
+
+  const visibleEntries = (entries || []).filter(entry => matchesSearch(entry, query));
+
+  return (
+    <div className="page">
+      <div className="card max-w-2xl">
+        <h1 className="text-4xl font-light text-content mb-2">{t('history.title')}</h1>
+        <p className="text-content-muted mb-6">{t('history.subtitle')}</p>
+
+        <div className="flex gap-2 mb-4 flex-wrap">
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder={t('history.search')}
+            aria-label={t('history.search')}
+            className="flex-1 min-w-48 border border-line rounded-full px-4 py-2"
+          />
+          <button
+            onClick={exportEntries}
+            disabled={!entries?.length}
+            className="bg-surface-sunken text-content px-4 py-2 rounded-full text-sm hover:bg-surface-strong transition-colors disabled:opacity-40"
+          >
+            {t('history.export')}
+          </button>
+          <button
+            onClick={() => importInputRef.current?.click()}
+            className="bg-surface-sunken text-content px-4 py-2 rounded-full text-sm hover:bg-surface-strong transition-colors"
+          >
+            {t('history.import')}
+          </button>
+          <input
+            ref={importInputRef}
+            type="file"
+            accept="application/json,.json"
+            onChange={importEntries}
+            className="hidden"
+          />
+        </div>
+
+        {notice && (
+          <div role="status" className={`text-sm p-3 rounded-lg mb-4 text-left ${
+            notice.type === 'error' ? 'bg-red-50 text-red-700' : 'bg-green-50 text-green-700'
+          }`}>
+            {notice.text}
+          </div>
+        )}
+
+        {entries === null && (
+          <div role="status" className="my-6">
+            <div aria-hidden="true" className="w-10 h-10 border-4 border-line border-t-brand-accent rounded-full motion-safe:animate-spin mx-auto"></div>
+            <span className="sr-only">{t('history.loading')}</span>
+          </div>
+        )}
+
+        {entries?.length === 0 && (
+          <p className="text-content-subtle my-6">{t('history.empty')}</p>
+        )}
+
+        {entries?.length > 0 && visibleEntries.length === 0 && (
+          <p className="text-content-subtle my-6">{t('history.noMatch', { query })}</p>
+        )}
+
+        <div className="text-left">
+          {visibleEntries.map(entry => {
+            const expiresIn = entry.expiresAt ? (entry.expiresAt - now) / 1000 : null;
+            const isExpired = expiresIn != null && expiresIn <= 0;
+            const totalSize = entry.files.reduce((sum, file) => sum + file.size, 0);
+            return (
+              <div key={entry.id} className={`p-4 rounded-lg mb-2 ${isExpired ? 'bg-surface-sunken opacity-70' : 'bg-surface-muted'}`}>
+                <div className="flex justify-between items-start gap-3">
+                  <div className="min-w-0">
+                    <div className="font-medium text-content truncate">
+                      {entry.encryption && '🔒 '}
+                      {entry.files.length === 1 ? entry.files[0].name : t('common.files', { count: entry.files.length })}
+                    </div>
+                    <div className="text-xs text-content-subtle">
+                      {formatFileSize(totalSize, locale)} · {formatDateTime(entry.createdAt, locale)}
+                    </div>
+                    <div className={`text-xs ${isExpired ? 'text-red-600' : 'text-content-subtle'}`}>
+                      {expiresIn == null
+                        ? t('history.noExpiry')
+                        : isExpired ? t('history.expired') : t('history.expires', { duration: formatDuration(expiresIn, locale) })}
+                      {entry.maxDownloads != null && ` · ${entry.maxDownloads === 1 ? t('history.singleDownload') : t('history.maxDownloads', { count: entry.maxDownloads })}`}
+                    </div>
+                  </div>
+                  <div className="flex gap-2 shrink-0">
+                    <button
+                      onClick={() => copyLink(entry)}
+                      className="bg-surface-sunken text-content px-3 py-1 rounded-full text-sm hover:bg-surface-strong transition-colors"
+                    >
+                      {copiedId === entry.id ? t('common.copied') : t('common.copy')}
+                    </button>
+                    <button
+                      onClick={() => setQrEntryId(current => current === entry.id ? null : entry.id)}
+                      aria-expanded={qrEntryId === entry.id}
+                      className="bg-surface-sunken text-content px-3 py-1 rounded-full text-sm hover:bg-surface-strong transition-colors"
+                    >
+                      {t('history.qr')}
+                    </button>
+                    <button
+                      onClick={() => deleteEntry(entry)}
+                      title={t('history.delete')}
+                      aria-label={t('history.delete')}
+                      className="bg-red-500 text-white px-3 py-1 rounded-full text-sm hover:bg-red-600 transition-colors"
+                    >
+                      ×
+                    </button>
+                  </div>
+                </div>
+                {entry.files.length > 1 && (
+                  <div className="text-xs text-content-subtle mt-2 truncate">
+                    {entry.files.map(file => file.name).join(', ')}
+                  </div>
+                )}
+                <a href={entry.downloadUrl} className="block text-xs text-brand-accent hover:opacity-80 mt-2 break-all">
+                  {entry.downloadUrl}
+                </a>
+                {qrEntryId === entry.id && (
+                  <div className="mt-4 text-center">
+                    <div className="inline-block">
+                      <QrCodePanel url={entry.downloadUrl} />
+                    </div>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        <Link
+          to="/"
+          className="block w-full mt-6 btn-primary"
+        >
+          {t('common.uploadFiles')}
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default HistoryPage;
@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+import { DEFAULT_IMAGE_OPTIONS, IMAGE_FORMATS, MAX_DIMENSIONS } from '../lib/imageProcessing';
+import { formatFileSize } from '../lib/format';
+import { useI18n } from '../hooks/useI18n';
+
+// Per-image compression and metadata controls for a queued entry (see useUploadQueue.setImageOptions)
+const ImageOptions = ({ entry, onChange, disabled }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const { locale, t } = useI18n();
+  // The slider only re-encodes once it is let go, not on every step of a drag
+  const [draftQuality, setDraftQuality] = useState(null);
+  const options = entry.imageOptions || DEFAULT_IMAGE_OPTIONS;
+  const update = (patch) => onChange({ ...options, ...patch });
+
+  const commitQuality = () => {
+    if (draftQuality === null) return;
+    update({ quality: draftQuality });
+    setDraftQuality(null);
+  };
+  const quality = draftQuality ?? options.quality;
+
+  const original = entry.originalFile;
+  const isChanged = original && entry.file !== original;
+  const saving = isChanged && original.size ? 1 - entry.file.size / original.size : 0;
+
+  return (
+    <div className="mt-2 text-xs text-content-muted">
+      <div className="flex items-center gap-3 flex-wrap">
+        <button
+          onClick={() => setIsOpen(!isOpen)}
+          aria-expanded={isOpen}
+          className="link"
+        >
+          {t('image.options')}
+        </button>
+        {entry.processing && <span className="text-content-subtle">{t('image.processing')}</span>}
+        {!entry.processing && isChanged && (
+          <span>
+            {formatFileSize(original.size, locale)} → <strong>{formatFileSize(entry.file.size, locale)}</strong>
+            {' '}({saving >= 0 ? '−' : '+'}{Math.abs(Math.round(saving * 100))}%)
+          </span>
+        )}
+        {entry.imageError && <span className="text-red-600">{entry.imageError}</span>}
+      </div>
+
+      {isOpen && (
+        <div className="grid grid-cols-2 gap-2 mt-2 bg-surface border border-line rounded-lg p-3">
+          <label className="col-span-2">
+            <input
+              type="checkbox"
+              checked={options.stripMetadata || options.format !== 'original' || Boolean(options.maxDimension)}
+              disabled={disabled || options.format !== 'original' || Boolean(options.maxDimension)}
+              onChange={(e) => update({ stripMetadata: e.target.checked })}
+              className="mr-2"
+            />
+            {t('image.stripMetadata')}
+          </label>
+          <label>
+            {t('image.format')}
+            <select
+              value={options.format}
+              disabled={disabled}
+              onChange={(e) => update({ format: e.target.value })}
+              className="block w-full border border-line rounded px-1 py-1"
+            >
+              {IMAGE_FORMATS.map(format => (
+                <option key={format.value} value={format.value}>{format.label || t('image.keepFormat')}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            {t('image.maxSize')}
+            <select
+              value={options.maxDimension ?? ''}
+              disabled={disabled}
+              onChange={(e) => update({ maxDimension: e.target.value ? Number(e.target.value) : null })}
+              className="block w-full border border-line rounded px-1 py-1"
+            >
+              {MAX_DIMENSIONS.map(size => (
+                <option key={size ?? 'original'} value={size ?? ''}>{size ? `${size}px` : t('image.original')}</option>
+              ))}
+            </select>
+          </label>
+          {(options.format !== 'original' || options.maxDimension) && (
+            <label className="col-span-2">
+              {t('image.quality', { percent: Math.round(quality * 100) })}
+              <input
+                type="range"
+                min="0.3"
+                max="1"
+                step="0.05"
+                value={quality}
+                disabled={disabled}
+                onChange={(e) => setDraftQuality(Number(e.target.value))}
+                onPointerUp={commitQuality}
+                onKeyUp={commitQuality}
+                onBlur={commitQuality}
+                className="block w-full"
+              />
+            </label>
+          )}
+          <p className="col-span-2 text-content-subtle">{t('image.metadataNote')}</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ImageOptions;
@@ -0,0 +1,24 @@
+import React from 'react';
+import { useI18n } from '../hooks/useI18n';
+import { LOCALES } from '../lib/i18n';
+
+// Top-left toolbar, opposite the server status pill; the choice is remembered in this browser
+const LanguagePicker = () => {
+  const { locale, t, setLocale } = useI18n();
+
+  return (
+    <select
+      value={locale}
+      onChange={(e) => setLocale(e.target.value)}
+      aria-label={t('common.language')}
+      title={t('common.language')}
+      className="bg-surface/90 text-content text-xs px-2 py-1 rounded-full shadow"
+    >
+      {LOCALES.map(({ code, name }) => (
+        <option key={code} value={code} lang={code}>{name}</option>
+      ))}
+    </select>
+  );
+};
+
+export default LanguagePicker;
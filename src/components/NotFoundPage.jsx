@@ -0,0 +1,29 @@
+import React from 'react';
+import { Link } from '../router';
+import { useI18n } from '../hooks/useI18n';
+
+const NotFoundPage = () => {
+  const { t } = useI18n();
+  // The path is set in monospace, so the sentence is split around it
+  const [before, after] = t('notFound.message').split('{path}');
+
+  return (
+    <div className="page">
+      <div className="card max-w-md">
+        <div className="text-6xl mb-6" aria-hidden="true">🧭</div>
+        <h2 className="text-2xl font-light text-content mb-4">{t('notFound.title')}</h2>
+        <p className="text-content-muted mb-6">
+          {before}<span className="font-mono break-all">{window.location.pathname}</span>{after}
+        </p>
+        <Link
+          to="/"
+          className="block w-full btn-primary"
+        >
+          {t('common.uploadFiles')}
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default NotFoundPage;
@@ -0,0 +1,213 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { describeError, isAbortError } from '../api/errors';
+import { receiveFiles } from '../lib/peerTransfer';
+import { pickFileSinks } from '../lib/streamDownload';
+import { formatFileSize, formatDuration } from '../lib/format';
+import { applyLinkLocale, parseLocaleFragment } from '../lib/i18n';
+import { useI18n } from '../hooks/useI18n';
+import { useThrottledAnnouncement } from '../hooks/useThrottledAnnouncement';
+
+// Recipient side of a direct transfer (lib/peerTransfer): the sender's browser streams the files
+// straight into this one, so there is nothing to look up on the backend.
+const PeerDownloadPage = ({ navigate, params }) => {
+  const { roomId } = params;
+  // waiting, connecting, connected, offer, transferring, done, error
+  const [status, setStatus] = useState('waiting');
+  const [files, setFiles] = useState([]);
+  const [progress, setProgress] = useState(null);
+  const [results, setResults] = useState({}); // file index -> checksum matched
+  const [failure, setFailure] = useState(null); // describeError() output
+  const { locale, t } = useI18n();
+  const acceptRef = useRef(null);
+  const headingRef = useRef(null);
+  const previousStatusRef = useRef(status);
+
+  // Show the page in the sender's language, unless the recipient picked one themselves
+  useEffect(() => {
+    applyLinkLocale(parseLocaleFragment(window.location.hash));
+  }, []);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    receiveFiles(roomId, {
+      onStatus: setStatus,
+      // Saving needs a click, so the transfer waits here until the recipient accepts
+      onManifest: (manifest) => new Promise((resolve) => {
+        acceptRef.current = resolve;
+        setFiles(manifest);
+        setStatus('offer');
+      }),
+      onProgress: setProgress,
+      onFileResult: (index, ok) => setResults(current => ({ ...current, [index]: ok })),
+      signal: controller.signal,
+    })
+      .then(() => setStatus('done'))
+      .catch((error) => {
+        if (isAbortError(error)) return;
+        console.error('Direct transfer error:', error);
+        setFailure(describeError(error));
+        setStatus('error');
+      });
+    return () => controller.abort();
+  }, [roomId]);
+
+  // Each step replaces the whole card, so focus moves to its heading instead of getting lost
+  useEffect(() => {
+    const previous = previousStatusRef.current;
+    previousStatusRef.current = status;
+    if (previous !== status) headingRef.current?.focus();
+  }, [status]);
+
+  const percent = progress?.total ? (progress.received / progress.total) * 100 : 0;
+  const announcement = useThrottledAnnouncement(
+    status === 'transferring' ? t('peer.progressAnnouncement', { percent: Math.round(percent) }) : ''
+  );
+
+  // Where to save is asked right here, while the click still allows a picker
+  const accept = async () => {
+    const resolve = acceptRef.current;
+    if (!resolve) return;
+    acceptRef.current = null;
+    try {
+      resolve(await pickFileSinks(files));
+    } catch (error) {
+      // A dismissed dialog leaves the offer open, so they can accept again
+      if (isAbortError(error)) {
+        acceptRef.current = resolve;
+        return;
+      }
+      setFailure(describeError(error));
+      setStatus('error');
+    }
+  };
+
+  const goToUpload = () => {
+    navigate('/');
+  };
+
+  const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+  const hasMismatch = Object.values(results).some(ok => !ok);
+
+  const fileList = (
+    <ul className="text-left text-sm mb-6 space-y-1 max-h-60 overflow-y-auto">
+      {files.map((file, index) => (
+        <li key={index} className="flex justify-between gap-3 bg-surface-muted rounded-lg px-3 py-2">
+          <span className="truncate text-content">{file.path}</span>
+          <span className="shrink-0 text-content-subtle">
+            {index in results
+              ? <span className={results[index] ? 'text-green-600' : 'text-red-600'}>{results[index] ? t('peer.verified') : t('peer.mismatch')}</span>
+              : formatFileSize(file.size, locale)}
+          </span>
+        </li>
+      ))}
+    </ul>
+  );
+
+  if (status === 'error') {
+    return (
+      <div className="page page-danger">
+        <div className="card max-w-md">
+          <div className="text-6xl mb-6" aria-hidden="true">❌</div>
+          <h2 ref={headingRef} tabIndex={-1} className="text-2xl font-light text-content focus:outline-none mb-4">{failure.title}</h2>
+          <p className="text-content-muted mb-2">{failure.message}</p>
+          <p className="text-sm text-content-subtle mb-6">{failure.action}</p>
+          <button onClick={goToUpload} className="w-full btn-secondary">
+            {t('common.uploadNewFiles')}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (status === 'done') {
+    return (
+      <div className={hasMismatch ? 'page page-danger' : 'page page-success'}>
+        <div className="card max-w-md">
+          <div className="text-6xl mb-6" aria-hidden="true">{hasMismatch ? '⚠️' : '✅'}</div>
+          <h2 ref={headingRef} tabIndex={-1} className="text-2xl font-light text-content focus:outline-none mb-4">{t('peer.receive.doneTitle')}</h2>
+          {hasMismatch ? (
+            <p role="alert" className="bg-red-50 text-red-700 text-sm p-3 rounded-lg mb-6">{t('peer.receive.mismatchMessage')}</p>
+          ) : (
+            <p className="text-content-muted mb-6">{t('peer.receive.doneMessage')}</p>
+          )}
+          {fileList}
+          <button onClick={goToUpload} className="w-full btn-secondary">
+            {t('common.uploadNewFiles')}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (status === 'offer' || status === 'transferring') {
+    return (
+      <div className="page">
+        <div className="card max-w-md">
+          <div className="text-6xl mb-6" aria-hidden="true">{status === 'offer' ? '📡' : '📥'}</div>
+          <h2 ref={headingRef} tabIndex={-1} className="text-2xl font-light text-content focus:outline-none mb-2">
+            {status === 'offer' ? t('peer.receive.offerTitle', { count: files.length }) : t('peer.receive.receivingTitle')}
+          </h2>
+          <p className="text-sm text-content-subtle mb-6">
+            {formatFileSize(totalSize, locale)}
+            {status === 'offer' && <> · {t('peer.receive.offerMessage')}</>}
+          </p>
+          {fileList}
+
+          {status === 'offer' ? (
+            <button onClick={accept} className="w-full btn-primary">
+              {t('peer.receive.accept')}
+            </button>
+          ) : (
+            <>
+              <div
+                role="progressbar"
+                aria-label={t('peer.progressLabel')}
+                aria-valuemin={0}
+                aria-valuemax={100}
+                aria-valuenow={Math.round(percent)}
+                className="w-full bg-surface-sunken rounded-full h-2 mb-3 overflow-hidden"
+              >
+                <div
+                  className="bg-gradient-to-r from-brand-from to-brand-via h-2 rounded-full transition-all duration-300 motion-reduce:transition-none"
+                  style={{ width: `${percent}%` }}
+                ></div>
+              </div>
+              <div className="flex justify-between text-sm text-content-muted mb-1">
+                <span>
+                  {t('download.progressOf', {
+                    received: formatFileSize(progress?.received || 0, locale),
+                    total: formatFileSize(totalSize, locale),
+                  })}
+                </span>
+                <span>{Math.round(percent)}%</span>
+              </div>
+              <div className="flex justify-between text-xs text-content-subtle">
+                <span>{t('download.perSecond', { size: formatFileSize(progress?.bytesPerSecond || 0, locale) })}</span>
+                <span>{progress?.eta != null ? t('download.timeLeft', { duration: formatDuration(progress.eta, locale) }) : ''}</span>
+              </div>
+            </>
+          )}
+          <div role="status" className="sr-only">{announcement}</div>
+        </div>
+      </div>
+    );
+  }
+
+  // waiting, connecting and connected (the file list is on its way)
+  const isWaiting = status === 'waiting';
+  return (
+    <div className="page">
+      <div className="card max-w-md">
+        <div aria-hidden="true" className="motion-safe:animate-spin w-16 h-16 border-4 border-brand-from border-t-transparent rounded-full mx-auto mb-6"></div>
+        <h2 ref={headingRef} tabIndex={-1} className="text-2xl font-light text-content focus:outline-none mb-4">
+          {isWaiting ? t('peer.receive.waitingTitle') : t('peer.receive.connectingTitle')}
+        </h2>
+        <p role="status" className="text-content-muted">
+          {isWaiting ? t('peer.receive.waitingMessage') : t('peer.receive.connectingMessage')}
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default PeerDownloadPage;
@@ -0,0 +1,152 @@
+import React, { useEffect, useState } from 'react';
+import { describeError, isAbortError } from '../api/errors';
+import { buildRoomUrl, createRoomId, sendFiles } from '../lib/peerTransfer';
+import { buildLocaleFragment } from '../lib/i18n';
+import { copyText } from '../lib/clipboard';
+import { formatFileSize, formatDuration } from '../lib/format';
+import { useI18n } from '../hooks/useI18n';
+import { useThrottledAnnouncement } from '../hooks/useThrottledAnnouncement';
+import QrCodePanel from './QrCodePanel';
+
+// "Send directly": opens a room for `files` ([{ file, path }]), shows its link and QR code, and
+// streams the files to whoever opens it (lib/peerTransfer). Closing the panel cancels the transfer.
+const PeerSendPanel = ({ files, onClose }) => {
+  const { locale, t } = useI18n();
+  const [roomId] = useState(createRoomId);
+  const [status, setStatus] = useState('waiting'); // waiting, connecting, connected, transferring, done
+  const [progress, setProgress] = useState(null);
+  const [results, setResults] = useState({}); // file index -> checksum matched on the other side
+  const [failure, setFailure] = useState(null); // describeError() output
+  const [copySuccess, setCopySuccess] = useState(false);
+  const roomUrl = buildRoomUrl(roomId, buildLocaleFragment(locale));
+
+  useEffect(() => {
+    const controller = new AbortController();
+    sendFiles(roomId, files, {
+      onStatus: setStatus,
+      onProgress: setProgress,
+      onFileResult: (index, ok) => setResults(current => ({ ...current, [index]: ok })),
+      signal: controller.signal,
+    })
+      .then(() => setStatus('done'))
+      .catch((error) => {
+        if (isAbortError(error)) return;
+        console.error('Direct transfer error:', error);
+        setFailure(describeError(error));
+      });
+    return () => controller.abort();
+  }, [roomId, files]);
+
+  const percent = progress?.total ? (progress.received / progress.total) * 100 : 0;
+  const isActive = status === 'transferring' && !failure;
+  const announcement = useThrottledAnnouncement(
+    isActive ? t('peer.progressAnnouncement', { percent: Math.round(percent) }) : ''
+  );
+
+  const copyLink = async () => {
+    await copyText(roomUrl);
+    setCopySuccess(true);
+    setTimeout(() => setCopySuccess(false), 2000);
+  };
+
+  return (
+    <div className="bg-surface-muted rounded-2xl p-6 mb-6 text-left">
+      <h3 className="text-xl font-light text-content mb-2">{t('peer.title')}</h3>
+
+      {status === 'waiting' && !failure && (
+        <>
+          <p className="text-sm text-content-muted mb-4">{t('peer.intro')}</p>
+          <div className="flex gap-3 mb-4 flex-wrap">
+            <input
+              type="text"
+              value={roomUrl}
+              readOnly
+              aria-label={t('peer.linkLabel')}
+              className="flex-1 px-4 py-2 rounded-full border border-line text-sm min-w-48"
+            />
+            <button
+              onClick={copyLink}
+              className="bg-surface-sunken text-content px-4 py-2 rounded-full text-sm hover:bg-surface-strong transition-colors"
+            >
+              {copySuccess ? t('common.copied') : t('common.copy')}
+            </button>
+          </div>
+          <div className="text-center mb-4">
+            <div className="inline-block">
+              <QrCodePanel url={roomUrl} />
+            </div>
+          </div>
+        </>
+      )}
+
+      {failure ? (
+        <div role="alert" className="bg-red-50 text-red-700 text-sm p-3 rounded-lg mb-4">
+          <div className="font-medium">{failure.title}</div>
+          <div>{failure.message}</div>
+          <div className="text-xs mt-1">{failure.action}</div>
+        </div>
+      ) : (
+        <p role="status" className="text-sm text-content mb-4">{t(`peer.status.${status}`)}</p>
+      )}
+
+      {(status === 'transferring' || status === 'done') && (
+        <>
+          <div
+            role="progressbar"
+            aria-label={t('peer.progressLabel')}
+            aria-valuemin={0}
+            aria-valuemax={100}
+            aria-valuenow={Math.round(percent)}
+            className="w-full bg-surface-sunken rounded-full h-2 mb-2 overflow-hidden"
+          >
+            <div
+              className="bg-gradient-to-r from-brand-from to-brand-via h-2 rounded-full transition-all duration-300 motion-reduce:transition-none"
+              style={{ width: `${percent}%` }}
+            ></div>
+          </div>
+          <div className="flex justify-between text-xs text-content-subtle mb-4">
+            <span>
+              {t('download.progressOf', {
+                received: formatFileSize(progress?.received || 0, locale),
+                total: formatFileSize(progress?.total || 0, locale),
+              })}
+            </span>
+            {isActive && (
+              <span>
+                {t('download.perSecond', { size: formatFileSize(progress?.bytesPerSecond || 0, locale) })}
+                {progress?.eta != null && ` · ${t('download.timeLeft', { duration: formatDuration(progress.eta, locale) })}`}
+              </span>
+            )}
+          </div>
+        </>
+      )}
+
+      {Object.keys(results).length > 0 && (
+        <ul className="text-sm mb-4 space-y-1">
+          {files.map(({ file, path }, index) => index in results && (
+            <li key={index} className="flex justify-between gap-3">
+              <span className="truncate text-content">{path || file.name}</span>
+              <span className={results[index] ? 'text-green-600' : 'text-red-600'}>
+                {results[index] ? t('peer.verified') : t('peer.mismatch')}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {status !== 'done' && !failure && (
+        <p className="text-xs text-content-subtle mb-4">{t('peer.keepOpen')} {t('peer.optionsIgnored')}</p>
+      )}
+
+      <button
+        onClick={onClose}
+        className="btn-secondary px-6 py-2 text-sm"
+      >
+        {status === 'done' || failure ? t('peer.back') : t('peer.cancel')}
+      </button>
+      <div role="status" className="sr-only">{announcement}</div>
+    </div>
+  );
+};
+
+export default PeerSendPanel;
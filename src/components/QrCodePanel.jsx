@@ -0,0 +1,119 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { encodeQr, qrToSvg, drawQrToCanvas, ERROR_CORRECTION_LEVELS } from '../lib/qr';
+import { useI18n } from '../hooks/useI18n';
+
+const SIZES = [128, 200, 256, 512];
+
+const saveBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+// QR code for a share link, generated in the browser, with size/colour options and PNG/SVG export
+const QrCodePanel = ({ url }) => {
+  const [size, setSize] = useState(200);
+  const [level, setLevel] = useState('M');
+  const [foreground, setForeground] = useState('#000000');
+  const [background, setBackground] = useState('#ffffff');
+  // Only a link too long to encode can fail, since the levels all come from ERROR_CORRECTION_LEVELS
+  const [tooLong, setTooLong] = useState(false);
+  const { t } = useI18n();
+  const canvasRef = useRef(null);
+  const options = { size, foreground, background };
+
+  useEffect(() => {
+    try {
+      drawQrToCanvas(encodeQr(url, { level }), canvasRef.current, { size, foreground, background });
+      setTooLong(false);
+    } catch {
+      setTooLong(true);
+    }
+  }, [url, level, size, foreground, background]);
+
+  const downloadPng = () => {
+    canvasRef.current.toBlob(blob => saveBlob(blob, 'file-share-qr.png'), 'image/png');
+  };
+
+  const downloadSvg = () => {
+    const svg = qrToSvg(encodeQr(url, { level }), options);
+    saveBlob(new Blob([svg], { type: 'image/svg+xml' }), 'file-share-qr.svg');
+  };
+
+  return (
+    <div className="bg-white p-4 rounded-lg shadow-lg text-gray-700">
+      {tooLong && <p className="text-sm text-red-600">{t('qr.tooLong')}</p>}
+      {/* Stays mounted while hidden, so a shorter link or lower level can be drawn into it again */}
+      <canvas ref={canvasRef} className={`max-w-48 h-auto mx-auto ${tooLong ? 'hidden' : 'block'}`} />
+
+      <div className="grid grid-cols-2 gap-2 mt-4 text-xs text-left">
+        <label>
+          {t('qr.size')}
+          <select
+            value={size}
+            onChange={(e) => setSize(Number(e.target.value))}
+            className="block w-full border border-gray-300 rounded px-1 py-1"
+          >
+            {SIZES.map(value => (
+              <option key={value} value={value}>{value}px</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          {t('qr.errorCorrection')}
+          <select
+            value={level}
+            onChange={(e) => setLevel(e.target.value)}
+            className="block w-full border border-gray-300 rounded px-1 py-1"
+          >
+            {ERROR_CORRECTION_LEVELS.map(value => (
+              <option key={value} value={value}>{value}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          {t('qr.colour')}
+          <input
+            type="color"
+            value={foreground}
+            onChange={(e) => setForeground(e.target.value)}
+            className="block w-full h-7"
+          />
+        </label>
+        <label>
+          {t('qr.background')}
+          <input
+            type="color"
+            value={background}
+            onChange={(e) => setBackground(e.target.value)}
+            className="block w-full h-7"
+          />
+        </label>
+      </div>
+
+      <div className="flex gap-2 mt-4">
+        <button
+          onClick={downloadPng}
+          disabled={tooLong}
+          className="flex-1 bg-gray-100 px-3 py-2 rounded-full text-xs hover:bg-gray-200 transition-colors disabled:opacity-60"
+        >
+          ⬇️ PNG
+        </button>
+        <button
+          onClick={downloadSvg}
+          disabled={tooLong}
+          className="flex-1 bg-gray-100 px-3 py-2 rounded-full text-xs hover:bg-gray-200 transition-colors disabled:opacity-60"
+        >
+          ⬇️ SVG
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default QrCodePanel;
@@ -0,0 +1,35 @@
+import React from 'react';
+import { useServerStatus } from '../hooks/useServerStatus';
+import { useI18n } from '../hooks/useI18n';
+import { formatDuration } from '../lib/format';
+
+const STATUS_DOTS = {
+  unknown: 'bg-gray-300',
+  checking: 'bg-gray-400 motion-safe:animate-pulse',
+  waking: 'bg-yellow-400 motion-safe:animate-pulse',
+  online: 'bg-green-400',
+  offline: 'bg-red-400',
+  unreachable: 'bg-red-500',
+};
+
+// Small pill in the corner of every page; click it to check again when the server is unreachable
+const ServerStatusIndicator = () => {
+  const { status, elapsed, recheck } = useServerStatus();
+  const { locale, t } = useI18n();
+  const label = t(`server.${status}`);
+
+  return (
+    <button
+      onClick={recheck}
+      disabled={status === 'checking' || status === 'waking'}
+      title={status === 'unreachable' ? t('server.checkAgain') : label}
+      className="fixed top-3 right-3 z-10 flex items-center gap-2 bg-surface/90 text-content text-xs px-3 py-1 rounded-full shadow"
+    >
+      <span aria-hidden="true" className={`w-2 h-2 rounded-full ${STATUS_DOTS[status]}`}></span>
+      {label}
+      {status === 'waking' && elapsed != null && ` · ${formatDuration(elapsed, locale)}`}
+    </button>
+  );
+};
+
+export default ServerStatusIndicator;
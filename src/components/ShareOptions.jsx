@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import { EXPIRY_OPTIONS, MAX_DOWNLOADS_LIMIT, MAX_MESSAGE_LENGTH } from '../config';
+import { useI18n } from '../hooks/useI18n';
+import { formatTimeSpan } from '../lib/format';
+
+// Lifetime and recipient message for the share being uploaded; options as in SHARE_DEFAULTS
+const ShareOptions = ({ options, onChange, disabled }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const { locale, t } = useI18n();
+
+  const update = (patch) => onChange({ ...options, ...patch });
+
+  const summary = [
+    t('shareOptions.expiresAfter', { lifetime: formatTimeSpan(options.expiresIn, locale) }),
+    options.burnAfterReading && t('shareOptions.burnSummary'),
+    !options.burnAfterReading && options.maxDownloads && t('shareOptions.downloadsSummary', { count: options.maxDownloads }),
+  ].filter(Boolean).join(' · ');
+
+  return (
+    <div className="text-left bg-surface-muted rounded-lg p-4 mb-4">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        aria-expanded={isOpen}
+        className="w-full flex justify-between items-center text-sm text-content"
+      >
+        <span>{t('shareOptions.title')}</span>
+        <span className="text-xs text-content-subtle" aria-hidden={isOpen}>{isOpen ? '▲' : summary}</span>
+      </button>
+
+      {isOpen && (
+        <div className="mt-4 space-y-3 text-sm text-content-muted">
+          <label className="flex justify-between items-center gap-3">
+            {t('shareOptions.deleteAfter')}
+            <select
+              value={options.expiresIn}
+              disabled={disabled}
+              onChange={(e) => update({ expiresIn: Number(e.target.value) })}
+              className="border border-line rounded px-2 py-1"
+            >
+              {EXPIRY_OPTIONS.map(seconds => (
+                <option key={seconds} value={seconds}>{formatTimeSpan(seconds, locale)}</option>
+              ))}
+            </select>
+          </label>
+
+          <label className="flex justify-between items-center gap-3">
+            {t('shareOptions.maxDownloads')}
+            <input
+              type="number"
+              min="1"
+              max={MAX_DOWNLOADS_LIMIT}
+              value={options.burnAfterReading ? 1 : options.maxDownloads ?? ''}
+              disabled={disabled || options.burnAfterReading}
+              onChange={(e) => {
+                const value = parseInt(e.target.value, 10);
+                update({ maxDownloads: value > 0 ? Math.min(value, MAX_DOWNLOADS_LIMIT) : null });
+              }}
+              placeholder={t('shareOptions.unlimited')}
+              className="w-28 border border-line rounded px-2 py-1"
+            />
+          </label>
+
+          <label className="block">
+            <input
+              type="checkbox"
+              checked={options.burnAfterReading}
+              disabled={disabled}
+              onChange={(e) => update({ burnAfterReading: e.target.checked })}
+              className="mr-2"
+            />
+            {t('shareOptions.burnAfterReading')}
+          </label>
+
+          <label className="block">
+            {t('shareOptions.message')}
+            <textarea
+              value={options.message}
+              disabled={disabled}
+              maxLength={MAX_MESSAGE_LENGTH}
+              onChange={(e) => update({ message: e.target.value })}
+              rows={3}
+              className="block w-full mt-1 border border-line rounded px-3 py-2"
+            />
+            <span className="block text-right text-xs text-content-subtle">
+              {options.message.length}/{MAX_MESSAGE_LENGTH}
+            </span>
+          </label>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ShareOptions;
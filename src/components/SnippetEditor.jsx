@@ -0,0 +1,77 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { createSnippetFile, suggestSnippetName } from '../lib/paste';
+import { formatFileSize } from '../lib/format';
+import { useI18n } from '../hooks/useI18n';
+
+// Writes or tidies up a text snippet before it joins the selection as a file.
+// The filename follows the text until the user edits it.
+const SnippetEditor = ({ initialText = '', onAdd, onCancel }) => {
+  const [text, setText] = useState(initialText);
+  const [filename, setFilename] = useState(initialText ? suggestSnippetName(initialText) : '');
+  const [nameEdited, setNameEdited] = useState(false);
+  const { locale, t } = useI18n();
+  const textRef = useRef(null);
+
+  useEffect(() => {
+    textRef.current?.focus();
+  }, []);
+
+  const updateText = (value) => {
+    setText(value);
+    if (!nameEdited) setFilename(value.trim() ? suggestSnippetName(value) : '');
+  };
+
+  const add = () => {
+    if (!text.trim()) return;
+    onAdd(createSnippetFile(text, filename));
+  };
+
+  return (
+    <div className="text-left bg-surface-muted rounded-lg p-4 mb-6">
+      <div className="flex justify-between items-center gap-3 mb-2">
+        <input
+          type="text"
+          value={filename}
+          onChange={(e) => {
+            setFilename(e.target.value);
+            setNameEdited(true);
+          }}
+          placeholder="snippet.txt"
+          aria-label={t('snippet.filename')}
+          className="flex-1 border border-line rounded px-3 py-1 text-sm"
+        />
+        <span className="text-xs text-content-subtle shrink-0">{formatFileSize(new Blob([text]).size, locale)}</span>
+      </div>
+      <textarea
+        ref={textRef}
+        value={text}
+        onChange={(e) => updateText(e.target.value)}
+        // Ctrl/Cmd+Enter adds the snippet without reaching for the mouse
+        onKeyDown={(e) => {
+          if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) add();
+        }}
+        rows={10}
+        spellCheck={false}
+        placeholder={t('snippet.placeholder')}
+        className="block w-full border border-line rounded px-3 py-2 font-mono text-sm"
+      />
+      <div className="flex justify-end gap-2 mt-3">
+        <button
+          onClick={onCancel}
+          className="bg-surface-sunken text-content px-4 py-2 rounded-full text-sm hover:bg-surface-strong transition-colors"
+        >
+          {t('snippet.discard')}
+        </button>
+        <button
+          onClick={add}
+          disabled={!text.trim()}
+          className="bg-gradient-to-r from-brand-from to-brand-via text-white px-4 py-2 rounded-full text-sm hover:shadow-lg transition-all disabled:opacity-60"
+        >
+          {t('snippet.add')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SnippetEditor;
@@ -0,0 +1,26 @@
+import React from 'react';
+import { useI18n } from '../hooks/useI18n';
+import { useTheme } from '../hooks/useTheme';
+import { THEME_MODES } from '../lib/theme';
+
+// Sits next to the language picker; 'system' follows the OS and is the default
+const ThemeToggle = () => {
+  const { t } = useI18n();
+  const { mode, setMode } = useTheme();
+
+  return (
+    <select
+      value={mode}
+      onChange={(e) => setMode(e.target.value)}
+      aria-label={t('theme.label')}
+      title={t('theme.label')}
+      className="bg-surface/90 text-content text-xs px-2 py-1 rounded-full shadow"
+    >
+      {THEME_MODES.map(value => (
+        <option key={value} value={value}>{t(`theme.${value}`)}</option>
+      ))}
+    </select>
+  );
+};
+
+export default ThemeToggle;
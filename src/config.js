@@ -0,0 +1,52 @@
+// Upload limits shared by the validation layer and the UI copy, so the two can't drift apart.
+// Empty allow-lists mean "anything"; MIME entries may use wildcards such as 'image/*'.
+export const UPLOAD_RULES = {
+  maxFiles: 10,
+  maxFileSize: 50 * 1024 * 1024,
+  maxTotalSize: 500 * 1024 * 1024,
+  allowedExtensions: [],
+  blockedExtensions: ['exe', 'msi', 'bat', 'cmd', 'com', 'scr', 'vbs'],
+  allowedMimeTypes: [],
+  blockedMimeTypes: ['application/x-msdownload', 'application/x-msdos-program'],
+  allowEmptyFiles: false,
+};
+
+// Lifetime choices offered at upload time, in seconds (labelled in the UI's language)
+export const EXPIRY_OPTIONS = [
+  60 * 60,
+  6 * 60 * 60,
+  24 * 60 * 60,
+  3 * 24 * 60 * 60,
+  7 * 24 * 60 * 60,
+];
+
+export const SHARE_DEFAULTS = {
+  expiresIn: 24 * 60 * 60,
+  maxDownloads: null, // unlimited
+  burnAfterReading: false,
+  message: '',
+};
+
+export const MAX_DOWNLOADS_LIMIT = 100;
+export const MAX_MESSAGE_LENGTH = 500;
+
+// Direct browser-to-browser transfers (lib/peerTransfer). Nothing is stored on the backend,
+// so its size limits don't apply; the blocked types still do.
+export const PEER_TRANSFER = {
+  iceServers: [{ urls: 'stun:stun.l.google.com:19302' }],
+  chunkSize: 64 * 1024, // per DataChannel message; larger ones aren't safe across browsers
+  readSize: 1024 * 1024, // read from disk at a time, then split into chunks
+  // Stop sending above `high` bytes queued in the channel, carry on once it drains below `low`
+  bufferedAmountHigh: 4 * 1024 * 1024,
+  bufferedAmountLow: 1024 * 1024,
+  // The recipient acks every `ackSize` bytes it has saved, and the sender never gets more than
+  // `receiveWindow` bytes ahead of the last ack, so a slow disk doesn't pile chunks up in memory
+  receiveWindow: 8 * 1024 * 1024,
+  ackSize: 1024 * 1024,
+  rules: {
+    ...UPLOAD_RULES,
+    maxFiles: Infinity,
+    maxFileSize: Infinity,
+    maxTotalSize: Infinity,
+  },
+};
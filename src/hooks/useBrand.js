@@ -0,0 +1,5 @@
+import { useSyncExternalStore } from 'react';
+import { getBrand, subscribeBrand } from '../lib/brand';
+
+// Brand config from /brand.json (lib/brand); the defaults until it has loaded
+export const useBrand = () => useSyncExternalStore(subscribeBrand, getBrand);
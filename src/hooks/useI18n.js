@@ -0,0 +1,9 @@
+import { useSyncExternalStore } from 'react';
+import { getLocale, setLocale, subscribeLocale, translate } from '../lib/i18n';
+
+// Current language from lib/i18n and a `t` bound to it; components re-render when it changes
+export const useI18n = () => {
+  const locale = useSyncExternalStore(subscribeLocale, getLocale);
+  const t = (key, params) => translate(key, params, locale);
+  return { locale, t, setLocale };
+};
@@ -0,0 +1,26 @@
+import { useEffect, useState, useSyncExternalStore } from 'react';
+import { checkServer, getServerStatus, subscribeServerStatus } from '../api/health';
+
+// Backend status from api/health, plus how long it has been waking up (in seconds).
+// Pages that are about to talk to the server pass check: true to ping it on mount.
+export const useServerStatus = ({ check = false } = {}) => {
+  const status = useSyncExternalStore(subscribeServerStatus, getServerStatus);
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (check) checkServer();
+  }, [check]);
+
+  useEffect(() => {
+    if (status.status !== 'waking') return;
+    setNow(Date.now());
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [status.status]);
+
+  return {
+    ...status,
+    elapsed: status.wakingSince ? Math.max(0, (now - status.wakingSince) / 1000) : null,
+    recheck: () => checkServer({ force: true }),
+  };
+};
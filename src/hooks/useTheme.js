@@ -0,0 +1,8 @@
+import { useSyncExternalStore } from 'react';
+import { getThemeMode, setThemeMode, subscribeThemeMode } from '../lib/theme';
+
+// Current theme mode from lib/theme ('light', 'dark' or 'system')
+export const useTheme = () => {
+  const mode = useSyncExternalStore(subscribeThemeMode, getThemeMode);
+  return { mode, setMode: setThemeMode };
+};
@@ -0,0 +1,25 @@
+import { useEffect, useRef, useState } from 'react';
+
+// Text for an aria-live region that follows `message` at most once per `interval` ms, so screen
+// readers hear "40% complete" every few seconds instead of every progress event. The latest
+// message always gets through once the interval is up.
+export const useThrottledAnnouncement = (message, interval = 5000) => {
+  const [announcement, setAnnouncement] = useState('');
+  const lastRef = useRef(0);
+
+  useEffect(() => {
+    const announce = () => {
+      lastRef.current = Date.now();
+      setAnnouncement(message);
+    };
+    const wait = lastRef.current + interval - Date.now();
+    if (wait <= 0) {
+      announce();
+      return;
+    }
+    const timer = setTimeout(announce, wait);
+    return () => clearTimeout(timer);
+  }, [message, interval]);
+
+  return announcement;
+};
@@ -0,0 +1,396 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { uploadFileInChunks, forgetUploads, getPendingUploads, getFileKey } from '../lib/chunkedUpload';
+import { hashFile } from '../lib/hash';
+import { createEncryptor, encryptFile } from '../lib/crypto';
+import { describeError } from '../api/errors';
+import { getUploadMode, uploadForm } from '../api/client';
+import { processImage, isDefaultImageOptions, renameForType } from '../lib/imageProcessing';
+import { folderOf } from '../lib/folders';
+
+export const DEFAULT_CONCURRENCY = 2;
+
+let nextEntryId = 0;
+
+const createEntry = (file, overrides = {}) => ({
+  id: ++nextEntryId,
+  file,
+  relativePath: file.name,
+  status: 'queued', // queued, uploading, paused, done, failed
+  progress: 0,
+  error: null, // describeError() of the last failure
+  uploadId: null,
+  hash: null, // SHA-256 of file, sent with the completed share
+  // Image entries: the file as picked and the options that turned it into `file`
+  originalFile: null,
+  originalRelativePath: null,
+  imageOptions: null,
+  processing: false,
+  imageError: null,
+  ...overrides,
+});
+
+// Per-file upload queue. In 'chunked' mode (see api/client) every entry uploads on its own, up to
+// `concurrency` at a time, and can be paused and resumed. In 'form' mode the queued entries go up
+// together in one request, which already creates the share.
+// Once every entry is done, onComplete receives the finished entries, plus the form upload's
+// response in 'form' mode. onError(error) gets the describeError() output of every failure.
+export const useUploadQueue = ({ onComplete, onError }) => {
+  const [entries, setEntriesState] = useState([]);
+  const [isRunning, setIsRunning] = useState(false);
+  const [concurrency, setConcurrency] = useState(DEFAULT_CONCURRENCY);
+  const controllersRef = useRef({});
+  const finalizingRef = useRef(false);
+  const onCompleteRef = useRef(onComplete);
+  const onErrorRef = useRef(onError);
+  const entriesRef = useRef(entries);
+  const encryptionRef = useRef(null);
+  const encryptorsRef = useRef({});
+  const shareRef = useRef({});
+  const imageRequestsRef = useRef({}); // entry id -> token of its latest setImageOptions call
+  const responseRef = useRef(null);
+  const resumable = getUploadMode() === 'chunked';
+
+  useEffect(() => {
+    onCompleteRef.current = onComplete;
+    onErrorRef.current = onError;
+  }, [onComplete, onError]);
+
+  // Every change goes through the ref first, so async callers (addFiles, setImageOptions)
+  // always see the latest list rather than the one from their render
+  const setEntries = useCallback((update) => {
+    entriesRef.current = typeof update === 'function' ? update(entriesRef.current) : update;
+    setEntriesState(entriesRef.current);
+  }, []);
+
+  const updateEntry = useCallback((id, patch) => {
+    setEntries(current => current.map(entry => entry.id === id ? { ...entry, ...patch } : entry));
+  }, [setEntries]);
+
+  // Interrupted uploads come back paused with the progress the server already acknowledged
+  useEffect(() => {
+    if (getUploadMode() !== 'chunked') return;
+    getPendingUploads().then(pending => {
+      if (pending.length === 0) return;
+      setEntries(current => current.length > 0 ? current : pending.map(({ file, relativePath, sentBytes }) =>
+        createEntry(file, {
+          relativePath,
+          status: 'paused',
+          progress: file.size ? (sentBytes / file.size) * 100 : 0,
+        })
+      ));
+    });
+  }, [setEntries]);
+
+  // One encryptor per entry, reused on resume so every chunk shares the file's salt and nonces
+  const getEncryptor = (id) => {
+    if (!encryptionRef.current) return Promise.resolve(null);
+    if (!encryptorsRef.current[id]) {
+      encryptorsRef.current[id] = createEncryptor(encryptionRef.current);
+    }
+    return encryptorsRef.current[id];
+  };
+
+  const startEntry = useCallback((entry) => {
+    const controller = new AbortController();
+    controllersRef.current[entry.id] = controller;
+    updateEntry(entry.id, { status: 'uploading', error: null });
+
+    const upload = getEncryptor(entry.id).then(encryptor => uploadFileInChunks(entry.file, {
+      relativePath: entry.relativePath,
+      encryptor,
+      onProgress: (sent) => {
+        updateEntry(entry.id, { progress: entry.file.size ? (sent / entry.file.size) * 100 : 0 });
+      },
+      signal: controller.signal,
+    }));
+    // The checksum is worked out in a worker while the chunks are sent
+    const hashing = entry.hash ? Promise.resolve(entry.hash) : hashFile(entry.file);
+
+    Promise.all([upload, hashing])
+      .then(([uploadId, hash]) => updateEntry(entry.id, { status: 'done', progress: 100, uploadId, hash }))
+      .catch(error => {
+        // Pause and cancel abort on purpose and set their own status
+        if (controller.signal.aborted) return;
+        const described = describeError(error);
+        updateEntry(entry.id, { status: 'failed', error: described });
+        onErrorRef.current?.(described);
+      })
+      .finally(() => {
+        delete controllersRef.current[entry.id];
+      });
+  }, [updateEntry]);
+
+  // Form mode: hash (and encrypt) every queued entry, then send them all in one request.
+  // The request's progress is spread over the entries by size.
+  const startBatch = useCallback((batch) => {
+    const controller = new AbortController();
+    batch.forEach(entry => {
+      controllersRef.current[entry.id] = controller;
+    });
+    const ids = new Set(batch.map(entry => entry.id));
+    setEntries(current => current.map(entry =>
+      ids.has(entry.id) ? { ...entry, status: 'uploading', progress: 0, error: null } : entry
+    ));
+    const encrypted = Boolean(encryptionRef.current);
+
+    const prepare = async (entry) => {
+      const hash = entry.hash || await hashFile(entry.file);
+      const encryptor = await getEncryptor(entry.id);
+      const blob = encryptor ? await encryptFile(entry.file, encryptor) : entry.file;
+      return { entry, hash, blob };
+    };
+
+    Promise.all(batch.map(prepare))
+      .then(prepared => {
+        const size = prepared.reduce((sum, { blob }) => sum + blob.size, 0);
+        const onProgress = (loaded, total) => {
+          const sent = total ? (loaded / total) * size : 0;
+          let offset = 0;
+          const progress = new Map(prepared.map(({ entry, blob }) => {
+            const fraction = blob.size ? Math.min(Math.max((sent - offset) / blob.size, 0), 1) : 1;
+            offset += blob.size;
+            return [entry.id, fraction * 100];
+          }));
+          setEntries(current => current.map(entry =>
+            progress.has(entry.id) ? { ...entry, progress: progress.get(entry.id) } : entry
+          ));
+        };
+        const files = prepared.map(({ entry, hash, blob }) => ({
+          blob,
+          name: entry.file.name,
+          relativePath: entry.relativePath,
+          type: entry.file.type,
+          // Digests of the plaintext would tell the server about encrypted contents
+          sha256: encrypted ? null : hash,
+        }));
+        return uploadForm(files, { ...shareRef.current, encrypted }, { onProgress, signal: controller.signal })
+          .then(response => {
+            const hashes = new Map(prepared.map(({ entry, hash }) => [entry.id, hash]));
+            responseRef.current = response;
+            setEntries(current => current.map(entry =>
+              hashes.has(entry.id) ? { ...entry, status: 'done', progress: 100, hash: hashes.get(entry.id) } : entry
+            ));
+          });
+      })
+      .catch(error => {
+        // Cancelling one entry aborts the request for all of them; the rest go again
+        const status = controller.signal.aborted ? 'queued' : 'failed';
+        const described = controller.signal.aborted ? null : describeError(error);
+        setEntries(current => current.map(entry =>
+          ids.has(entry.id) && entry.status === 'uploading'
+            ? { ...entry, status, progress: 0, error: described }
+            : entry
+        ));
+        if (described) onErrorRef.current?.(described);
+      })
+      .finally(() => {
+        ids.forEach(id => {
+          if (controllersRef.current[id] === controller) delete controllersRef.current[id];
+        });
+      });
+  }, [setEntries]);
+
+  // Scheduler: keep up to `concurrency` uploads in flight (one batch in form mode) and finish
+  // once everything is done
+  useEffect(() => {
+    if (!isRunning) return;
+
+    const active = entries.filter(entry => entry.status === 'uploading').length;
+    const waiting = entries.filter(entry => entry.status === 'queued');
+    if (resumable) {
+      waiting.slice(0, Math.max(0, concurrency - active)).forEach(startEntry);
+    } else if (active === 0 && waiting.length > 0) {
+      startBatch(waiting);
+    }
+
+    if (active > 0 || waiting.length > 0) return;
+
+    if (entries.length > 0 && entries.every(entry => entry.status === 'done')) {
+      if (finalizingRef.current) return;
+      finalizingRef.current = true;
+      const response = responseRef.current;
+      responseRef.current = null;
+      Promise.resolve(onCompleteRef.current(entries, response)).finally(() => {
+        finalizingRef.current = false;
+        setIsRunning(false);
+      });
+    } else {
+      // Only paused or failed entries left: wait for the user
+      setIsRunning(false);
+    }
+  }, [entries, isRunning, concurrency, resumable, startEntry, startBatch]);
+
+  const abortEntry = (id) => {
+    controllersRef.current[id]?.abort();
+    delete controllersRef.current[id];
+  };
+
+  // Appends { file, relativePath } items to the selection, skipping files already in it.
+  // Duplicates match on path + size + lastModified, or on a SHA-256 of the contents when
+  // compareContents is set. Resolves with the items that were skipped.
+  const addFiles = async (items, { compareContents = false } = {}) => {
+    let incoming = items.map(item => ({ ...item, hash: null }));
+
+    if (compareContents) {
+      const unhashed = entriesRef.current.filter(entry => !entry.hash);
+      const existingHashes = await Promise.all(unhashed.map(entry => hashFile(entry.file)));
+      unhashed.forEach((entry, index) => updateEntry(entry.id, { hash: existingHashes[index] }));
+      const hashes = await Promise.all(items.map(item => hashFile(item.file)));
+      incoming = items.map((item, index) => ({ ...item, hash: hashes[index] }));
+    }
+
+    // Read after hashing, so files another call added in the meantime count as well
+    const current = entriesRef.current;
+    const seenKeys = new Set(current.map(entry => getFileKey(entry.file, entry.relativePath)));
+    const seenHashes = new Set(current.map(entry => entry.hash).filter(Boolean));
+    const added = [];
+    const duplicates = [];
+
+    incoming.forEach(({ file, relativePath, hash }) => {
+      const key = getFileKey(file, relativePath);
+      if (seenKeys.has(key) || (hash && seenHashes.has(hash))) {
+        duplicates.push({ file, relativePath });
+        return;
+      }
+      seenKeys.add(key);
+      if (hash) seenHashes.add(hash);
+      added.push(createEntry(file, { relativePath, hash }));
+    });
+
+    if (added.length > 0) {
+      setEntries(list => [...list, ...added]);
+    }
+    return duplicates;
+  };
+
+  // Re-processes a queued image with new options (see lib/imageProcessing); the result replaces
+  // entry.file, so validation and the upload both see the processed version
+  const setImageOptions = async (id, options) => {
+    const entry = entriesRef.current.find(item => item.id === id);
+    if (!entry || entry.status !== 'queued') return;
+    const token = {};
+    imageRequestsRef.current[id] = token;
+    // A newer change may land while the worker is busy; it wins
+    const isLatest = () => imageRequestsRef.current[id] === token;
+    const original = entry.originalFile || entry.file;
+    const originalPath = entry.originalFile ? entry.originalRelativePath : entry.relativePath;
+    updateEntry(id, {
+      originalFile: original,
+      originalRelativePath: originalPath,
+      imageOptions: options,
+      processing: true,
+      imageError: null,
+      hash: null,
+    });
+
+    try {
+      const file = isDefaultImageOptions(options) ? original : await processImage(original, options);
+      if (!isLatest()) return;
+      const relativePath = file.type === original.type ? originalPath : renameForType(originalPath, file.type);
+      updateEntry(id, { file, relativePath });
+    } catch (error) {
+      if (isLatest()) updateEntry(id, { imageError: error.message });
+    } finally {
+      if (isLatest()) {
+        delete imageRequestsRef.current[id];
+        updateEntry(id, { processing: false });
+      }
+    }
+  };
+
+  // Moves an entry one place up (-1) or down (+1) in the queue
+  // Swaps with the nearest file in the same folder, the way the list groups them (see FileTree)
+  const move = (id, direction) => {
+    setEntries(current => {
+      const index = current.findIndex(entry => entry.id === id);
+      if (index < 0) return current;
+      const folder = folderOf(current[index].relativePath);
+      let target = index + direction;
+      while (target >= 0 && target < current.length && folderOf(current[target].relativePath) !== folder) {
+        target += direction;
+      }
+      if (target < 0 || target >= current.length) return current;
+      const next = [...current];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  };
+
+  // encryption: null, or the secret for lib/crypto ({ type: 'key', key } or
+  // { type: 'passphrase', passphrase }) that every file in this share is encrypted with.
+  // share: the share options (see api/client completeUpload), sent with the form upload.
+  const start = ({ encryption = null, share = {} } = {}) => {
+    if (entries.length === 0) return;
+    shareRef.current = share;
+    if (encryption !== encryptionRef.current) {
+      encryptionRef.current = encryption;
+      encryptorsRef.current = {};
+    }
+    // Paused and failed entries, and those restored after a reload, go again with the rest
+    setEntries(current => current.map(entry =>
+      entry.status === 'paused' || entry.status === 'failed' ? { ...entry, status: 'queued', error: null } : entry
+    ));
+    setIsRunning(true);
+  };
+
+  const pause = (id) => {
+    abortEntry(id);
+    updateEntry(id, { status: 'paused' });
+  };
+
+  // Resume and retry both requeue; the chunk pipeline picks up from the last acknowledged chunk
+  const resume = (id) => {
+    updateEntry(id, { status: 'queued', error: null });
+    setIsRunning(true);
+  };
+
+  // A form upload fails as a whole, so retrying one entry sends every failed one again
+  const retry = (id) => {
+    if (resumable) {
+      resume(id);
+      return;
+    }
+    setEntries(current => current.map(entry =>
+      entry.status === 'failed' ? { ...entry, status: 'queued', error: null } : entry
+    ));
+    setIsRunning(true);
+  };
+
+  const cancel = (id) => {
+    abortEntry(id);
+    const entry = entries.find(item => item.id === id);
+    if (entry) forgetUploads([entry]);
+    setEntries(current => current.filter(item => item.id !== id));
+  };
+
+  const clear = () => {
+    Object.keys(controllersRef.current).forEach(abortEntry);
+    forgetUploads(entries);
+    setEntries([]);
+    setIsRunning(false);
+  };
+
+  // Drops the queue after a successful share; the sessions are already complete server-side
+  const reset = () => {
+    forgetUploads(entries);
+    setEntries([]);
+  };
+
+  return {
+    entries,
+    isRunning,
+    resumable,
+    concurrency,
+    setConcurrency,
+    addFiles,
+    setImageOptions,
+    move,
+    start,
+    pause,
+    resume,
+    retry,
+    cancel,
+    clear,
+    reset,
+  };
+};
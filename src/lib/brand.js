@@ -0,0 +1,81 @@
+// Per-deployment branding, loaded at runtime from /brand.json so one build can be reskinned
+// by swapping a file. Anything missing falls back to these defaults.
+export const DEFAULT_BRAND = {
+  title: 'File Share',
+  // Emoji shown before the title, or an image URL in logoUrl (which wins)
+  logo: '📁',
+  logoUrl: null,
+  footer: '',
+  // Replaces the default-expiry line under the subtitle. A string or { en, de, ... };
+  // {lifetime} is filled in with the default link lifetime.
+  expiryNote: null,
+  // Hex colours keyed by token name (see index.css), e.g. { "brand-from": "#0ea5e9" }
+  colors: {},
+  darkColors: {},
+};
+
+const STYLE_ID = 'file-share-brand';
+
+// Same external-store shape as lib/i18n, for useSyncExternalStore
+let currentBrand = DEFAULT_BRAND;
+const listeners = new Set();
+
+export const getBrand = () => currentBrand;
+
+export const subscribeBrand = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// '#3b82f6' or '#38f' -> '59 130 246', the channel format the tokens use
+const hexToChannels = (hex) => {
+  const digits = String(hex).replace(/^#/, '');
+  const full = digits.length === 3 ? digits.replace(/./g, '$&$&') : digits;
+  if (!/^[0-9a-f]{6}$/i.test(full)) return null;
+  return [0, 2, 4].map(i => parseInt(full.slice(i, i + 2), 16)).join(' ');
+};
+
+const tokenRules = (colors) => Object.entries(colors || {})
+  .filter(([name]) => /^[a-z-]+$/.test(name))
+  .map(([name, hex]) => [name, hexToChannels(hex)])
+  .filter(([, channels]) => channels)
+  .map(([name, channels]) => `--fs-${name}: ${channels};`)
+  .join(' ');
+
+const applyBrand = (brand) => {
+  let style = document.getElementById(STYLE_ID);
+  if (!style) {
+    style = document.createElement('style');
+    style.id = STYLE_ID;
+    document.head.appendChild(style);
+  }
+  style.textContent = `:root { ${tokenRules(brand.colors)} } :root.dark { ${tokenRules(brand.darkColors)} }`;
+
+  const themeColor = brand.colors['brand-via'];
+  if (themeColor) document.querySelector('meta[name="theme-color"]')?.setAttribute('content', themeColor);
+};
+
+// Called once from main.jsx. A missing or broken brand.json just leaves the defaults.
+export const loadBrand = async () => {
+  try {
+    const response = await fetch(`${import.meta.env.BASE_URL}brand.json`, { cache: 'no-cache' });
+    if (!response.ok) return;
+    const config = await response.json();
+    currentBrand = {
+      ...DEFAULT_BRAND,
+      ...config,
+      colors: { ...config.colors },
+      darkColors: { ...config.darkColors },
+    };
+  } catch {
+    return;
+  }
+  applyBrand(currentBrand);
+  listeners.forEach(listener => listener());
+};
+
+// expiryNote may be a plain string or one string per language
+export const localizeBrandText = (text, locale) => {
+  if (!text || typeof text === 'string') return text || '';
+  return text[locale] || text.en || Object.values(text)[0] || '';
+};
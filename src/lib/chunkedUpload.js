@@ -0,0 +1,143 @@
+import { dbDelete, dbGet, dbGetAll, dbPut } from './db';
+import { initUpload, getUploadStatus, uploadChunk } from '../api/client';
+import { abortError } from '../api/errors';
+import { withRetry } from '../api/retry';
+import { RECORD_SIZE, getEncryptedSize } from './crypto';
+
+const STORE = 'uploads';
+
+export const CHUNK_SIZE = 5 * 1024 * 1024;
+const MAX_CHUNK_ATTEMPTS = 5;
+
+// Same file picked again (or restored after a reload) maps to the same upload session
+export const getFileKey = (file, relativePath = file.name) =>
+  `${relativePath}:${file.size}:${file.lastModified}`;
+
+// Persistence is best-effort: without IndexedDB (e.g. private mode) uploads still work, just not across reloads
+const saveState = (state) => dbPut(STORE, state).catch(() => {});
+const loadState = (key) => dbGet(STORE, key).catch(() => null);
+const deleteState = (key) => dbDelete(STORE, key).catch(() => {});
+
+// Encrypted uploads only live in memory: their key is never written to disk, so after a
+// reload they could not be resumed anyway
+const memorySessions = new Map();
+
+// Network blips are retried in place so the upload carries on from the last acknowledged chunk
+const sendChunkWithRetry = (uploadId, index, blob, onProgress, signal) => withRetry(
+  () => uploadChunk(uploadId, index, blob, { onProgress, signal }),
+  { attempts: MAX_CHUNK_ATTEMPTS, onRetry: () => onProgress(0), signal }
+);
+
+const startSession = async (file, relativePath, encrypted) => {
+  const session = await initUpload({
+    name: file.name,
+    relativePath,
+    size: encrypted ? getEncryptedSize(file.size) : file.size,
+    type: file.type,
+    lastModified: file.lastModified,
+    chunkSize: CHUNK_SIZE,
+    encrypted,
+  });
+  let chunkSize = session.chunkSize || CHUNK_SIZE;
+  if (encrypted) {
+    // Chunks hold whole encryption records so each one can be sealed independently
+    chunkSize = Math.max(RECORD_SIZE, Math.floor(chunkSize / RECORD_SIZE) * RECORD_SIZE);
+  }
+  const state = {
+    key: getFileKey(file, relativePath),
+    file,
+    relativePath,
+    uploadId: session.uploadId,
+    chunkSize,
+    totalChunks: Math.max(1, Math.ceil(file.size / chunkSize)),
+    nextChunk: 0,
+    createdAt: Date.now(),
+  };
+  if (encrypted) {
+    memorySessions.set(state.key, state);
+  } else {
+    await saveState(state);
+  }
+  return state;
+};
+
+// Ask the server how far it got; it is the source of truth for acknowledged chunks
+const resumeSession = async (state) => {
+  try {
+    const status = await getUploadStatus(state.uploadId);
+    if (typeof status.receivedChunks === 'number') {
+      state.nextChunk = Math.min(status.receivedChunks, state.totalChunks);
+    }
+    return state;
+  } catch (error) {
+    if (error.status === 404 || error.status === 410) {
+      memorySessions.delete(state.key);
+      await deleteState(state.key);
+      return null;
+    }
+    throw error;
+  }
+};
+
+// Uploads one file chunk by chunk; onProgress receives the bytes sent so far.
+// Aborting the signal pauses the upload: the session is kept, so calling this again resumes it.
+// With an encryptor (see lib/crypto) every chunk is encrypted before it leaves the browser;
+// pass the same encryptor again when resuming.
+export const uploadFileInChunks = async (file, { relativePath = file.name, encryptor, onProgress, signal }) => {
+  const key = getFileKey(file, relativePath);
+  let state = encryptor ? memorySessions.get(key) : await loadState(key);
+  if (state) {
+    state = await resumeSession(state);
+  }
+  if (!state) {
+    state = await startSession(file, relativePath, Boolean(encryptor));
+  }
+
+  for (let index = state.nextChunk; index < state.totalChunks; index++) {
+    if (signal?.aborted) throw abortError();
+    const start = index * state.chunkSize;
+    const end = Math.min(start + state.chunkSize, file.size);
+    const isLast = index === state.totalChunks - 1;
+    onProgress(start);
+    const blob = encryptor
+      ? await encryptor.encryptChunk(await file.slice(start, end).arrayBuffer(), start, isLast)
+      : file.slice(start, end);
+    await sendChunkWithRetry(
+      state.uploadId,
+      index,
+      blob,
+      // Progress stays in plaintext bytes; an encrypted chunk is slightly larger than its slice
+      loaded => onProgress(start + Math.min(loaded, end - start)),
+      signal
+    );
+    state.nextChunk = index + 1;
+    if (!encryptor) {
+      await saveState(state);
+    }
+  }
+
+  memorySessions.delete(key);
+
+  onProgress(file.size);
+  return state.uploadId;
+};
+
+// Takes queue entries ({ file, relativePath })
+export const forgetUploads = (entries) =>
+  Promise.all(entries.map(({ file, relativePath }) => {
+    const key = getFileKey(file, relativePath);
+    memorySessions.delete(key);
+    return deleteState(key);
+  }));
+
+// Files whose upload was interrupted by a reload or closed tab, with the bytes already acknowledged
+export const getPendingUploads = async () => {
+  const states = await dbGetAll(STORE).catch(() => []);
+  return states
+    .sort((a, b) => a.createdAt - b.createdAt)
+    .map(state => ({
+      file: state.file,
+      relativePath: state.relativePath || state.file.name,
+      sentBytes: Math.min(state.nextChunk * state.chunkSize, state.file.size),
+    }));
+};
@@ -0,0 +1,25 @@
+// Clipboard API when available, otherwise the old execCommand trick (insecure origins, older browsers)
+export const copyText = async (text) => {
+  try {
+    await navigator.clipboard.writeText(text);
+  } catch {
+    const textArea = document.createElement('textarea');
+    textArea.value = text;
+    document.body.appendChild(textArea);
+    textArea.select();
+    document.execCommand('copy');
+    document.body.removeChild(textArea);
+  }
+};
+
+// The native share sheet where there is one (mostly mobile). Resolves with false when the
+// browser has none, so the caller can fall back to copying; dismissing the sheet is not an error.
+export const shareLink = async ({ title, text, url }) => {
+  if (!navigator.share) return false;
+  try {
+    await navigator.share({ title, text, url });
+  } catch (error) {
+    if (error.name !== 'AbortError') return false;
+  }
+  return true;
+};
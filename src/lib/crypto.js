@@ -0,0 +1,268 @@
+// End-to-end encryption for shares (AES-256-GCM via WebCrypto).
+//
+// An encrypted file is a header followed by fixed-size records, each sealed on its own so
+// files can be encrypted chunk by chunk on upload and decrypted as a stream on download:
+//   header: 'FSE1' | kdf (1) | iterations (4) | salt (16) | nonce prefix (8) | record size (4)
+//   record: AES-GCM(plaintext record) with nonce = prefix || record index, AAD = last-record flag
+// The key is either random and carried in the link fragment (never sent to the server),
+// or derived from a passphrase with PBKDF2.
+
+import { translate } from './i18n';
+
+export const RECORD_SIZE = 64 * 1024;
+const TAG_SIZE = 16;
+const HEADER_SIZE = 37;
+const MAGIC = [0x46, 0x53, 0x45, 0x31];
+const KDF_NONE = 0;
+const KDF_PBKDF2 = 1;
+const PBKDF2_ITERATIONS = 600000;
+
+export class DecryptionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DecryptionError';
+  }
+}
+
+export const toBase64Url = (bytes) =>
+  btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const fromBase64Url = (text) => {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+};
+
+const importRawKey = (bytes) =>
+  crypto.subtle.importKey('raw', bytes, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+
+const deriveKey = async (passphrase, salt, iterations) => {
+  const material = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+// A fresh random key for "key in link" shares; `encoded` goes into the URL fragment
+export const generateLinkKey = async () => {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  return { type: 'key', key: await importRawKey(bytes), encoded: toBase64Url(bytes) };
+};
+
+// Share link fragments carry 'k=<key>' for link keys or 'e=pw' when a passphrase is needed
+export const buildKeyFragment = (secret) => (secret.type === 'key' ? `k=${secret.encoded}` : 'e=pw');
+
+export const parseKeyFragment = async (hash) => {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  if (params.get('k')) {
+    try {
+      return { type: 'key', key: await importRawKey(fromBase64Url(params.get('k'))) };
+    } catch {
+      throw new DecryptionError(translate('crypto.damagedKey'));
+    }
+  }
+  if (params.get('e') === 'pw') {
+    return { type: 'passphrase' };
+  }
+  return null;
+};
+
+const getNonce = (prefix, index) => {
+  const nonce = new Uint8Array(12);
+  nonce.set(prefix);
+  new DataView(nonce.buffer).setUint32(8, index);
+  return nonce;
+};
+
+const getAdditionalData = (isLast) => new Uint8Array([isLast ? 1 : 0]);
+
+const recordCount = (plainSize) => Math.max(1, Math.ceil(plainSize / RECORD_SIZE));
+
+export const getEncryptedSize = (plainSize) =>
+  HEADER_SIZE + plainSize + recordCount(plainSize) * TAG_SIZE;
+
+// Inverse of getEncryptedSize, for showing the real size of an encrypted download
+export const getPlaintextSize = (encryptedSize) => {
+  if (encryptedSize == null) return null;
+  const body = encryptedSize - HEADER_SIZE;
+  return Math.max(0, body - Math.ceil(body / (RECORD_SIZE + TAG_SIZE)) * TAG_SIZE);
+};
+
+// secret: { type: 'key', key } or { type: 'passphrase', passphrase }. Each file gets its own
+// salt and nonce prefix, so keep one encryptor per file for the life of its upload.
+export const createEncryptor = async (secret) => {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const noncePrefix = crypto.getRandomValues(new Uint8Array(8));
+  const usePassphrase = secret.type === 'passphrase';
+  const key = usePassphrase ? await deriveKey(secret.passphrase, salt, PBKDF2_ITERATIONS) : secret.key;
+
+  const header = new Uint8Array(HEADER_SIZE);
+  const view = new DataView(header.buffer);
+  header.set(MAGIC, 0);
+  header[4] = usePassphrase ? KDF_PBKDF2 : KDF_NONE;
+  view.setUint32(5, usePassphrase ? PBKDF2_ITERATIONS : 0);
+  header.set(usePassphrase ? salt : new Uint8Array(16), 9);
+  header.set(noncePrefix, 25);
+  view.setUint32(33, RECORD_SIZE);
+
+  // Encrypts one upload chunk (a whole number of records, except at the end of the file).
+  // The first chunk carries the header.
+  const encryptChunk = async (plaintext, chunkStart, isLastChunk) => {
+    const bytes = new Uint8Array(plaintext);
+    const firstRecord = chunkStart / RECORD_SIZE;
+    const parts = chunkStart === 0 ? [header] : [];
+    const records = Math.max(1, Math.ceil(bytes.length / RECORD_SIZE));
+
+    for (let i = 0; i < records; i++) {
+      const isLast = isLastChunk && i === records - 1;
+      const sealed = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv: getNonce(noncePrefix, firstRecord + i), additionalData: getAdditionalData(isLast) },
+        key,
+        bytes.subarray(i * RECORD_SIZE, (i + 1) * RECORD_SIZE)
+      );
+      parts.push(new Uint8Array(sealed));
+    }
+    return new Blob(parts);
+  };
+
+  return { encryptChunk };
+};
+
+// Encrypts a whole file for uploads that send it in one request (see api/client uploadForm),
+// a few records at a time so the plaintext is never read in one piece
+const FILE_SLICE = 64 * RECORD_SIZE;
+
+export const encryptFile = async (file, encryptor) => {
+  const parts = [];
+  let start = 0;
+  do {
+    const end = Math.min(start + FILE_SLICE, file.size);
+    parts.push(await encryptor.encryptChunk(await file.slice(start, end).arrayBuffer(), start, end === file.size));
+    start = end;
+  } while (start < file.size);
+  return new Blob(parts);
+};
+
+const concatBytes = (a, b) => {
+  const result = new Uint8Array(a.length + b.length);
+  result.set(a);
+  result.set(b, a.length);
+  return result;
+};
+
+// Reads the header at the start of `bytes` and works out the file's key. The header comes from
+// the server, so only the settings this module writes are accepted: an inflated iteration count
+// would keep the page busy deriving a key for minutes.
+const openHeader = async (bytes, secret) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, HEADER_SIZE);
+  if (!MAGIC.every((byte, i) => bytes[i] === byte)) {
+    throw new DecryptionError(translate('crypto.notEncrypted'));
+  }
+  const kdf = bytes[4];
+  const iterations = view.getUint32(5);
+  const recordSize = view.getUint32(33);
+  if ((kdf === KDF_PBKDF2 && iterations !== PBKDF2_ITERATIONS) || recordSize !== RECORD_SIZE) {
+    throw new DecryptionError(translate('crypto.unsupported'));
+  }
+
+  let key;
+  if (kdf === KDF_PBKDF2) {
+    if (secret.type !== 'passphrase' || !secret.passphrase) {
+      throw new DecryptionError(translate('crypto.needsPassword'));
+    }
+    key = await deriveKey(secret.passphrase, bytes.slice(9, 25), PBKDF2_ITERATIONS);
+  } else {
+    if (secret.type !== 'key') {
+      throw new DecryptionError(translate('crypto.missingKey'));
+    }
+    key = secret.key;
+  }
+  return { key, noncePrefix: bytes.slice(25, 33), sealedSize: recordSize + TAG_SIZE };
+};
+
+const decryptRecord = async ({ key, noncePrefix }, index, sealed, isLast) => new Uint8Array(
+  await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: getNonce(noncePrefix, index), additionalData: getAdditionalData(isLast) },
+    key,
+    sealed
+  )
+);
+
+const wrongSecretError = (secret, index) => new DecryptionError(
+  index === 0 && secret.type === 'passphrase'
+    ? translate('crypto.wrongPassword')
+    : translate('crypto.wrongKey')
+);
+
+// Enough of the start of a file for checkSecret: the header and the first record
+export const SECRET_CHECK_SIZE = HEADER_SIZE + RECORD_SIZE + TAG_SIZE;
+
+// Checks a secret against the first SECRET_CHECK_SIZE bytes of an encrypted file (or all of it,
+// if it is shorter), so a password can be tried without downloading the file.
+// Rejects with a DecryptionError saying what is wrong.
+export const checkSecret = async (secret, bytes) => {
+  if (bytes.length < HEADER_SIZE) {
+    throw new DecryptionError(translate('crypto.incomplete'));
+  }
+  const header = await openHeader(bytes, secret);
+  const sealed = bytes.subarray(HEADER_SIZE, HEADER_SIZE + header.sealedSize);
+  // In a file of one record, the first record is also the last
+  try {
+    await decryptRecord(header, 0, sealed, false);
+  } catch {
+    try {
+      await decryptRecord(header, 0, sealed, true);
+    } catch {
+      throw wrongSecretError(secret, 0);
+    }
+  }
+};
+
+// TransformStream turning an encrypted file back into plaintext. Throws DecryptionError when
+// the passphrase or key is wrong, the data was modified, or the file was cut short.
+export const createDecryptStream = (secret) => {
+  let buffer = new Uint8Array(0);
+  let header = null;
+  let index = 0;
+
+  const readHeader = async () => {
+    header = await openHeader(buffer, secret);
+    buffer = buffer.slice(HEADER_SIZE);
+  };
+
+  const openRecord = async (sealed, isLast) => {
+    try {
+      const plain = await decryptRecord(header, index, sealed, isLast);
+      index++;
+      return plain;
+    } catch {
+      throw wrongSecretError(secret, index);
+    }
+  };
+
+  return new TransformStream({
+    async transform(chunk, controller) {
+      buffer = concatBytes(buffer, chunk);
+      if (!header) {
+        if (buffer.length < HEADER_SIZE) return;
+        await readHeader();
+      }
+      // Keep at least one full record back: only the end of the stream tells us which one is last
+      while (buffer.length > header.sealedSize) {
+        controller.enqueue(await openRecord(buffer.subarray(0, header.sealedSize), false));
+        buffer = buffer.slice(header.sealedSize);
+      }
+    },
+    async flush(controller) {
+      if (!header) {
+        throw new DecryptionError(translate('crypto.incomplete'));
+      }
+      controller.enqueue(await openRecord(buffer, true));
+    },
+  });
+};
@@ -0,0 +1,55 @@
+// Minimal promise wrapper around IndexedDB
+const DB_NAME = 'file-share';
+const DB_VERSION = 3;
+const STORES = {
+  uploads: { keyPath: 'key' },
+  mock: { keyPath: 'id' },
+  history: { keyPath: 'id' },
+};
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        Object.entries(STORES).forEach(([name, options]) => {
+          if (!db.objectStoreNames.contains(name)) {
+            db.createObjectStore(name, options);
+          }
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+const runRequest = async (storeName, mode, operation) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = operation(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+export const dbGet = (storeName, key) =>
+  runRequest(storeName, 'readonly', store => store.get(key));
+
+export const dbGetAll = (storeName) =>
+  runRequest(storeName, 'readonly', store => store.getAll());
+
+export const dbPut = (storeName, value) =>
+  runRequest(storeName, 'readwrite', store => store.put(value));
+
+export const dbDelete = (storeName, key) =>
+  runRequest(storeName, 'readwrite', store => store.delete(key));
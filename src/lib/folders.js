@@ -0,0 +1,79 @@
+// Turns picked or dropped files into { file, relativePath } items, keeping folder structure
+
+export const fromFileList = (files) =>
+  Array.from(files).map(file => ({ file, relativePath: file.webkitRelativePath || file.name }));
+
+// readEntries hands out directory contents in batches until it returns an empty one
+const readAllEntries = (reader) => new Promise((resolve, reject) => {
+  const all = [];
+  const readBatch = () => {
+    reader.readEntries((batch) => {
+      if (batch.length === 0) {
+        resolve(all);
+      } else {
+        all.push(...batch);
+        readBatch();
+      }
+    }, reject);
+  };
+  readBatch();
+});
+
+const walkEntry = async (entry) => {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    return [{ file, relativePath: entry.fullPath.replace(/^\//, '') }];
+  }
+  if (entry.isDirectory) {
+    const children = await readAllEntries(entry.createReader());
+    const nested = await Promise.all(children.map(walkEntry));
+    return nested.flat();
+  }
+  return [];
+};
+
+// Must be called synchronously from the drop handler: the items are cleared once it returns
+export const fromDataTransfer = (dataTransfer) => {
+  const entries = Array.from(dataTransfer.items || [])
+    .filter(item => item.kind === 'file')
+    .map(item => item.webkitGetAsEntry?.())
+    .filter(Boolean);
+
+  if (entries.length === 0) {
+    return Promise.resolve(fromFileList(dataTransfer.files));
+  }
+  return Promise.all(entries.map(walkEntry)).then(nested => nested.flat());
+};
+
+// The folder part of a relativePath ('' for top-level files)
+export const folderOf = (relativePath) => relativePath.slice(0, Math.max(relativePath.lastIndexOf('/'), 0));
+
+const createFolder = (name, path) => ({ name, path, size: 0, folders: [], files: [] });
+
+// Groups queue entries into nested folders by relativePath. Files keep their queue index
+// so the caller can still address them; every folder carries the total size beneath it.
+export const buildFileTree = (entries) => {
+  const root = createFolder('', '');
+
+  entries.forEach((entry, index) => {
+    const segments = entry.relativePath.split('/');
+    segments.pop();
+
+    let folder = root;
+    folder.size += entry.file.size;
+    segments.forEach((segment) => {
+      const path = folder.path ? `${folder.path}/${segment}` : segment;
+      let child = folder.folders.find(item => item.name === segment);
+      if (!child) {
+        child = createFolder(segment, path);
+        folder.folders.push(child);
+      }
+      child.size += entry.file.size;
+      folder = child;
+    });
+
+    folder.files.push({ entry, index });
+  });
+
+  return root;
+};
@@ -0,0 +1,53 @@
+import { getLocale } from './i18n';
+
+// Everything here formats for the current language (see lib/i18n) unless given a locale
+
+const formatUnit = (value, unit, locale, unitDisplay = 'short') =>
+  new Intl.NumberFormat(locale, { style: 'unit', unit, unitDisplay, maximumFractionDigits: 2 }).format(value);
+
+// 1536 -> "1.5 kB" / "1,5 ko"; sizes are counted in 1024s
+export const formatFileSize = (bytes, locale = getLocale()) => {
+  if (!bytes) return formatUnit(0, 'byte', locale, 'long');
+  const k = 1024;
+  const units = ['byte', 'kilobyte', 'megabyte', 'gigabyte'];
+  const i = Math.min(Math.floor(Math.log(bytes) / Math.log(k)), units.length - 1);
+  // "12 bytes" reads better than "12 byte", the short form in several languages
+  return formatUnit(bytes / Math.pow(k, i), units[i], locale, i === 0 ? 'long' : 'short');
+};
+
+export const formatNumber = (value, locale = getLocale()) => new Intl.NumberFormat(locale).format(value);
+
+// 75 -> "1m 15s", 3700 -> "1h 1m", 90000 -> "1d 1h" (units as the locale writes them)
+export const formatDuration = (seconds, locale = getLocale()) => {
+  if (seconds == null || !isFinite(seconds)) return '—';
+  const total = Math.max(0, Math.round(seconds));
+  const days = Math.floor(total / 86400);
+  const hours = Math.floor((total % 86400) / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = total % 60;
+  const part = (value, unit) => formatUnit(value, unit, locale, 'narrow');
+  if (days > 0) return `${part(days, 'day')} ${part(hours, 'hour')}`;
+  if (hours > 0) return `${part(hours, 'hour')} ${part(minutes, 'minute')}`;
+  if (minutes > 0) return `${part(minutes, 'minute')} ${part(secs, 'second')}`;
+  return part(secs, 'second');
+};
+
+// 3600 -> "1 hour", 259200 -> "3 days": a length of time in its largest whole unit
+export const formatTimeSpan = (seconds, locale = getLocale()) => {
+  if (seconds >= 86400 && seconds % 86400 === 0) return formatUnit(seconds / 86400, 'day', locale, 'long');
+  if (seconds >= 3600 && seconds % 3600 === 0) return formatUnit(seconds / 3600, 'hour', locale, 'long');
+  return formatUnit(Math.round(seconds / 60), 'minute', locale, 'long');
+};
+
+// Seconds from now -> "in 3 hours" / "vor 2 Minuten", in the largest unit that fits
+export const formatRelativeTime = (seconds, locale = getLocale()) => {
+  const format = new Intl.RelativeTimeFormat(locale, { numeric: 'always' });
+  const size = Math.abs(seconds);
+  if (size >= 86400) return format.format(Math.round(seconds / 86400), 'day');
+  if (size >= 3600) return format.format(Math.round(seconds / 3600), 'hour');
+  if (size >= 60) return format.format(Math.round(seconds / 60), 'minute');
+  return format.format(Math.round(seconds), 'second');
+};
+
+export const formatDateTime = (time, locale = getLocale()) =>
+  new Intl.DateTimeFormat(locale, { dateStyle: 'medium', timeStyle: 'short' }).format(time);
@@ -0,0 +1,140 @@
+import { createSha256, hashBlob } from './sha256';
+
+// SHA-256 digests as lowercase hex, computed in workers/hash.worker.js so large files don't
+// freeze the page. Without worker support the same code runs on the main thread.
+
+let worker = null;
+let nextRequestId = 0;
+const pending = new Map();
+
+// A worker that fails to load or crashes takes its requests with it. From then on hashing runs
+// on the main thread: whole files are hashed again there, while streams whose bytes already
+// went to the worker can't be recovered and fail.
+const failPending = () => {
+  if (worker) worker.terminate();
+  worker = false;
+  pending.forEach(request => request.fallback());
+  pending.clear();
+};
+
+const getWorker = () => {
+  if (worker === null && typeof Worker !== 'undefined') {
+    try {
+      worker = new Worker(new URL('../workers/hash.worker.js', import.meta.url), { type: 'module' });
+    } catch {
+      // Embedded from another origin (see src/widget), where workers can't be loaded
+      worker = false;
+      return worker;
+    }
+    worker.onmessage = ({ data }) => {
+      const request = pending.get(data.id);
+      if (!request) return;
+      pending.delete(data.id);
+      if (data.error) request.reject(new Error(data.error));
+      else request.resolve(data.digest);
+    };
+    worker.onerror = failPending;
+  }
+  return worker;
+};
+
+// fallback: what to do instead should the worker go away before answering
+const request = (message, fallback) => new Promise((resolve, reject) => {
+  pending.set(message.id, { resolve, reject, fallback: () => fallback().then(resolve, reject) });
+  try {
+    worker.postMessage(message);
+  } catch {
+    failPending();
+  }
+});
+
+const lostSession = () => Promise.reject(new Error('Hashing failed'));
+
+export const hashFile = async (file) => {
+  if (!getWorker()) return hashBlob(file);
+  return request({ id: ++nextRequestId, type: 'file', file }, () => hashBlob(file));
+};
+
+// Incremental hashing for data that arrives in pieces: { update(bytes), digest() -> Promise<hex> }
+export const createHasher = () => {
+  if (!getWorker()) {
+    const hasher = createSha256();
+    return { update: bytes => hasher.update(bytes), digest: async () => hasher.digest() };
+  }
+  const id = ++nextRequestId;
+  const sessionWorker = worker;
+  return {
+    // Copied, because the caller usually passes the same bytes on to be saved
+    update: (bytes) => {
+      if (worker === sessionWorker) worker.postMessage({ id, type: 'update', bytes: bytes.slice() });
+    },
+    digest: () => (worker === sessionWorker ? request({ id, type: 'digest' }, lostSession) : lostSession()),
+  };
+};
+
+// Passes a byte stream through unchanged while hashing it; `digest` settles once it has ended
+export const createHashStream = () => {
+  const hasher = createHasher();
+  let resolveDigest;
+  let rejectDigest;
+  const digest = new Promise((resolve, reject) => {
+    resolveDigest = resolve;
+    rejectDigest = reject;
+  });
+  const stream = new TransformStream({
+    transform(chunk, controller) {
+      hasher.update(chunk);
+      controller.enqueue(chunk);
+    },
+    flush() {
+      hasher.digest().then(resolveDigest, rejectDigest);
+    },
+  });
+  return { stream, digest };
+};
+
+// Share links may carry the expected digests, so downloads can be checked even against a backend
+// that doesn't store them: 'sha256=<path>:<hex>,...' with each path URI-encoded. They are keyed by
+// the file's path in the share, because the backend may list the files in another order.
+// At ~80 characters a file they quickly make the link (and its QR code) unwieldy, so only the first
+// MAX_LINK_DIGESTS files get one; the rest rely on the share info's sha256.
+// files: [{ path, sha256 }]; returns '' when there is nothing to add
+const MAX_LINK_DIGESTS = 10;
+
+export const buildDigestFragment = (files) => {
+  const listed = files.slice(0, MAX_LINK_DIGESTS);
+  if (listed.length === 0) return '';
+  return new URLSearchParams({
+    sha256: listed.map(({ path, sha256 }) => `${encodeURIComponent(path)}:${sha256}`).join(','),
+  }).toString();
+};
+
+const baseName = (path) => path.slice(path.lastIndexOf('/') + 1);
+
+// Resolves with a lookup (relativePath, index) -> hex or null. A path the backend reports
+// differently (e.g. without its folder) still matches on its file name, when that is unique.
+// Older links list bare digests in upload order; those are matched by index.
+export const parseDigestFragment = (hash) => {
+  const value = new URLSearchParams(hash.replace(/^#/, '')).get('sha256');
+  const byPath = new Map();
+  const byIndex = [];
+  (value ? value.split(',') : []).forEach(item => {
+    const separator = item.lastIndexOf(':');
+    if (separator < 0) {
+      byIndex.push(item.trim().toLowerCase());
+      return;
+    }
+    try {
+      byPath.set(decodeURIComponent(item.slice(0, separator)), item.slice(separator + 1).trim().toLowerCase());
+    } catch {
+      // Malformed path: that file just goes unchecked
+    }
+  });
+
+  return (relativePath, index) => {
+    if (byPath.has(relativePath)) return byPath.get(relativePath);
+    const sameName = [...byPath.keys()].filter(path => baseName(path) === baseName(relativePath));
+    if (sameName.length === 1) return byPath.get(sameName[0]);
+    return byIndex[index] || null;
+  };
+};
@@ -0,0 +1,81 @@
+import { dbDelete, dbGetAll, dbPut } from './db';
+import { translate } from './i18n';
+
+// Shares this browser created, so links survive a dismissed result or a closed tab.
+// Entries: { id, downloadUrl, files: [{ name, size }], createdAt, expiresAt, maxDownloads, encryption }.
+// For "key in link" encrypted shares the URL includes the key, which is the point: it is the
+// only copy the sender has.
+const STORE = 'history';
+const EXPORT_VERSION = 1;
+
+const getShareId = (downloadUrl) => downloadUrl.match(/\/download\/([^/?#]+)/)?.[1] || downloadUrl;
+
+// History is a convenience: a failing IndexedDB must never break an upload
+export const addToHistory = ({ downloadUrl, files, expiresAt = null, maxDownloads = null, encryption = null }) =>
+  dbPut(STORE, {
+    id: getShareId(downloadUrl),
+    downloadUrl,
+    files,
+    createdAt: Date.now(),
+    expiresAt,
+    maxDownloads,
+    encryption,
+  }).catch(() => {});
+
+// Newest first
+export const getHistory = async () => {
+  const entries = await dbGetAll(STORE);
+  return entries.sort((a, b) => b.createdAt - a.createdAt);
+};
+
+export const removeFromHistory = (id) => dbDelete(STORE, id);
+
+export const exportHistory = async () =>
+  JSON.stringify({ version: EXPORT_VERSION, exportedAt: new Date().toISOString(), entries: await getHistory() }, null, 2);
+
+// History links are rendered as anchors, so an import may only bring back links to this
+// app's own download page (no javascript: URLs or links to other sites)
+const isShareUrl = (value) => {
+  if (typeof value !== 'string') return false;
+  try {
+    const url = new URL(value);
+    return ['http:', 'https:'].includes(url.protocol)
+      && url.origin === window.location.origin
+      && url.pathname.startsWith('/download/');
+  } catch {
+    return false;
+  }
+};
+
+const isValidEntry = (entry) =>
+  entry
+  && isShareUrl(entry.downloadUrl)
+  && Array.isArray(entry.files)
+  && typeof entry.createdAt === 'number';
+
+// Merges an export into the history (same share id: the imported copy wins) and resolves with
+// the number of entries imported. Throws on files that aren't a history export.
+export const importHistory = async (json) => {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch {
+    throw new Error(translate('history.invalidJson'));
+  }
+  if (!Array.isArray(data?.entries)) {
+    throw new Error(translate('history.invalidExport'));
+  }
+  const entries = data.entries.filter(isValidEntry);
+  for (const entry of entries) {
+    await dbPut(STORE, {
+      id: getShareId(entry.downloadUrl),
+      downloadUrl: entry.downloadUrl,
+      files: entry.files.map(file => ({ name: String(file.name), size: Number(file.size) || 0 })),
+      createdAt: entry.createdAt,
+      expiresAt: typeof entry.expiresAt === 'number' ? entry.expiresAt : null,
+      maxDownloads: typeof entry.maxDownloads === 'number' ? entry.maxDownloads : null,
+      encryption: ['key', 'passphrase'].includes(entry.encryption) ? entry.encryption : null,
+    });
+  }
+  return entries.length;
+};
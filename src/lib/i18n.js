@@ -0,0 +1,96 @@
+import en from '../locales/en';
+import de from '../locales/de';
+import fr from '../locales/fr';
+import es from '../locales/es';
+
+// Message catalogs live in src/locales, one nested object per language with English as the
+// reference. Missing keys fall back to English, so a catalog can lag behind without breaking.
+export const LOCALES = [
+  { code: 'en', name: 'English' },
+  { code: 'de', name: 'Deutsch' },
+  { code: 'fr', name: 'Français' },
+  { code: 'es', name: 'Español' },
+];
+
+export const DEFAULT_LOCALE = 'en';
+
+const CATALOGS = { en, de, fr, es };
+const STORAGE_KEY = 'file-share-locale';
+
+// 'de-AT' -> 'de'; null for languages without a catalog
+export const matchLocale = (tag) => {
+  const language = String(tag || '').toLowerCase().split('-')[0];
+  return CATALOGS[language] ? language : null;
+};
+
+const readSavedLocale = () => {
+  try {
+    return matchLocale(localStorage.getItem(STORAGE_KEY));
+  } catch {
+    // Storage blocked (e.g. some private modes)
+    return null;
+  }
+};
+
+const detectLocale = () => {
+  const languages = typeof navigator === 'undefined' ? [] : navigator.languages || [navigator.language];
+  const browserLocale = languages.map(matchLocale).find(Boolean);
+  return readSavedLocale() || browserLocale || DEFAULT_LOCALE;
+};
+
+// Same external-store shape as api/health, for useSyncExternalStore
+let currentLocale = detectLocale();
+const listeners = new Set();
+
+export const getLocale = () => currentLocale;
+
+export const subscribeLocale = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const applyLocale = (locale) => {
+  if (locale === currentLocale) return;
+  currentLocale = locale;
+  listeners.forEach(listener => listener());
+};
+
+// The picker's choice is remembered and wins over everything else
+export const setLocale = (code) => {
+  const locale = matchLocale(code) || DEFAULT_LOCALE;
+  try {
+    localStorage.setItem(STORAGE_KEY, locale);
+  } catch {
+    // Not remembered, but still applied
+  }
+  applyLocale(locale);
+};
+
+// Share links carry the sender's language (`lang=` in the fragment). Recipients see it unless
+// they picked a language themselves.
+export const applyLinkLocale = (code) => {
+  const locale = matchLocale(code);
+  if (locale && !readSavedLocale()) applyLocale(locale);
+};
+
+export const buildLocaleFragment = (locale = currentLocale) => `lang=${locale}`;
+
+export const parseLocaleFragment = (hash) => new URLSearchParams(hash.replace(/^#/, '')).get('lang');
+
+const lookup = (catalog, key) => key.split('.').reduce((node, part) => node?.[part], catalog);
+
+// Plural messages are objects keyed by Intl.PluralRules categories ({ one, other, ... })
+// and pick their form from params.count. Numbers in params are formatted for the locale.
+export const translate = (key, params = {}, locale = currentLocale) => {
+  let message = lookup(CATALOGS[locale], key) ?? lookup(CATALOGS[DEFAULT_LOCALE], key);
+  if (message == null) return key;
+  if (typeof message === 'object') {
+    const category = new Intl.PluralRules(locale).select(params.count ?? 0);
+    message = message[category] ?? message.other;
+  }
+  return message.replace(/\{(\w+)\}/g, (match, name) => {
+    if (!(name in params)) return match;
+    const value = params[name];
+    return typeof value === 'number' ? new Intl.NumberFormat(locale).format(value) : String(value);
+  });
+};
@@ -0,0 +1,85 @@
+import { translate } from './i18n';
+
+// Main-thread side of workers/imageProcessor.worker.js: one shared worker, requests matched by id
+
+export const PROCESSABLE_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// 'original' has no label of its own: ImageOptions shows "Keep format" in the UI's language
+export const IMAGE_FORMATS = [
+  { value: 'original' },
+  { value: 'image/jpeg', label: 'JPEG' },
+  { value: 'image/webp', label: 'WebP' },
+];
+
+export const MAX_DIMENSIONS = [null, 4096, 2560, 1920, 1280];
+
+export const DEFAULT_IMAGE_OPTIONS = {
+  stripMetadata: false,
+  format: 'original',
+  quality: 0.8,
+  maxDimension: null,
+};
+
+const EXTENSIONS = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp' };
+
+// Needs OffscreenCanvas in workers; without it the options are simply not offered
+export const canProcessImages = typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined';
+
+export const isProcessableImage = (file) => canProcessImages && PROCESSABLE_IMAGE_TYPES.includes(file.type);
+
+export const isDefaultImageOptions = (options) =>
+  !options.stripMetadata && options.format === 'original' && !options.maxDimension;
+
+// photo.HEIC.png -> photo.HEIC.jpg: only the last extension follows the new format
+export const renameForType = (name, type) => {
+  const extension = EXTENSIONS[type];
+  if (!extension) return name;
+  const dot = name.lastIndexOf('.');
+  const base = dot > 0 && !name.slice(dot).includes('/') ? name.slice(0, dot) : name;
+  return `${base}.${extension}`;
+};
+
+let worker = null;
+let nextRequestId = 0;
+const pending = new Map();
+
+// A worker that fails to load or crashes takes its requests with it; the next request
+// starts a fresh one
+const failPending = () => {
+  worker?.terminate();
+  worker = null;
+  pending.forEach(request => request.reject(new Error(translate('image.failed'))));
+  pending.clear();
+};
+
+const getWorker = () => {
+  if (!worker) {
+    worker = new Worker(new URL('../workers/imageProcessor.worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = ({ data }) => {
+      const request = pending.get(data.id);
+      if (!request) return;
+      pending.delete(data.id);
+      if (data.error) request.reject(new Error(data.error));
+      else request.resolve(data.blob);
+    };
+    worker.onerror = failPending;
+  }
+  return worker;
+};
+
+// Resolves with a new File (renamed when the format changes); options as in DEFAULT_IMAGE_OPTIONS
+export const processImage = (file, options) => new Promise((resolve, reject) => {
+  const id = ++nextRequestId;
+  pending.set(id, {
+    resolve: (blob) => {
+      const name = blob.type === file.type ? file.name : renameForType(file.name, blob.type);
+      resolve(new File([blob], name, { type: blob.type, lastModified: file.lastModified }));
+    },
+    reject,
+  });
+  try {
+    getWorker().postMessage({ id, file, options });
+  } catch {
+    failPending();
+  }
+});
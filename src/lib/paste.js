@@ -0,0 +1,60 @@
+// Turns clipboard contents into upload items: files and screenshots as they are,
+// text as a snippet the user names before it becomes a .txt or .md file
+
+const IMAGE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+};
+
+// 2026-10-19 14:03:22 -> "2026-10-19-140322"
+const timestamp = (date = new Date()) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+    + `-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+};
+
+// Screenshots arrive as "image.png" whatever the browser; give each one a name of its own
+const nameClipboardFile = (file, index) => {
+  const isScreenshot = /^image\.\w+$/.test(file.name) && IMAGE_EXTENSIONS[file.type];
+  if (!isScreenshot) return file;
+  const suffix = index > 0 ? `-${index + 1}` : '';
+  const name = `screenshot-${timestamp(new Date(file.lastModified || Date.now()))}${suffix}.${IMAGE_EXTENSIONS[file.type]}`;
+  return new File([file], name, { type: file.type, lastModified: file.lastModified });
+};
+
+// { files: [{ file, relativePath }], text } from a paste event's clipboardData
+export const readClipboard = (clipboardData) => {
+  const files = Array.from(clipboardData?.files || []).map(nameClipboardFile);
+  return {
+    files: files.map(file => ({ file, relativePath: file.name })),
+    text: files.length === 0 ? clipboardData?.getData('text/plain') || '' : '',
+  };
+};
+
+// Headings, lists, fences, links or emphasis are enough to call it Markdown
+const MARKDOWN_PATTERN = /^(#{1,6}\s|[-*+]\s|\d+\.\s|>\s|```)|\[[^\]]+\]\([^)]+\)|\*\*[^*]+\*\*/m;
+
+export const looksLikeMarkdown = (text) => MARKDOWN_PATTERN.test(text);
+
+// A filename from the snippet's first line, e.g. "Meeting notes" -> "meeting-notes.md"
+export const suggestSnippetName = (text) => {
+  const extension = looksLikeMarkdown(text) ? 'md' : 'txt';
+  const firstLine = text.trim().split('\n')[0].replace(/^#+\s*/, '');
+  const slug = firstLine
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40)
+    .replace(/-+$/, '');
+  return `${slug || `snippet-${timestamp()}`}.${extension}`;
+};
+
+// Snippets keep the extension the user typed; anything else is saved as .txt
+export const createSnippetFile = (text, filename) => {
+  const name = filename.trim() || suggestSnippetName(text);
+  const withExtension = /\.[a-z0-9]+$/i.test(name) ? name : `${name}.txt`;
+  const type = /\.(md|markdown)$/i.test(withExtension) ? 'text/markdown' : 'text/plain';
+  return new File([text], withExtension, { type, lastModified: Date.now() });
+};
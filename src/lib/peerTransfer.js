@@ -0,0 +1,334 @@
+import { joinRoom } from '../api/signaling';
+import { abortError, peerError } from '../api/errors';
+import { PEER_TRANSFER } from '../config';
+import { toBase64Url } from './crypto';
+import { createHasher } from './hash';
+import { createSpeedMeter } from './streamDownload';
+
+// Direct transfers: the sender opens a room and shares its link (/download/p2p/<roomId>). The
+// recipient's browser joins it, the two swap an offer, an answer and ICE candidates through
+// api/signaling, and the files then go over an RTCDataChannel without touching the backend.
+//
+// On the channel, JSON messages frame the binary chunks:
+//   sender:    manifest { files }, then per file: file { index }, chunks, file-end { index, sha256 }; done
+//   recipient: accept, then ack { received } as it saves, per file: received { index, ok }; complete
+
+// Unguessable, since whoever has the link can receive the files
+export const createRoomId = () => toBase64Url(crypto.getRandomValues(new Uint8Array(16)));
+
+export const buildRoomUrl = (roomId, fragment = '') =>
+  `${window.location.origin}/download/p2p/${roomId}${fragment ? `#${fragment}` : ''}`;
+
+const sendMessage = (channel, message) => channel.send(JSON.stringify(message));
+
+const parseMessage = (data) => {
+  if (typeof data !== 'string') return data;
+  try {
+    return JSON.parse(data);
+  } catch {
+    return {};
+  }
+};
+
+// Rejects when the other side goes away or the signal aborts. Nothing may be waiting on it
+// at that moment, hence the empty catch.
+const whenEnded = (channel, signal) => {
+  const ended = new Promise((resolve, reject) => {
+    channel.addEventListener('close', () => reject(peerError('peerLeft', 'The other browser disconnected')), { once: true });
+    signal?.addEventListener('abort', () => reject(abortError()), { once: true });
+  });
+  ended.catch(() => {});
+  return ended;
+};
+
+// Meets the other browser in the room and resolves with { connection, channel, room } once the
+// data channel is open. The sender (initiator) makes the offer when the recipient shows up.
+// Both stay in the room until the transfer is over, so a third browser is turned away (room-full).
+const connectPeer = (roomId, { initiator, onStatus, signal }) => new Promise((resolve, reject) => {
+  let room = null;
+  let unsubscribe = () => {};
+  let connection = null;
+  let settled = false;
+  const pendingCandidates = [];
+
+  const finish = (error, channel) => {
+    if (settled) return;
+    settled = true;
+    unsubscribe();
+    signal?.removeEventListener('abort', handleAbort);
+    if (error) {
+      room?.leave();
+      connection?.close();
+      reject(error);
+    } else {
+      resolve({ connection, channel, room });
+    }
+  };
+
+  const handleAbort = () => finish(abortError());
+
+  const openChannel = (channel) => {
+    channel.binaryType = 'arraybuffer';
+    channel.bufferedAmountLowThreshold = PEER_TRANSFER.bufferedAmountLow;
+    if (channel.readyState === 'open') finish(null, channel);
+    else channel.addEventListener('open', () => finish(null, channel), { once: true });
+  };
+
+  // A fresh connection per attempt, so a recipient who reloads can try again
+  const createConnection = () => {
+    connection?.close();
+    pendingCandidates.length = 0;
+    const current = new RTCPeerConnection({ iceServers: PEER_TRANSFER.iceServers });
+    current.onicecandidate = ({ candidate }) => {
+      if (candidate) room.send({ type: 'candidate', candidate });
+    };
+    current.onconnectionstatechange = () => {
+      if (current === connection && current.connectionState === 'failed') {
+        finish(peerError('peerConnection', 'No direct connection could be made'));
+      }
+    };
+    current.ondatachannel = ({ channel }) => openChannel(channel);
+    connection = current;
+    return current;
+  };
+
+  // Candidates can overtake the description they belong to
+  const addCandidates = async () => {
+    for (const candidate of pendingCandidates.splice(0)) {
+      await connection.addIceCandidate(candidate).catch(() => {});
+    }
+  };
+
+  const handleMessage = async (message) => {
+    try {
+      if (message.type === 'peer-joined' && initiator) {
+        onStatus?.('connecting');
+        const current = createConnection();
+        openChannel(current.createDataChannel('files', { ordered: true }));
+        await current.setLocalDescription();
+        room.send({ type: 'offer', description: current.localDescription });
+      } else if (message.type === 'offer' && !initiator) {
+        onStatus?.('connecting');
+        const current = createConnection();
+        await current.setRemoteDescription(message.description);
+        await current.setLocalDescription();
+        room.send({ type: 'answer', description: current.localDescription });
+        await addCandidates();
+      } else if (message.type === 'answer' && connection) {
+        await connection.setRemoteDescription(message.description);
+        await addCandidates();
+      } else if (message.type === 'candidate') {
+        pendingCandidates.push(message.candidate);
+        if (connection?.remoteDescription) await addCandidates();
+      } else if (message.type === 'peer-left') {
+        // The sender waits for the recipient to come back; a recipient without a sender can't go on
+        if (!initiator) throw peerError('peerLeft', 'The sender left');
+        connection?.close();
+        connection = null;
+        onStatus?.('waiting');
+      } else if (message.type === 'room-full') {
+        throw peerError('roomFull', 'Someone else is already receiving these files');
+      } else if (message.type === 'disconnected') {
+        throw peerError('signaling', 'Lost the signaling server');
+      }
+    } catch (error) {
+      finish(error);
+    }
+  };
+
+  signal?.addEventListener('abort', handleAbort, { once: true });
+  joinRoom(roomId).then(
+    (joined) => {
+      room = joined;
+      if (settled) {
+        room.leave();
+        return;
+      }
+      unsubscribe = room.onMessage(handleMessage);
+      onStatus?.('waiting');
+    },
+    error => finish(error)
+  );
+});
+
+// Sender side: waits in the room for the recipient, connects, and streams `files`
+// ([{ file, path }]) once they accept. Reports onStatus('waiting' | 'connecting' | 'connected' |
+// 'transferring'), onProgress({ received, total, bytesPerSecond, eta }) counting bytes that have
+// left this browser, and onFileResult(index, ok) from the recipient's checksum comparison.
+// Resolves once the recipient has everything; abort the signal to cancel.
+export const sendFiles = async (roomId, files, { onStatus, onProgress, onFileResult, signal } = {}) => {
+  const { connection, channel, room } = await connectPeer(roomId, { initiator: true, onStatus, signal });
+  const ended = whenEnded(channel, signal);
+  const total = files.reduce((sum, { file }) => sum + file.size, 0);
+  const measure = createSpeedMeter();
+  let sent = 0;
+  let acknowledged = 0;
+  let onAcknowledged = null;
+
+  let accept;
+  let complete;
+  const accepted = new Promise(resolve => { accept = resolve; });
+  const completed = new Promise(resolve => { complete = resolve; });
+  channel.onmessage = ({ data }) => {
+    const message = parseMessage(data);
+    if (message.type === 'accept') accept();
+    if (message.type === 'ack') {
+      acknowledged = message.received;
+      onAcknowledged?.();
+    }
+    if (message.type === 'received') onFileResult?.(message.index, message.ok);
+    if (message.type === 'complete') complete();
+  };
+
+  const reportProgress = () => onProgress?.(measure(Math.max(0, sent - channel.bufferedAmount), total));
+
+  try {
+    onStatus?.('connected');
+    sendMessage(channel, {
+      type: 'manifest',
+      files: files.map(({ file, path }) => ({ name: file.name, path: path || file.name, size: file.size, type: file.type })),
+    });
+    await Promise.race([accepted, ended]);
+
+    onStatus?.('transferring');
+    reportProgress();
+    for (const [index, { file }] of files.entries()) {
+      sendMessage(channel, { type: 'file', index });
+      const hasher = createHasher();
+      for (let offset = 0; offset < file.size; offset += PEER_TRANSFER.readSize) {
+        if (signal?.aborted) throw abortError();
+        const bytes = new Uint8Array(await file.slice(offset, offset + PEER_TRANSFER.readSize).arrayBuffer());
+        hasher.update(bytes);
+        for (let start = 0; start < bytes.byteLength; start += PEER_TRANSFER.chunkSize) {
+          // Backpressure: let the channel drain instead of queueing the whole file in memory
+          if (channel.bufferedAmount > PEER_TRANSFER.bufferedAmountHigh) {
+            await Promise.race([
+              new Promise(resolve => channel.addEventListener('bufferedamountlow', resolve, { once: true })),
+              ended,
+            ]);
+            reportProgress();
+          }
+          // Flow control: wait for the recipient to save what it already has (see PEER_TRANSFER)
+          while (sent - acknowledged >= PEER_TRANSFER.receiveWindow) {
+            await Promise.race([new Promise(resolve => { onAcknowledged = resolve; }), ended]);
+          }
+          const chunk = bytes.subarray(start, start + PEER_TRANSFER.chunkSize);
+          channel.send(chunk);
+          sent += chunk.byteLength;
+        }
+        reportProgress();
+      }
+      sendMessage(channel, { type: 'file-end', index, sha256: await hasher.digest() });
+    }
+    sendMessage(channel, { type: 'done' });
+
+    await Promise.race([completed, ended]);
+    onProgress?.(measure(total, total));
+  } catch (error) {
+    // Sending on a channel the other side just closed throws before `ended` rejects
+    if (signal?.aborted) throw abortError();
+    throw channel.readyState === 'open' ? error : peerError('peerLeft', 'The other browser disconnected');
+  } finally {
+    room.leave();
+    channel.close();
+    connection.close();
+  }
+};
+
+// The other side's messages in order, one at a time; chunks come through as ArrayBuffers.
+// The sender's flow control keeps the queue to about PEER_TRANSFER.receiveWindow bytes.
+const createInbox = (channel, ended) => {
+  const queue = [];
+  let waiting = null;
+  channel.onmessage = ({ data }) => {
+    const message = parseMessage(data);
+    if (waiting) {
+      waiting(message);
+      waiting = null;
+    } else {
+      queue.push(message);
+    }
+  };
+  return () => (queue.length > 0
+    ? Promise.resolve(queue.shift())
+    : Promise.race([new Promise(resolve => { waiting = resolve; }), ended]));
+};
+
+const isValidManifest = (files) => Array.isArray(files) && files.every(file =>
+  file && typeof file.name === 'string' && typeof file.path === 'string' && Number.isFinite(file.size) && file.size >= 0
+);
+
+// Recipient side: joins the sender's room and connects. onManifest(files) is called with the
+// file list ([{ name, path, size, type }]) and must return a promise that resolves once the user
+// accepts, with open(index) -> sink from lib/streamDownload's pickFileSinks: picking where to save
+// needs that click. Each file is only kept if its SHA-256 matches the sender's
+// (onFileResult(index, ok)). Reports onStatus and onProgress like sendFiles, and resolves when
+// everything has arrived.
+export const receiveFiles = async (roomId, { onStatus, onManifest, onProgress, onFileResult, signal } = {}) => {
+  const { connection, channel, room } = await connectPeer(roomId, { initiator: false, onStatus, signal });
+  const ended = whenEnded(channel, signal);
+  const next = createInbox(channel, ended);
+  let current = null; // { index, sink, hasher } of the file being received
+
+  try {
+    onStatus?.('connected');
+    let manifest = await next();
+    while (manifest.type !== 'manifest') manifest = await next();
+    const { files } = manifest;
+    if (!isValidManifest(files)) throw peerError('peerProtocol', 'Invalid file list');
+    const openSink = await Promise.race([onManifest(files), ended]);
+    sendMessage(channel, { type: 'accept' });
+
+    onStatus?.('transferring');
+    const total = files.reduce((sum, file) => sum + file.size, 0);
+    const measure = createSpeedMeter();
+    let received = 0;
+    let acknowledged = 0;
+    onProgress?.(measure(0, total));
+
+    for (;;) {
+      const message = await next();
+      if (message instanceof ArrayBuffer) {
+        if (!current) continue;
+        const bytes = new Uint8Array(message);
+        current.hasher.update(bytes);
+        await current.sink.write(bytes);
+        received += bytes.byteLength;
+        onProgress?.(measure(received, total));
+        if (received - acknowledged >= PEER_TRANSFER.ackSize) {
+          sendMessage(channel, { type: 'ack', received });
+          acknowledged = received;
+        }
+      } else if (message.type === 'file') {
+        if (current || !Number.isInteger(message.index) || !files[message.index]) {
+          throw peerError('peerProtocol', `Unexpected file ${message.index}`);
+        }
+        current = { index: message.index, hasher: createHasher(), sink: await openSink(message.index) };
+      } else if (message.type === 'file-end' && current) {
+        if (message.index !== current.index) {
+          throw peerError('peerProtocol', `Unexpected end of file ${message.index}`);
+        }
+        const ok = (await current.hasher.digest()) === message.sha256;
+        // A file that doesn't match what was sent is thrown away rather than saved
+        if (ok) await current.sink.close();
+        else await Promise.resolve(current.sink.abort()).catch(() => {});
+        current = null;
+        sendMessage(channel, { type: 'received', index: message.index, ok });
+        onFileResult?.(message.index, ok);
+      } else if (message.type === 'done') {
+        sendMessage(channel, { type: 'complete' });
+        break;
+      }
+    }
+  } catch (error) {
+    if (current) await Promise.resolve(current.sink.abort()).catch(() => {});
+    room.leave();
+    channel.close();
+    connection.close();
+    throw error;
+  }
+
+  room.leave();
+  // The sender hangs up once it has read 'complete'; closing first could lose that message
+  ended.catch(() => {}).finally(() => connection.close());
+};
@@ -0,0 +1,45 @@
+// Decides how (and whether) a file can be previewed inline before downloading it
+
+export const PREVIEW_MAX_SIZE = 25 * 1024 * 1024;
+export const TEXT_PREVIEW_MAX_SIZE = 512 * 1024;
+
+// Extension -> highlight.js language
+const CODE_LANGUAGES = {
+  js: 'javascript', jsx: 'javascript', mjs: 'javascript', cjs: 'javascript',
+  ts: 'typescript', tsx: 'typescript',
+  py: 'python', rb: 'ruby', go: 'go', rs: 'rust', java: 'java', kt: 'kotlin',
+  c: 'c', h: 'c', cpp: 'cpp', hpp: 'cpp', cs: 'csharp', php: 'php', swift: 'swift',
+  sh: 'bash', bash: 'bash', zsh: 'bash',
+  json: 'json', yml: 'yaml', yaml: 'yaml', toml: 'ini', ini: 'ini',
+  xml: 'xml', html: 'xml', svg: 'xml', css: 'css', scss: 'scss', less: 'less',
+  sql: 'sql', md: 'markdown', diff: 'diff', patch: 'diff',
+};
+
+const PLAIN_TEXT_EXTENSIONS = ['txt', 'log', 'csv', 'tsv', 'env'];
+
+const getExtension = (filename) => {
+  const dot = filename.lastIndexOf('.');
+  return dot > 0 ? filename.slice(dot + 1).toLowerCase() : '';
+};
+
+// Returns { kind: 'image' | 'pdf' | 'audio' | 'video' | 'text', language } or null when not previewable
+export const getPreviewKind = (filename, type, size) => {
+  const extension = getExtension(filename);
+  const mime = (type || '').split(';')[0].trim().toLowerCase();
+
+  if (size != null && size > PREVIEW_MAX_SIZE) return null;
+
+  if (CODE_LANGUAGES[extension]) {
+    if (size != null && size > TEXT_PREVIEW_MAX_SIZE) return null;
+    return { kind: 'text', language: CODE_LANGUAGES[extension] };
+  }
+  if (mime.startsWith('image/') && mime !== 'image/tiff') return { kind: 'image' };
+  if (mime === 'application/pdf') return { kind: 'pdf' };
+  if (mime.startsWith('audio/')) return { kind: 'audio' };
+  if (mime.startsWith('video/')) return { kind: 'video' };
+  if (mime.startsWith('text/') || mime === 'application/json' || PLAIN_TEXT_EXTENSIONS.includes(extension)) {
+    if (size != null && size > TEXT_PREVIEW_MAX_SIZE) return null;
+    return { kind: 'text', language: null };
+  }
+  return null;
+};
@@ -0,0 +1,391 @@
+// Local QR code encoder (ISO/IEC 18004), so share links never leave the browser.
+// Byte mode only: share URLs are short and byte mode handles any UTF-8 text.
+
+// Per level: format bits and, indexed by version, EC codewords per block and block count
+const EC_LEVELS = {
+  L: {
+    formatBits: 1,
+    codewordsPerBlock: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    blocks: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  },
+  M: {
+    formatBits: 0,
+    codewordsPerBlock: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    blocks: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  },
+  Q: {
+    formatBits: 3,
+    codewordsPerBlock: [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    blocks: [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  },
+  H: {
+    formatBits: 2,
+    codewordsPerBlock: [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    blocks: [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81],
+  },
+};
+
+export const ERROR_CORRECTION_LEVELS = Object.keys(EC_LEVELS);
+
+const MIN_VERSION = 1;
+const MAX_VERSION = 40;
+
+const getBit = (value, index) => ((value >>> index) & 1) !== 0;
+
+// Modules available for data and EC codewords once function patterns are placed
+const getRawModuleCount = (version) => {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const alignCount = Math.floor(version / 7) + 2;
+    result -= (25 * alignCount - 10) * alignCount - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+};
+
+const getDataCodewordCount = (version, level) =>
+  Math.floor(getRawModuleCount(version) / 8) -
+  EC_LEVELS[level].codewordsPerBlock[version] * EC_LEVELS[level].blocks[version];
+
+const getAlignmentPositions = (version, size) => {
+  if (version === 1) return [];
+  const count = Math.floor(version / 7) + 2;
+  const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+  const positions = [6];
+  for (let position = size - 7; positions.length < count; position -= step) {
+    positions.splice(1, 0, position);
+  }
+  return positions;
+};
+
+// Reed-Solomon over GF(256) with the QR polynomial 0x11D
+const gfMultiply = (x, y) => {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+};
+
+const reedSolomonDivisor = (degree) => {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+};
+
+const reedSolomonRemainder = (data, divisor) => {
+  const result = divisor.map(() => 0);
+  data.forEach((byte) => {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => {
+      result[i] ^= gfMultiply(coefficient, factor);
+    });
+  });
+  return result;
+};
+
+// Byte-mode segment plus terminator and padding, as codewords
+const encodeData = (bytes, version, level) => {
+  const capacityBits = getDataCodewordCount(version, level) * 8;
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+
+  append(0b0100, 4);
+  append(bytes.length, version < 10 ? 8 : 16);
+  bytes.forEach(byte => append(byte, 8));
+  append(0, Math.min(4, capacityBits - bits.length));
+  append(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) {
+    append(pad, 8);
+  }
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  return codewords;
+};
+
+// Splits data into blocks, appends EC to each and interleaves them
+const addErrorCorrection = (data, version, level) => {
+  const blockCount = EC_LEVELS[level].blocks[version];
+  const ecLength = EC_LEVELS[level].codewordsPerBlock[version];
+  const rawCodewords = Math.floor(getRawModuleCount(version) / 8);
+  const shortBlockCount = blockCount - (rawCodewords % blockCount);
+  const shortBlockLength = Math.floor(rawCodewords / blockCount);
+  const divisor = reedSolomonDivisor(ecLength);
+
+  const blocks = [];
+  for (let i = 0, offset = 0; i < blockCount; i++) {
+    const dataLength = shortBlockLength - ecLength + (i < shortBlockCount ? 0 : 1);
+    const block = data.slice(offset, offset + dataLength);
+    offset += dataLength;
+    const ec = reedSolomonRemainder(block, divisor);
+    if (i < shortBlockCount) block.push(0);
+    blocks.push(block.concat(ec));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      // Short blocks carry a placeholder where long blocks have their extra data codeword
+      if (i !== shortBlockLength - ecLength || j >= shortBlockCount) {
+        result.push(block[i]);
+      }
+    });
+  }
+  return result;
+};
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+const FINDER_LIKE = [
+  [1, 0, 1, 1, 1, 0, 1, 0, 0, 0, 0],
+  [0, 0, 0, 0, 1, 0, 1, 1, 1, 0, 1],
+];
+
+// Standard penalty rules; only used to pick the most readable mask
+const getPenalty = (modules) => {
+  const size = modules.length;
+  let penalty = 0;
+  let dark = 0;
+
+  const scanLine = (getModule) => {
+    let runColor = null;
+    let runLength = 0;
+    for (let i = 0; i < size; i++) {
+      const module = getModule(i);
+      if (module === runColor) {
+        runLength++;
+        if (runLength === 5) penalty += 3;
+        else if (runLength > 5) penalty += 1;
+      } else {
+        runColor = module;
+        runLength = 1;
+      }
+      if (i + 11 <= size) {
+        FINDER_LIKE.forEach((pattern) => {
+          if (pattern.every((bit, k) => getModule(i + k) === (bit === 1))) penalty += 40;
+        });
+      }
+    }
+  };
+
+  for (let i = 0; i < size; i++) {
+    scanLine(j => modules[i][j]);
+    scanLine(j => modules[j][i]);
+  }
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) dark++;
+      if (
+        x < size - 1 && y < size - 1 &&
+        modules[y][x] === modules[y][x + 1] &&
+        modules[y][x] === modules[y + 1][x] &&
+        modules[y][x] === modules[y + 1][x + 1]
+      ) {
+        penalty += 3;
+      }
+    }
+  }
+
+  const total = size * size;
+  penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+  return penalty;
+};
+
+const buildMatrix = (version, level, codewords) => {
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+
+  const setFunction = (x, y, dark) => {
+    modules[y][x] = dark;
+    isFunction[y][x] = true;
+  };
+
+  const drawFormatBits = (mask) => {
+    const data = (EC_LEVELS[level].formatBits << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+
+    for (let i = 0; i <= 5; i++) setFunction(8, i, getBit(bits, i));
+    setFunction(8, 7, getBit(bits, 6));
+    setFunction(8, 8, getBit(bits, 7));
+    setFunction(7, 8, getBit(bits, 8));
+    for (let i = 9; i < 15; i++) setFunction(14 - i, 8, getBit(bits, i));
+    for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, getBit(bits, i));
+    for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, getBit(bits, i));
+    setFunction(8, size - 8, true);
+  };
+
+  // Timing patterns
+  for (let i = 0; i < size; i++) {
+    setFunction(6, i, i % 2 === 0);
+    setFunction(i, 6, i % 2 === 0);
+  }
+
+  // Finder patterns with their separators
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x >= 0 && x < size && y >= 0 && y < size) {
+          const distance = Math.max(Math.abs(dx), Math.abs(dy));
+          setFunction(x, y, distance !== 2 && distance !== 4);
+        }
+      }
+    }
+  });
+
+  // Alignment patterns, except where they would overlap a finder
+  const alignment = getAlignmentPositions(version, size);
+  const last = alignment.length - 1;
+  alignment.forEach((cx, i) => {
+    alignment.forEach((cy, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    });
+  });
+
+  // Reserve the format areas; the real bits are drawn once the mask is chosen
+  drawFormatBits(0);
+
+  if (version >= 7) {
+    let remainder = version;
+    for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    const bits = (version << 12) | remainder;
+    for (let i = 0; i < 18; i++) {
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      setFunction(a, b, getBit(bits, i));
+      setFunction(b, a, getBit(bits, i));
+    }
+  }
+
+  // Data in the zigzag column-pair order, skipping the vertical timing column
+  let bitIndex = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vertical = 0; vertical < size; vertical++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vertical : vertical;
+        if (!isFunction[y][x] && bitIndex < codewords.length * 8) {
+          modules[y][x] = getBit(codewords[bitIndex >>> 3], 7 - (bitIndex & 7));
+          bitIndex++;
+        }
+      }
+    }
+  }
+
+  const applyMask = (mask) => {
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (!isFunction[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+      }
+    }
+  };
+
+  let bestMask = 0;
+  let bestPenalty = Infinity;
+  for (let mask = 0; mask < MASKS.length; mask++) {
+    applyMask(mask);
+    drawFormatBits(mask);
+    const penalty = getPenalty(modules);
+    if (penalty < bestPenalty) {
+      bestMask = mask;
+      bestPenalty = penalty;
+    }
+    applyMask(mask);
+  }
+  applyMask(bestMask);
+  drawFormatBits(bestMask);
+
+  return modules;
+};
+
+// Encodes text at the given error-correction level ('L', 'M', 'Q' or 'H'), picking the
+// smallest version that fits. Returns { version, level, size, modules } with modules[y][x]
+// true for dark.
+export const encodeQr = (text, { level = 'M' } = {}) => {
+  if (!EC_LEVELS[level]) {
+    throw new Error(`Unknown error correction level: ${level}`);
+  }
+  const bytes = Array.from(new TextEncoder().encode(text));
+
+  for (let version = MIN_VERSION; version <= MAX_VERSION; version++) {
+    const countBits = version < 10 ? 8 : 16;
+    const neededBits = 4 + countBits + bytes.length * 8;
+    if (bytes.length < 2 ** countBits && neededBits <= getDataCodewordCount(version, level) * 8) {
+      const data = encodeData(bytes, version, level);
+      const modules = buildMatrix(version, level, addErrorCorrection(data, version, level));
+      return { version, level, size: modules.length, modules };
+    }
+  }
+  throw new Error('Text is too long for a QR code');
+};
+
+// SVG markup; one path keeps the file small. margin is the quiet zone in modules.
+export const qrToSvg = (qr, { size = 256, margin = 4, foreground = '#000000', background = '#ffffff' } = {}) => {
+  const dimension = qr.size + margin * 2;
+  let path = '';
+  qr.modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (dark) path += `M${x + margin},${y + margin}h1v1h-1z`;
+    });
+  });
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${dimension} ${dimension}" shape-rendering="crispEdges">` +
+    `<rect width="100%" height="100%" fill="${background}"/>` +
+    `<path d="${path}" fill="${foreground}"/></svg>`;
+};
+
+export const drawQrToCanvas = (qr, canvas, { size = 256, margin = 4, foreground = '#000000', background = '#ffffff' } = {}) => {
+  const dimension = qr.size + margin * 2;
+  const scale = size / dimension;
+  canvas.width = size;
+  canvas.height = size;
+  const context = canvas.getContext('2d');
+  context.fillStyle = background;
+  context.fillRect(0, 0, size, size);
+  context.fillStyle = foreground;
+  qr.modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (dark) {
+        // Snap to whole pixels so neighbouring modules don't leave hairline gaps
+        const left = Math.floor((x + margin) * scale);
+        const top = Math.floor((y + margin) * scale);
+        context.fillRect(left, top, Math.ceil((x + margin + 1) * scale) - left, Math.ceil((y + margin + 1) * scale) - top);
+      }
+    });
+  });
+};
@@ -0,0 +1,40 @@
+// Files shared to the installed app from other apps. public/sw.js receives the share,
+// parks the files in this cache and opens /?shared=1; the upload page takes them from here.
+const SHARE_CACHE = 'file-share-shared';
+
+// Registers public/sw.js in production builds; the dev server serves modules it shouldn't cache
+export const registerServiceWorker = () => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(error => {
+      console.warn('Service worker registration failed:', error);
+    });
+  });
+};
+
+// { files: [{ file, relativePath }], text } of the last share, emptied once read
+export const takeSharedItems = async () => {
+  if (!('caches' in window) || !(await caches.has(SHARE_CACHE))) return { files: [], text: '' };
+  const cache = await caches.open(SHARE_CACHE);
+  const isText = (request) => new URL(request.url).pathname === '/shared/text';
+  const keys = await cache.keys();
+  const textRequest = keys.find(isText);
+  // Cached in parallel, so put the files back in the order they were shared
+  const index = (request) => Number(new URL(request.url).pathname.split('/').pop());
+  const requests = keys.filter(request => !isText(request)).sort((a, b) => index(a) - index(b));
+  const files = [];
+  const text = textRequest ? await (await cache.match(textRequest)).text() : '';
+
+  for (const request of requests) {
+    const response = await cache.match(request);
+    const blob = await response.blob();
+    const file = new File([blob], decodeURIComponent(response.headers.get('X-Filename') || 'shared-file'), {
+      type: blob.type,
+      lastModified: Number(response.headers.get('X-Last-Modified')) || Date.now(),
+    });
+    files.push({ file, relativePath: file.name });
+  }
+
+  await caches.delete(SHARE_CACHE);
+  return { files, text };
+};
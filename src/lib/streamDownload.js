@@ -0,0 +1,159 @@
+import { abortError } from '../api/errors';
+
+const SPEED_WINDOW_MS = 3000;
+
+// Pickers need a user gesture; opening a file in what was picked doesn't. Both return null
+// when the File System Access API is unavailable or the gesture is missing.
+const pickSaveFile = async (filename) => {
+  if (typeof window.showSaveFilePicker !== 'function') return null;
+  try {
+    return await window.showSaveFilePicker({ suggestedName: filename });
+  } catch (error) {
+    // Dismissing the picker means the user doesn't want the file
+    if (error.name === 'AbortError') throw abortError();
+    return null;
+  }
+};
+
+const pickDirectory = async () => {
+  if (typeof window.showDirectoryPicker !== 'function') return null;
+  try {
+    return await window.showDirectoryPicker({ mode: 'readwrite' });
+  } catch (error) {
+    if (error.name === 'AbortError') throw abortError();
+    return null;
+  }
+};
+
+// Writes straight to a file on disk, so large downloads never sit in memory
+const openDiskSink = async (handle) => {
+  const writable = await handle.createWritable();
+  return {
+    write: chunk => writable.write(chunk),
+    close: () => writable.close(),
+    abort: () => writable.abort(),
+  };
+};
+
+// Follows a relative path ('photos/2024/a.jpg') down from a picked folder, creating folders
+// on the way. The path comes from someone else, so '.' and '..' segments are dropped.
+const getFileHandleAt = async (directory, path) => {
+  const segments = path.split('/').filter(segment => segment && segment !== '.' && segment !== '..');
+  let current = directory;
+  for (const segment of segments.slice(0, -1)) {
+    current = await current.getDirectoryHandle(segment, { create: true });
+  }
+  return current.getFileHandle(segments[segments.length - 1] || 'download', { create: true });
+};
+
+// Fallback: collect the chunks and hand the browser a Blob at the end
+const createMemorySink = (filename, type) => {
+  const chunks = [];
+  return {
+    write: (chunk) => {
+      chunks.push(chunk);
+    },
+    close: () => {
+      const url = window.URL.createObjectURL(new Blob(chunks, { type }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+    },
+    abort: () => {
+      chunks.length = 0;
+    },
+  };
+};
+
+// Tracks bytes over a sliding window for a steady throughput and ETA
+export const createSpeedMeter = () => {
+  const samples = [];
+  return (received, total) => {
+    const now = performance.now();
+    samples.push({ time: now, received });
+    while (samples.length > 2 && now - samples[0].time > SPEED_WINDOW_MS) {
+      samples.shift();
+    }
+    const elapsed = (now - samples[0].time) / 1000;
+    const bytesPerSecond = elapsed > 0 ? (received - samples[0].received) / elapsed : 0;
+    const eta = total && bytesPerSecond > 0 ? (total - received) / bytesPerSecond : null;
+    return { received, total, bytesPerSecond, eta };
+  };
+};
+
+// Where a download's bytes go: { write(chunk), close(), abort() }. Asks for a place on disk
+// right away, while the click that started the download still counts as a user gesture, and
+// resolves with open(filename, type) -> sink for once the response is in. Without a picked
+// file the bytes are collected in memory and saved under the filename given to open().
+export const pickFileSink = async (suggestedName) => {
+  const handle = await pickSaveFile(suggestedName);
+  return async (filename, type) => (handle ? openDiskSink(handle) : createMemorySink(filename, type));
+};
+
+// For files that arrive later than the click that asked for them (direct transfers): asks where
+// to save right away, one save dialog for a single file or a folder for several, and resolves
+// with open(index) -> sink for when each file's bytes come in. files: [{ name, path, type }]
+export const pickFileSinks = async (files) => {
+  if (files.length === 1) {
+    const open = await pickFileSink(files[0].name);
+    return () => open(files[0].name, files[0].type);
+  }
+  const directory = await pickDirectory();
+  return async (index) => {
+    const { name, path, type } = files[index];
+    return directory
+      ? openDiskSink(await getFileHandleAt(directory, path || name))
+      : createMemorySink(name, type);
+  };
+};
+
+// Streams response.body into a sink from pickFileSink's open(), reporting
+// { received, total, bytesPerSecond, eta } as bytes arrive. Abort the signal to cancel.
+// Whatever goes wrong, the body is cancelled so the connection isn't left open.
+export const saveResponse = async (response, { openSink, filename, type, total, onProgress, signal }) => {
+  let sink;
+  try {
+    sink = await openSink(filename, type);
+  } catch (error) {
+    await response.body?.cancel().catch(() => {});
+    throw error;
+  }
+  const measure = createSpeedMeter();
+
+  if (!response.body) {
+    const blob = await response.blob();
+    await sink.write(blob);
+    await sink.close();
+    onProgress?.(measure(blob.size, blob.size));
+    return blob.size;
+  }
+
+  const reader = response.body.getReader();
+  const cancel = () => reader.cancel().catch(() => {});
+  signal?.addEventListener('abort', cancel, { once: true });
+
+  let received = 0;
+  try {
+    onProgress?.(measure(0, total));
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (signal?.aborted) throw abortError();
+      if (done) break;
+      await sink.write(value);
+      received += value.byteLength;
+      onProgress?.(measure(received, total));
+    }
+    await sink.close();
+    return received;
+  } catch (error) {
+    cancel();
+    await Promise.resolve(sink.abort()).catch(() => {});
+    throw signal?.aborted ? abortError() : error;
+  } finally {
+    signal?.removeEventListener('abort', cancel);
+  }
+};
@@ -0,0 +1,52 @@
+// Light, dark or follow the OS. Dark mode is the `dark` class on <html> (tailwind.config.js
+// darkMode: 'class'), which swaps the colour tokens in index.css.
+export const THEME_MODES = ['light', 'dark', 'system'];
+
+const STORAGE_KEY = 'file-share-theme';
+const darkQuery = typeof window === 'undefined' ? null : window.matchMedia?.('(prefers-color-scheme: dark)');
+
+const readSavedMode = () => {
+  try {
+    const mode = localStorage.getItem(STORAGE_KEY);
+    return THEME_MODES.includes(mode) ? mode : 'system';
+  } catch {
+    // Storage blocked (e.g. some private modes)
+    return 'system';
+  }
+};
+
+// Same external-store shape as lib/i18n, for useSyncExternalStore
+let currentMode = readSavedMode();
+const listeners = new Set();
+
+export const getThemeMode = () => currentMode;
+
+export const subscribeThemeMode = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const applyTheme = () => {
+  const dark = currentMode === 'dark' || (currentMode === 'system' && Boolean(darkQuery?.matches));
+  document.documentElement.classList.toggle('dark', dark);
+};
+
+export const setThemeMode = (mode) => {
+  currentMode = THEME_MODES.includes(mode) ? mode : 'system';
+  try {
+    localStorage.setItem(STORAGE_KEY, currentMode);
+  } catch {
+    // Not remembered, but still applied
+  }
+  applyTheme();
+  listeners.forEach(listener => listener());
+};
+
+// Called once from main.jsx. index.html already set the class before first paint; this keeps
+// it in step with the OS setting while the page is open.
+export const initTheme = () => {
+  applyTheme();
+  darkQuery?.addEventListener?.('change', () => {
+    if (currentMode === 'system') applyTheme();
+  });
+};
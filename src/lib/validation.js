@@ -0,0 +1,73 @@
+import { UPLOAD_RULES } from '../config';
+import { formatFileSize } from './format';
+import { translate } from './i18n';
+
+const getExtension = (name) => {
+  const dot = name.lastIndexOf('.');
+  return dot > 0 ? name.slice(dot + 1).toLowerCase() : '';
+};
+
+const matchesMimeType = (type, patterns) => patterns.some(pattern => {
+  if (pattern.endsWith('/*')) {
+    return type.startsWith(pattern.slice(0, -1));
+  }
+  return type === pattern;
+});
+
+const checkFile = (file, rules) => {
+  const errors = [];
+  const extension = getExtension(file.name);
+  const type = (file.type || '').toLowerCase();
+
+  if (!rules.allowEmptyFiles && file.size === 0) {
+    errors.push(translate('validation.empty'));
+  }
+  if (file.size > rules.maxFileSize) {
+    errors.push(translate('validation.tooLarge', { size: formatFileSize(rules.maxFileSize) }));
+  }
+  if (rules.blockedExtensions.includes(extension)) {
+    errors.push(translate('validation.extensionBlocked', { extension }));
+  } else if (rules.allowedExtensions.length > 0 && !rules.allowedExtensions.includes(extension)) {
+    errors.push(extension ? translate('validation.extensionBlocked', { extension }) : translate('validation.noExtension'));
+  }
+  if (type && matchesMimeType(type, rules.blockedMimeTypes)) {
+    errors.push(translate('validation.typeBlocked', { type }));
+  } else if (rules.allowedMimeTypes.length > 0 && !matchesMimeType(type, rules.allowedMimeTypes)) {
+    errors.push(type ? translate('validation.typeNotAllowed', { type }) : translate('validation.unknownType'));
+  }
+
+  return errors;
+};
+
+// Returns one list of violations per file, in the same order. Count and total-size limits
+// are blamed on the files that push the selection over them.
+export const validateFiles = (files, rules = UPLOAD_RULES) => {
+  let totalSize = 0;
+
+  return files.map((file, index) => {
+    const errors = checkFile(file, rules);
+
+    if (index >= rules.maxFiles) {
+      errors.push(translate('validation.tooMany', { count: rules.maxFiles }));
+    }
+    totalSize += file.size;
+    if (totalSize > rules.maxTotalSize) {
+      errors.push(translate('validation.totalTooLarge', { size: formatFileSize(rules.maxTotalSize) }));
+    }
+
+    return errors;
+  });
+};
+
+// UI copy for the drop zone, built from the same rules the checks use
+export const describeRules = (rules = UPLOAD_RULES) =>
+  translate('validation.rules', { count: rules.maxFiles, size: formatFileSize(rules.maxFileSize) });
+
+// Value for the file input's accept attribute
+export const getAcceptAttribute = (rules = UPLOAD_RULES) => {
+  const accepted = [
+    ...rules.allowedExtensions.map(extension => `.${extension}`),
+    ...rules.allowedMimeTypes,
+  ];
+  return accepted.length > 0 ? accepted.join(',') : '*/*';
+};
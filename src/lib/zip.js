@@ -0,0 +1,160 @@
+// Streaming ZIP writer used for "download all" when the backend has no archive to offer.
+// Entries are stored without compression: shared files are mostly compressed already, each
+// file can be piped straight through, and the archive size is known before it starts.
+
+const encoder = new TextEncoder();
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const updateCrc = (crc, bytes) => {
+  let c = crc ^ 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ 0xffffffff) >>> 0;
+};
+
+const toDosDateTime = (timestamp) => {
+  const date = new Date(timestamp);
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+};
+
+// Bit 3: sizes and CRC follow the data; bit 11: names are UTF-8
+const FLAGS = 0x0808;
+
+const localHeader = (nameBytes, dos) => {
+  const header = new DataView(new ArrayBuffer(30));
+  header.setUint32(0, 0x04034b50, true);
+  header.setUint16(4, 20, true);
+  header.setUint16(6, FLAGS, true);
+  header.setUint16(8, 0, true);
+  header.setUint16(10, dos.time, true);
+  header.setUint16(12, dos.date, true);
+  header.setUint16(26, nameBytes.length, true);
+  return concat(new Uint8Array(header.buffer), nameBytes);
+};
+
+const dataDescriptor = (crc, size) => {
+  const view = new DataView(new ArrayBuffer(16));
+  view.setUint32(0, 0x08074b50, true);
+  view.setUint32(4, crc, true);
+  view.setUint32(8, size, true);
+  view.setUint32(12, size, true);
+  return new Uint8Array(view.buffer);
+};
+
+const centralHeader = ({ nameBytes, dos, crc, size, offset }) => {
+  const view = new DataView(new ArrayBuffer(46));
+  view.setUint32(0, 0x02014b50, true);
+  view.setUint16(4, 20, true);
+  view.setUint16(6, 20, true);
+  view.setUint16(8, FLAGS, true);
+  view.setUint16(10, 0, true);
+  view.setUint16(12, dos.time, true);
+  view.setUint16(14, dos.date, true);
+  view.setUint32(16, crc, true);
+  view.setUint32(20, size, true);
+  view.setUint32(24, size, true);
+  view.setUint16(28, nameBytes.length, true);
+  view.setUint32(42, offset, true);
+  return concat(new Uint8Array(view.buffer), nameBytes);
+};
+
+const endOfCentralDirectory = (count, size, offset) => {
+  const view = new DataView(new ArrayBuffer(22));
+  view.setUint32(0, 0x06054b50, true);
+  view.setUint16(8, count, true);
+  view.setUint16(10, count, true);
+  view.setUint32(12, size, true);
+  view.setUint32(16, offset, true);
+  return new Uint8Array(view.buffer);
+};
+
+const concat = (...parts) => {
+  const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  parts.forEach((part) => {
+    result.set(part, position);
+    position += part.length;
+  });
+  return result;
+};
+
+// Exact archive size for entries of known size, so the download can show real progress
+export const getZipSize = (entries) => entries.reduce((sum, entry) => {
+  const nameLength = encoder.encode(entry.name).length;
+  return sum + 30 + nameLength + entry.size + 16 + 46 + nameLength;
+}, 22);
+
+async function* generateZip(entries) {
+  const written = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const nameBytes = encoder.encode(entry.name);
+    const dos = toDosDateTime(entry.lastModified || Date.now());
+    const header = localHeader(nameBytes, dos);
+    const start = offset;
+    yield header;
+    offset += header.length;
+
+    let crc = 0;
+    let size = 0;
+    const reader = (await entry.open()).getReader();
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      crc = updateCrc(crc, value);
+      size += value.length;
+      yield value;
+    }
+    offset += size;
+
+    const descriptor = dataDescriptor(crc, size);
+    yield descriptor;
+    offset += descriptor.length;
+    written.push({ nameBytes, dos, crc, size, offset: start });
+  }
+
+  const directoryStart = offset;
+  let directorySize = 0;
+  for (const entry of written) {
+    const header = centralHeader(entry);
+    directorySize += header.length;
+    yield header;
+  }
+  yield endOfCentralDirectory(written.length, directorySize, directoryStart);
+}
+
+// entries: [{ name, size, lastModified, open: () => Promise<ReadableStream<Uint8Array>> }].
+// Each entry is opened only when the archive reaches it.
+export const createZipStream = (entries) => {
+  const iterator = generateZip(entries);
+  return new ReadableStream({
+    async pull(controller) {
+      const { done, value } = await iterator.next();
+      if (done) {
+        controller.close();
+      } else {
+        controller.enqueue(value);
+      }
+    },
+    cancel() {
+      iterator.return();
+    },
+  });
+};
@@ -0,0 +1,371 @@
+// German (see locales/en for the reference catalog)
+export default {
+  common: {
+    uploadFiles: '📁 Dateien hochladen',
+    uploadNewFiles: '📁 Neue Dateien hochladen',
+    fileId: 'Datei-ID: {id}',
+    files: { one: '{count} Datei', other: '{count} Dateien' },
+    copy: '📋 Kopieren',
+    copied: '✅ Kopiert!',
+    language: 'Sprache',
+  },
+
+  upload: {
+    subtitle: 'Lade deine Dateien hoch und erhalte einen Download-Link zum Teilen',
+    historyLink: '🕘 Deine bisherigen Freigaben',
+    dropTitle: 'Klicken, um Dateien hochzuladen, oder per Drag & Drop ablegen',
+    chooseFolder: '📂 Oder einen ganzen Ordner wählen',
+    writeSnippet: '✍️ Textschnipsel schreiben',
+    pasteTip: 'Tipp: Dateien, Screenshots oder Text einfach irgendwo auf dieser Seite einfügen (Strg+V / ⌘V)',
+    skippedDuplicates: {
+      one: 'Eine bereits ausgewählte Datei wurde übersprungen: {names}',
+      other: '{count} bereits ausgewählte Dateien wurden übersprungen: {names}',
+    },
+    removeInvalid: 'Entferne die rot markierten Dateien, um fortzufahren.',
+    waking: '⏳ Der Server wird aufgeweckt ({elapsed}). Er schläft, wenn er nicht genutzt wird, und braucht bis zu einer Minute zum Starten; dein Upload beginnt, sobald er antwortet.',
+    waitingForServer: 'Warte auf den Server...',
+    uploading: 'Wird hochgeladen...',
+    upload: 'Dateien hochladen',
+    clear: 'Auswahl leeren',
+    compareContents: 'Duplikate am Dateiinhalt erkennen',
+    encrypt: '🔒 Dateien in meinem Browser verschlüsseln',
+    encryptWithLink: 'Schlüssel in den Freigabelink packen',
+    encryptWithPassword: 'Mit einem Passwort schützen',
+    passwordPlaceholder: 'Passwort',
+    passwordTooShort: 'Verwende mindestens {count} Zeichen.',
+    parallelUploads: 'Parallele Uploads',
+    status: {
+      queued: 'Wartend',
+      uploading: 'Lädt hoch',
+      paused: 'Pausiert',
+      done: 'Fertig',
+      failed: 'Fehlgeschlagen',
+    },
+    pause: 'Pause',
+    resume: 'Fortsetzen',
+    retry: 'Erneut versuchen',
+    remove: '{name} entfernen',
+    moveUp: '{name} nach oben',
+    moveDown: '{name} nach unten',
+    progressLabel: 'Upload-Fortschritt für {name}',
+    overallProgress: 'Upload zu {percent} % fertig',
+    lifetime: {
+      firstDownload: 'nach dem ersten Download',
+      downloads: { one: 'nach {count} Download', other: 'nach {count} Downloads' },
+      whicheverFirst: '{limit} oder {expiry}, je nachdem, was zuerst eintritt',
+    },
+    success: {
+      title: '✅ Upload erfolgreich!',
+      message: 'Deine Dateien wurden erfolgreich hochgeladen.',
+      files: 'Dateien:',
+      checksums: '🧾 SHA-256-Prüfsummen',
+      encrypted: '🔒 In deinem Browser verschlüsselt.',
+      encryptedWithKey: 'Der Schlüssel ist Teil dieses Links, daher kann jeder mit dem vollständigen Link die Dateien öffnen.',
+      encryptedWithPassword: 'Empfänger brauchen das Passwort; schicke es getrennt vom Link.',
+      downloadFiles: '📥 Dateien herunterladen',
+      shareTitle: '📤 Diesen Link teilen',
+      linkLabel: 'Download-Link',
+      share: '📤 Teilen',
+      showQr: '📱 QR-Code anzeigen',
+      hideQr: '🔼 QR-Code ausblenden',
+      deletion: 'Die Dateien werden {lifetime} gelöscht. Der Link ist in {history} gespeichert.',
+      historyLink: 'deinem Verlauf',
+    },
+    failed: '❌ Upload fehlgeschlagen: {title}',
+  },
+
+  shareOptions: {
+    title: '⚙️ Freigabeoptionen',
+    expiresAfter: 'Laufzeit: {lifetime}',
+    burnSummary: 'nach dem Lesen löschen',
+    downloadsSummary: { one: '{count} Download', other: '{count} Downloads' },
+    deleteAfter: 'Dateien aufbewahren für',
+    maxDownloads: 'Maximale Downloads',
+    unlimited: 'Unbegrenzt',
+    burnAfterReading: '🔥 Nach dem Lesen löschen (nach dem ersten Download)',
+    message: 'Nachricht an den Empfänger (optional)',
+  },
+
+  image: {
+    options: '🖼️ Bildoptionen',
+    processing: 'Wird verarbeitet…',
+    stripMetadata: 'Metadaten entfernen (Ort, Kamera, Datum)',
+    format: 'Format',
+    keepFormat: 'Format beibehalten',
+    maxSize: 'Maximale Größe',
+    original: 'Original',
+    quality: 'Qualität: {percent} %',
+    metadataNote: 'Beim Verkleinern oder Umwandeln werden Metadaten immer entfernt.',
+    failed: 'Dieses Bild konnte nicht verarbeitet werden.',
+  },
+
+  snippet: {
+    filename: 'Dateiname des Schnipsels',
+    placeholder: 'Text, Code oder Markdown einfügen oder tippen',
+    discard: 'Verwerfen',
+    add: '📝 Als Datei hinzufügen',
+  },
+
+  qr: {
+    size: 'Größe',
+    errorCorrection: 'Fehlerkorrektur',
+    colour: 'Farbe',
+    background: 'Hintergrund',
+    tooLong: 'Dieser Link ist zu lang für einen QR-Code.',
+  },
+
+  preview: {
+    unavailable: 'Vorschau nicht verfügbar: {error}',
+    imageAlt: 'Dateivorschau',
+    pdfTitle: 'PDF-Vorschau',
+    loading: 'Vorschau wird geladen…',
+  },
+
+  server: {
+    unknown: 'Serverstatus unbekannt',
+    checking: 'Server wird geprüft…',
+    waking: 'Server wird aufgeweckt',
+    online: 'Server online',
+    offline: 'Du bist offline',
+    unreachable: 'Server nicht erreichbar',
+    checkAgain: 'Erneut prüfen',
+  },
+
+  download: {
+    loading: {
+      wakingTitle: 'Der Server wird aufgeweckt',
+      wakingMessage: 'Der Server schläft, wenn er nicht genutzt wird, und braucht bis zu einer Minute zum Starten. Wartezeit bisher: {elapsed}...',
+      title: 'Dateidetails werden geladen',
+      message: 'Einen Moment, wir suchen deine Dateien...',
+    },
+    invalidLink: {
+      title: 'Ungültiger Link',
+      message: 'Dieser Link enthält keine Freigabe-ID.',
+      action: 'Prüfe, ob du den ganzen Link kopiert hast.',
+    },
+    sharedWithYou: { one: 'Jemand hat eine Datei mit dir geteilt', other: 'Jemand hat {count} Dateien mit dir geteilt' },
+    expiresIn: 'Läuft ab in {duration}',
+    expired: 'Abgelaufen',
+    downloadsLeft: { one: 'Noch {count} Download', other: 'Noch {count} Downloads' },
+    burnNotice: '🔥 Diese Dateien werden gelöscht, sobald sie einmal heruntergeladen wurden.',
+    encrypted: '🔒 Ende-zu-Ende-verschlüsselt. Die Dateien werden in deinem Browser entschlüsselt.',
+    passwordPlaceholder: 'Passwort eingeben',
+    checking: 'Wird geprüft...',
+    unlock: '🔓 Entsperren',
+    passwordCheckFailed: 'Das Passwort konnte nicht geprüft werden: {message}',
+    cancelled: 'Download abgebrochen. Es wurde nichts gespeichert.',
+    unknownSize: 'Unbekannte Größe',
+    preview: '👁️ Vorschau',
+    hidePreview: 'Ausblenden',
+    download: '📥 Herunterladen',
+    downloadAll: '🗜️ Alle herunterladen (ZIP)',
+    downloading: 'Wird heruntergeladen',
+    progressLabel: 'Download-Fortschritt',
+    progressAnnouncement: 'Download zu {percent} % fertig',
+    receivedAnnouncement: '{received} heruntergeladen',
+    allAsZip: { one: '{count} Datei als ZIP', other: 'Alle {count} Dateien als ZIP' },
+    progressOf: '{received} von {total}',
+    perSecond: '{size}/s',
+    timeLeft: 'noch {duration}',
+    cancel: '✖ Abbrechen',
+    tryAgain: '🔄 Erneut versuchen',
+    expiredTitle: 'Diese Freigabe ist abgelaufen',
+    expiredMessage: 'Die Dateien hinter diesem Link wurden gelöscht, als die Freigabe abgelaufen ist.',
+    limitTitle: 'Download-Limit erreicht',
+    limitMessage: 'Diese Dateien wurden so oft heruntergeladen, wie der Absender erlaubt hat, und sind nicht mehr verfügbar.',
+    askSender: 'Bitte den Absender, sie erneut zu teilen.',
+    completeTitle: 'Download abgeschlossen!',
+    completeMessage: 'Deine Datei wurde erfolgreich heruntergeladen.',
+    fileDetails: 'Dateidetails:',
+    verified: '✅ Geprüft: Die SHA-256-Prüfsumme stimmt mit dem überein, was der Absender hochgeladen hat.',
+    mismatch: '❌ Prüfsumme stimmt nicht: Die empfangenen Daten weichen von dem ab, was der Absender hochgeladen hat. Lade sie erneut herunter oder bitte den Absender, sie noch einmal zu teilen.',
+    noChecksum: 'Für diesen Download gibt es keine Prüfsumme zum Abgleichen.',
+    downloadAgain: '📥 Erneut herunterladen',
+    backToFiles: '🗂️ Zurück zu allen Dateien',
+    lastDownload: 'Das war der letzte Download: Der Link funktioniert für niemanden mehr.',
+    autoDelete: 'Die Dateien werden automatisch gelöscht in {duration}',
+  },
+
+  history: {
+    title: '🕘 Deine Freigaben',
+    subtitle: 'Links, die du in diesem Browser erstellt hast',
+    search: 'Nach Dateiname oder Link suchen',
+    export: '⬇️ Exportieren',
+    import: '⬆️ Importieren',
+    unavailable: 'Der Verlauf ist in diesem Browser nicht verfügbar (IndexedDB ist blockiert).',
+    loading: 'Deine Freigaben werden geladen…',
+    imported: { one: '{count} Freigabe importiert.', other: '{count} Freigaben importiert.' },
+    invalidJson: 'Diese Datei ist kein gültiges JSON.',
+    invalidExport: 'Diese Datei ist kein Verlaufsexport von File Share.',
+    empty: 'Noch keine Freigaben. Lade Dateien hoch, dann erscheinen sie hier.',
+    noMatch: 'Keine Freigaben passen zu „{query}“.',
+    noExpiry: 'Ablauf unbekannt',
+    expired: 'Abgelaufen',
+    expires: 'Läuft ab in {duration}',
+    singleDownload: 'einmaliger Download',
+    maxDownloads: { one: 'max. {count} Download', other: 'max. {count} Downloads' },
+    qr: '📱 QR',
+    delete: 'Aus dem Verlauf löschen',
+  },
+
+  notFound: {
+    title: 'Seite nicht gefunden',
+    message: 'Unter {path} gibt es nichts.',
+  },
+
+  widget: {
+    dropTitle: 'Klicken, um Dateien zu wählen, oder per Drag & Drop ablegen',
+    remove: '{name} entfernen',
+    progressLabel: 'Upload-Fortschritt',
+    linkLabel: 'Download-Link',
+    clear: 'Leeren',
+    waking: 'Server wird aufgeweckt...',
+    uploading: 'Lädt hoch: {percent} %',
+    upload: 'Hochladen',
+    retry: 'Erneut versuchen',
+  },
+
+  errors: {
+    offline: {
+      title: 'Du bist offline',
+      message: 'Dein Gerät hat die Internetverbindung verloren.',
+      action: 'Verbinde dich wieder, dann geht es automatisch weiter.',
+    },
+    timeout: {
+      title: 'Der Server hat zu lange gebraucht',
+      message: 'Die Anfrage ist abgelaufen, bevor der Server geantwortet hat.',
+      action: 'Versuche es gleich noch einmal.',
+    },
+    network: {
+      title: 'Verbindung unterbrochen',
+      message: 'Die Verbindung zum Server ist abgebrochen.',
+      action: 'Prüfe deine Verbindung und versuche es erneut.',
+    },
+    cors: {
+      title: 'Server nicht erreichbar',
+      message: 'Der Server hat nicht geantwortet oder nimmt keine Anfragen von dieser Seite an (CORS).',
+      action: 'Versuche es später erneut. Wenn das öfter passiert, prüfe die Backend-URL und ihre erlaubten Origins.',
+    },
+    tooLarge: {
+      title: 'Zu groß',
+      message: 'Der Server hat den Upload abgelehnt, weil er größer ist als erlaubt.',
+      action: 'Entferne die größten Dateien oder schicke sie in getrennten Freigaben.',
+    },
+    notFound: {
+      title: 'Nicht gefunden',
+      message: 'Diesen Link gibt es nicht, oder seine Dateien wurden bereits gelöscht.',
+      action: 'Prüfe den Link oder bitte den Absender um einen neuen.',
+    },
+    gone: {
+      title: 'Nicht mehr verfügbar',
+      message: 'Diese Dateien sind abgelaufen oder haben ihr Download-Limit erreicht.',
+      action: 'Bitte den Absender, sie erneut zu teilen.',
+    },
+    rateLimited: {
+      title: 'Zu viele Anfragen',
+      message: 'Der Server begrenzt, wie schnell Anfragen gestellt werden können.',
+      action: 'Warte einen Moment; es wird automatisch erneut versucht.',
+    },
+    server: {
+      title: 'Serverfehler',
+      message: 'Auf dem Server ist etwas schiefgelaufen.',
+      action: 'Versuche es in ein paar Minuten erneut.',
+    },
+    signaling: {
+      title: 'Vermittlungsserver nicht erreichbar',
+      message: 'Direkte Übertragungen brauchen den Signaling-Server, um den anderen Browser zu finden.',
+      action: 'Prüfe deine Verbindung oder lade die Dateien stattdessen hoch.',
+    },
+    roomFull: {
+      title: 'Dieser Link wird schon verwendet',
+      message: 'Jemand anderes empfängt diese Dateien bereits.',
+      action: 'Bitte den Absender um einen neuen Link.',
+    },
+    peerConnection: {
+      title: 'Keine direkte Verbindung',
+      message: 'Die beiden Browser konnten sich nicht erreichen, oft wegen einer strengen Firewall oder eines eingeschränkten Netzwerks.',
+      action: 'Versuche ein anderes Netzwerk oder lade die Dateien stattdessen hoch.',
+    },
+    peerLeft: {
+      title: 'Die Gegenseite ist weg',
+      message: 'Die Verbindung wurde geschlossen, bevor die Übertragung fertig war.',
+      action: 'Starte eine neue Übertragung.',
+    },
+    peerProtocol: {
+      title: 'Die Übertragung ist schiefgegangen',
+      message: 'Der andere Browser hat etwas Unerwartetes gesendet.',
+      action: 'Starte eine neue Übertragung.',
+    },
+    unknown: {
+      title: 'Etwas ist schiefgelaufen',
+      message: 'Die Anfrage ist fehlgeschlagen.',
+      action: 'Versuche es erneut.',
+    },
+  },
+
+  validation: {
+    rules: { one: 'Maximal {count} Datei, {size} pro Datei', other: 'Maximal {count} Dateien, {size} pro Datei' },
+    empty: 'Datei ist leer',
+    tooLarge: 'Größer als {size} pro Datei',
+    extensionBlocked: '.{extension}-Dateien sind nicht erlaubt',
+    noExtension: 'Dateien ohne Endung sind nicht erlaubt',
+    typeBlocked: '{type}-Dateien sind nicht erlaubt',
+    typeNotAllowed: 'Dateityp {type} ist nicht erlaubt',
+    unknownType: 'Unbekannte Dateitypen sind nicht erlaubt',
+    tooMany: { one: 'Über dem Limit von {count} Datei', other: 'Über dem Limit von {count} Dateien' },
+    totalTooLarge: 'Überschreitet die Gesamtgröße von {size}',
+  },
+
+  crypto: {
+    damagedKey: 'Der Entschlüsselungsschlüssel in diesem Link ist beschädigt.',
+    notEncrypted: 'Diese Datei ist nicht mit der Verschlüsselung von File Share verschlüsselt.',
+    needsPassword: 'Diese Datei ist mit einem Passwort geschützt.',
+    missingKey: 'Diesem Link fehlt der Entschlüsselungsschlüssel.',
+    wrongPassword: 'Falsches Passwort. Prüfe es und versuche es erneut.',
+    wrongKey: 'Die Datei konnte nicht entschlüsselt werden: Der Schlüssel ist falsch oder die Daten wurden verändert.',
+    incomplete: 'Die verschlüsselte Datei ist unvollständig.',
+    unsupported: 'Diese Datei wurde mit Einstellungen verschlüsselt, die File Share nicht akzeptiert.',
+  },
+  peer: {
+    sendDirectly: '📡 Direkt senden',
+    sendDirectlyHint: 'Zu groß zum Hochladen? Sende direkt: ohne Größenlimit, aber ihr müsst beide online sein.',
+    title: '📡 Direkte Übertragung',
+    intro: 'Öffne diesen Link auf dem anderen Gerät. Die Dateien gehen direkt von diesem Browser zum anderen und werden nie auf dem Server gespeichert.',
+    keepOpen: 'Lass diese Seite geöffnet, bis die Übertragung fertig ist.',
+    optionsIgnored: 'Ablaufzeit, Download-Limits, Passwörter und Bildoptionen gelten nicht für direkte Übertragungen.',
+    linkLabel: 'Link für die direkte Übertragung',
+    status: {
+      waiting: 'Warte darauf, dass der Empfänger den Link öffnet...',
+      connecting: 'Verbinde...',
+      connected: 'Verbunden. Warte auf die Bestätigung des Empfängers...',
+      transferring: 'Sende...',
+      done: 'Alle Dateien zugestellt.',
+    },
+    verified: '✅ Geprüft',
+    mismatch: '❌ Prüfsumme stimmt nicht, nicht gespeichert',
+    progressLabel: 'Übertragungsfortschritt',
+    progressAnnouncement: 'Übertragung zu {percent} % abgeschlossen',
+    cancel: '✖ Abbrechen',
+    back: '← Zurück zum Hochladen',
+    receive: {
+      waitingTitle: 'Warte auf den Absender',
+      waitingMessage: 'Für eine direkte Übertragung muss die Seite des Absenders geöffnet sein. Es geht los, sobald er da ist.',
+      connectingTitle: 'Verbinde',
+      connectingMessage: 'Direkte Verbindung zum Absender wird aufgebaut...',
+      offerTitle: { one: 'Jemand möchte dir eine Datei senden', other: 'Jemand möchte dir {count} Dateien senden' },
+      offerMessage: 'Die Dateien kommen direkt aus dem Browser des Absenders und werden nie auf einem Server gespeichert.',
+      accept: '📥 Annehmen und speichern',
+      receivingTitle: 'Empfange',
+      doneTitle: 'Übertragung abgeschlossen!',
+      doneMessage: 'Jede Datei wurde mit der SHA-256-Prüfsumme des Absenders verglichen.',
+      mismatchMessage: 'Einige Dateien stimmten nicht mit der Prüfsumme des Absenders überein und wurden nicht gespeichert. Bitte den Absender, es noch einmal zu versuchen.',
+    },
+  },
+
+  theme: {
+    label: 'Farbschema',
+    light: '☀️ Hell',
+    dark: '🌙 Dunkel',
+    system: '💻 System',
+  },
+};
@@ -0,0 +1,372 @@
+// English: the reference catalog (see lib/i18n). {name} is a placeholder; objects keyed by
+// plural category ({ one, other }) are picked by the `count` param.
+export default {
+  common: {
+    uploadFiles: '📁 Upload Files',
+    uploadNewFiles: '📁 Upload New Files',
+    fileId: 'File ID: {id}',
+    files: { one: '{count} file', other: '{count} files' },
+    copy: '📋 Copy',
+    copied: '✅ Copied!',
+    language: 'Language',
+  },
+
+  upload: {
+    subtitle: 'Upload your files and get a shareable download link',
+    historyLink: '🕘 Your previous shares',
+    dropTitle: 'Click to upload files or drag & drop',
+    chooseFolder: '📂 Or choose a whole folder',
+    writeSnippet: '✍️ Write a text snippet',
+    pasteTip: 'Tip: paste files, screenshots or text anywhere on this page (Ctrl+V / ⌘V)',
+    skippedDuplicates: {
+      one: 'Skipped a file that is already selected: {names}',
+      other: 'Skipped {count} files that are already selected: {names}',
+    },
+    removeInvalid: 'Remove the files marked in red to continue.',
+    waking: '⏳ Waking up the server ({elapsed}). It sleeps when idle and can take up to a minute to start; your upload begins as soon as it answers.',
+    waitingForServer: 'Waiting for server...',
+    uploading: 'Uploading...',
+    upload: 'Upload Files',
+    clear: 'Clear Files',
+    compareContents: 'Detect duplicates by file contents',
+    encrypt: '🔒 Encrypt files in my browser',
+    encryptWithLink: 'Put the key in the share link',
+    encryptWithPassword: 'Protect with a password',
+    passwordPlaceholder: 'Password',
+    passwordTooShort: 'Use at least {count} characters.',
+    parallelUploads: 'Parallel uploads',
+    status: {
+      queued: 'Queued',
+      uploading: 'Uploading',
+      paused: 'Paused',
+      done: 'Done',
+      failed: 'Failed',
+    },
+    pause: 'Pause',
+    resume: 'Resume',
+    retry: 'Retry',
+    remove: 'Remove {name}',
+    moveUp: 'Move {name} up',
+    moveDown: 'Move {name} down',
+    progressLabel: 'Upload progress for {name}',
+    overallProgress: 'Upload {percent}% complete',
+    lifetime: {
+      firstDownload: 'after the first download',
+      downloads: { one: 'after {count} download', other: 'after {count} downloads' },
+      whicheverFirst: '{limit} or {expiry}, whichever comes first',
+    },
+    success: {
+      title: '✅ Upload Successful!',
+      message: 'Your files have been uploaded successfully.',
+      files: 'Files:',
+      checksums: '🧾 SHA-256 checksums',
+      encrypted: '🔒 Encrypted in your browser.',
+      encryptedWithKey: 'The key is part of this link, so anyone with the full link can open the files.',
+      encryptedWithPassword: 'Recipients will need the password; send it separately from the link.',
+      downloadFiles: '📥 Download Files',
+      shareTitle: '📤 Share this link',
+      linkLabel: 'Download link',
+      share: '📤 Share',
+      showQr: '📱 Show QR Code',
+      hideQr: '🔼 Hide QR Code',
+      deletion: 'Files will be deleted {lifetime}. The link is saved in {history}.',
+      historyLink: 'your history',
+    },
+    failed: '❌ Upload Failed: {title}',
+  },
+
+  shareOptions: {
+    title: '⚙️ Share options',
+    expiresAfter: 'Expires after {lifetime}',
+    burnSummary: 'burn after reading',
+    downloadsSummary: { one: '{count} download', other: '{count} downloads' },
+    deleteAfter: 'Delete files after',
+    maxDownloads: 'Maximum downloads',
+    unlimited: 'Unlimited',
+    burnAfterReading: '🔥 Burn after reading (delete after the first download)',
+    message: 'Message for the recipient (optional)',
+  },
+
+  image: {
+    options: '🖼️ Image options',
+    processing: 'Processing…',
+    stripMetadata: 'Remove metadata (location, camera, date)',
+    format: 'Format',
+    keepFormat: 'Keep format',
+    maxSize: 'Max size',
+    original: 'Original',
+    quality: 'Quality: {percent}%',
+    metadataNote: 'Resizing or converting always removes metadata.',
+    failed: 'Could not process this image.',
+  },
+
+  snippet: {
+    filename: 'Snippet filename',
+    placeholder: 'Paste or type text, code or Markdown',
+    discard: 'Discard',
+    add: '📝 Add as file',
+  },
+
+  qr: {
+    size: 'Size',
+    errorCorrection: 'Error correction',
+    colour: 'Colour',
+    background: 'Background',
+    tooLong: 'This link is too long for a QR code.',
+  },
+
+  preview: {
+    unavailable: 'Preview unavailable: {error}',
+    imageAlt: 'File preview',
+    pdfTitle: 'PDF preview',
+    loading: 'Loading preview…',
+  },
+
+  server: {
+    unknown: 'Server status unknown',
+    checking: 'Checking server…',
+    waking: 'Waking up server',
+    online: 'Server online',
+    offline: 'You are offline',
+    unreachable: 'Server unreachable',
+    checkAgain: 'Check again',
+  },
+
+  download: {
+    loading: {
+      wakingTitle: 'Waking Up the Server',
+      wakingMessage: 'The server sleeps when idle and can take up to a minute to start. Waiting for {elapsed}...',
+      title: 'Loading File Details',
+      message: 'Please wait while we look up your files...',
+    },
+    invalidLink: {
+      title: 'Invalid link',
+      message: 'This link does not include a share ID.',
+      action: 'Check that you copied the whole link.',
+    },
+    sharedWithYou: { one: 'Someone shared a file with you', other: 'Someone shared {count} files with you' },
+    expiresIn: 'Expires in {duration}',
+    expired: 'Expired',
+    downloadsLeft: { one: '{count} download left', other: '{count} downloads left' },
+    burnNotice: '🔥 These files are deleted as soon as they have been downloaded once.',
+    encrypted: '🔒 End-to-end encrypted. Files are decrypted in your browser.',
+    passwordPlaceholder: 'Enter the password',
+    checking: 'Checking...',
+    unlock: '🔓 Unlock',
+    passwordCheckFailed: 'Could not check the password: {message}',
+    cancelled: 'Download cancelled. Nothing was saved.',
+    unknownSize: 'Unknown size',
+    preview: '👁️ Preview',
+    hidePreview: 'Hide',
+    download: '📥 Download',
+    downloadAll: '🗜️ Download All (ZIP)',
+    downloading: 'Downloading',
+    progressLabel: 'Download progress',
+    progressAnnouncement: 'Download {percent}% complete',
+    receivedAnnouncement: '{received} downloaded',
+    allAsZip: { one: 'All {count} file as ZIP', other: 'All {count} files as ZIP' },
+    progressOf: '{received} of {total}',
+    perSecond: '{size}/s',
+    timeLeft: '{duration} left',
+    cancel: '✖ Cancel',
+    tryAgain: '🔄 Try Again',
+    expiredTitle: 'This Share Has Expired',
+    expiredMessage: 'The files behind this link were deleted when the share expired.',
+    limitTitle: 'Download Limit Reached',
+    limitMessage: 'These files have been downloaded as many times as the sender allowed, so they are no longer available.',
+    askSender: 'Ask the sender to share them again.',
+    completeTitle: 'Download Complete!',
+    completeMessage: 'Your file has been downloaded successfully.',
+    fileDetails: 'File Details:',
+    verified: '✅ Verified: the SHA-256 checksum matches what the sender uploaded.',
+    mismatch: '❌ Checksum mismatch: the received data differs from what the sender uploaded. Download again, or ask the sender to share it again.',
+    noChecksum: 'No checksum to verify this download against.',
+    downloadAgain: '📥 Download Again',
+    backToFiles: '🗂️ Back to All Files',
+    lastDownload: 'That was the last download: the link no longer works for anyone else.',
+    autoDelete: 'Files are automatically deleted in {duration}',
+  },
+
+  history: {
+    title: '🕘 Your Shares',
+    subtitle: 'Links you created in this browser',
+    search: 'Search by file name or link',
+    export: '⬇️ Export',
+    import: '⬆️ Import',
+    unavailable: 'History is unavailable in this browser (IndexedDB is blocked).',
+    loading: 'Loading your shares…',
+    imported: { one: 'Imported {count} share.', other: 'Imported {count} shares.' },
+    invalidJson: 'This file is not valid JSON.',
+    invalidExport: 'This file is not a File Share history export.',
+    empty: 'No shares yet. Upload some files and they will show up here.',
+    noMatch: 'No shares match “{query}”.',
+    noExpiry: 'No expiry known',
+    expired: 'Expired',
+    expires: 'Expires in {duration}',
+    singleDownload: 'single download',
+    maxDownloads: { one: 'max {count} download', other: 'max {count} downloads' },
+    qr: '📱 QR',
+    delete: 'Delete from history',
+  },
+
+  notFound: {
+    title: 'Page Not Found',
+    message: "There's nothing at {path}.",
+  },
+
+  widget: {
+    dropTitle: 'Click to choose files or drag & drop',
+    remove: 'Remove {name}',
+    progressLabel: 'Upload progress',
+    linkLabel: 'Download link',
+    clear: 'Clear',
+    waking: 'Waking server...',
+    uploading: 'Uploading {percent}%',
+    upload: 'Upload',
+    retry: 'Retry',
+  },
+
+  errors: {
+    offline: {
+      title: 'You are offline',
+      message: 'Your device lost its internet connection.',
+      action: 'Reconnect and it will carry on automatically.',
+    },
+    timeout: {
+      title: 'The server took too long',
+      message: 'The request timed out before the server answered.',
+      action: 'Try again in a moment.',
+    },
+    network: {
+      title: 'Connection interrupted',
+      message: 'The connection to the server dropped.',
+      action: 'Check your connection and try again.',
+    },
+    cors: {
+      title: 'Cannot reach the server',
+      message: 'The server did not respond, or it does not accept requests from this site (CORS).',
+      action: 'Try again later. If it keeps happening, check the backend URL and its allowed origins.',
+    },
+    tooLarge: {
+      title: 'Too large',
+      message: 'The server refused the upload because it is bigger than it accepts.',
+      action: 'Remove the largest files or send them in separate shares.',
+    },
+    notFound: {
+      title: 'Not found',
+      message: 'This link does not exist, or its files have already been deleted.',
+      action: 'Check the link, or ask the sender for a new one.',
+    },
+    gone: {
+      title: 'No longer available',
+      message: 'These files expired or reached their download limit.',
+      action: 'Ask the sender to share them again.',
+    },
+    rateLimited: {
+      title: 'Too many requests',
+      message: 'The server is limiting how fast requests can be made.',
+      action: 'Wait a little; it retries automatically.',
+    },
+    server: {
+      title: 'Server error',
+      message: 'Something went wrong on the server.',
+      action: 'Try again in a few minutes.',
+    },
+    signaling: {
+      title: 'Could not reach the relay',
+      message: 'Direct transfers need the signaling server to find the other browser.',
+      action: 'Check your connection, or upload the files instead.',
+    },
+    roomFull: {
+      title: 'This link is already in use',
+      message: 'Someone else is already receiving these files.',
+      action: 'Ask the sender for a new link.',
+    },
+    peerConnection: {
+      title: 'No direct connection',
+      message: 'The two browsers could not reach each other, often because of a strict firewall or network.',
+      action: 'Try another network, or upload the files instead.',
+    },
+    peerLeft: {
+      title: 'The other side left',
+      message: 'The connection closed before the transfer finished.',
+      action: 'Start a new transfer.',
+    },
+    peerProtocol: {
+      title: 'The transfer went wrong',
+      message: 'The other browser sent something this page did not expect.',
+      action: 'Start a new transfer.',
+    },
+    unknown: {
+      title: 'Something went wrong',
+      message: 'The request failed.',
+      action: 'Try again.',
+    },
+  },
+
+  validation: {
+    rules: { one: 'Maximum {count} file, {size} per file', other: 'Maximum {count} files, {size} per file' },
+    empty: 'File is empty',
+    tooLarge: 'Larger than {size} per file',
+    extensionBlocked: '.{extension} files are not allowed',
+    noExtension: 'Files without an extension are not allowed',
+    typeBlocked: '{type} files are not allowed',
+    typeNotAllowed: '{type} file type is not allowed',
+    unknownType: 'Unknown file type is not allowed',
+    tooMany: { one: 'Over the limit of {count} file', other: 'Over the limit of {count} files' },
+    totalTooLarge: 'Exceeds the {size} total upload size',
+  },
+
+  crypto: {
+    damagedKey: 'The decryption key in this link is damaged.',
+    notEncrypted: 'This file is not encrypted with File Share encryption.',
+    needsPassword: 'This file is protected with a password.',
+    missingKey: 'This link is missing its decryption key.',
+    wrongPassword: 'Wrong password. Check it and try again.',
+    wrongKey: 'The file could not be decrypted: the key is wrong or the data was modified.',
+    incomplete: 'The encrypted file is incomplete.',
+    unsupported: "This file was encrypted with settings File Share doesn't accept.",
+  },
+  peer: {
+    sendDirectly: '📡 Send Directly',
+    sendDirectlyHint: 'Too big to upload? Send directly instead: no size limit, but both of you need to be online.',
+    title: '📡 Direct Transfer',
+    intro: 'Open this link on the other device. The files go straight from this browser to theirs and are never stored on the server.',
+    keepOpen: 'Keep this page open until the transfer has finished.',
+    optionsIgnored: "Expiry, download limits, passwords and image options don't apply to direct transfers.",
+    linkLabel: 'Direct transfer link',
+    status: {
+      waiting: 'Waiting for the recipient to open the link...',
+      connecting: 'Connecting...',
+      connected: 'Connected. Waiting for the recipient to accept...',
+      transferring: 'Sending...',
+      done: 'All files delivered.',
+    },
+    verified: '✅ Verified',
+    mismatch: '❌ Checksum mismatch, not saved',
+    progressLabel: 'Transfer progress',
+    progressAnnouncement: 'Transfer {percent}% complete',
+    cancel: '✖ Cancel',
+    back: '← Back to Upload',
+    receive: {
+      waitingTitle: 'Waiting for the Sender',
+      waitingMessage: "A direct transfer needs the sender's page to be open. It starts as soon as they are here.",
+      connectingTitle: 'Connecting',
+      connectingMessage: 'Setting up a direct connection to the sender...',
+      offerTitle: { one: 'Someone wants to send you a file', other: 'Someone wants to send you {count} files' },
+      offerMessage: "The files come straight from the sender's browser and are never stored on a server.",
+      accept: '📥 Accept and Save',
+      receivingTitle: 'Receiving',
+      doneTitle: 'Transfer Complete!',
+      doneMessage: "Every file was checked against the sender's SHA-256 checksum.",
+      mismatchMessage: "Some files didn't match the sender's checksum and were not saved. Ask the sender to try again.",
+    },
+  },
+
+  theme: {
+    label: 'Colour theme',
+    light: '☀️ Light',
+    dark: '🌙 Dark',
+    system: '💻 System',
+  },
+};
@@ -0,0 +1,371 @@
+// Spanish (see locales/en for the reference catalog)
+export default {
+  common: {
+    uploadFiles: '📁 Subir archivos',
+    uploadNewFiles: '📁 Subir otros archivos',
+    fileId: 'ID del archivo: {id}',
+    files: { one: '{count} archivo', other: '{count} archivos' },
+    copy: '📋 Copiar',
+    copied: '✅ ¡Copiado!',
+    language: 'Idioma',
+  },
+
+  upload: {
+    subtitle: 'Sube tus archivos y obtén un enlace de descarga para compartir',
+    historyLink: '🕘 Tus envíos anteriores',
+    dropTitle: 'Haz clic para subir archivos o arrástralos aquí',
+    chooseFolder: '📂 O elige una carpeta completa',
+    writeSnippet: '✍️ Escribir un fragmento de texto',
+    pasteTip: 'Consejo: pega archivos, capturas de pantalla o texto en cualquier parte de esta página (Ctrl+V / ⌘V)',
+    skippedDuplicates: {
+      one: 'Se omitió un archivo que ya estaba seleccionado: {names}',
+      other: 'Se omitieron {count} archivos que ya estaban seleccionados: {names}',
+    },
+    removeInvalid: 'Quita los archivos marcados en rojo para continuar.',
+    waking: '⏳ Despertando el servidor ({elapsed}). Se duerme cuando está inactivo y puede tardar hasta un minuto en arrancar; la subida empieza en cuanto responda.',
+    waitingForServer: 'Esperando al servidor...',
+    uploading: 'Subiendo...',
+    upload: 'Subir archivos',
+    clear: 'Vaciar selección',
+    compareContents: 'Detectar duplicados por el contenido',
+    encrypt: '🔒 Cifrar los archivos en mi navegador',
+    encryptWithLink: 'Incluir la clave en el enlace',
+    encryptWithPassword: 'Proteger con una contraseña',
+    passwordPlaceholder: 'Contraseña',
+    passwordTooShort: 'Usa al menos {count} caracteres.',
+    parallelUploads: 'Subidas simultáneas',
+    status: {
+      queued: 'En cola',
+      uploading: 'Subiendo',
+      paused: 'En pausa',
+      done: 'Listo',
+      failed: 'Error',
+    },
+    pause: 'Pausar',
+    resume: 'Reanudar',
+    retry: 'Reintentar',
+    remove: 'Quitar {name}',
+    moveUp: 'Subir {name}',
+    moveDown: 'Bajar {name}',
+    progressLabel: 'Progreso de la subida de {name}',
+    overallProgress: 'Subida completada al {percent} %',
+    lifetime: {
+      firstDownload: 'tras la primera descarga',
+      downloads: { one: 'tras {count} descarga', other: 'tras {count} descargas' },
+      whicheverFirst: '{limit} o {expiry}, lo que ocurra primero',
+    },
+    success: {
+      title: '✅ ¡Subida completada!',
+      message: 'Tus archivos se han subido correctamente.',
+      files: 'Archivos:',
+      checksums: '🧾 Sumas de verificación SHA-256',
+      encrypted: '🔒 Cifrado en tu navegador.',
+      encryptedWithKey: 'La clave forma parte de este enlace, así que cualquiera con el enlace completo puede abrir los archivos.',
+      encryptedWithPassword: 'Los destinatarios necesitarán la contraseña; envíala por separado del enlace.',
+      downloadFiles: '📥 Descargar archivos',
+      shareTitle: '📤 Comparte este enlace',
+      linkLabel: 'Enlace de descarga',
+      share: '📤 Compartir',
+      showQr: '📱 Mostrar código QR',
+      hideQr: '🔼 Ocultar código QR',
+      deletion: 'Los archivos se eliminarán {lifetime}. El enlace está guardado en {history}.',
+      historyLink: 'tu historial',
+    },
+    failed: '❌ Error al subir: {title}',
+  },
+
+  shareOptions: {
+    title: '⚙️ Opciones del enlace',
+    expiresAfter: 'Caduca tras {lifetime}',
+    burnSummary: 'autodestrucción tras la lectura',
+    downloadsSummary: { one: '{count} descarga', other: '{count} descargas' },
+    deleteAfter: 'Eliminar los archivos tras',
+    maxDownloads: 'Descargas máximas',
+    unlimited: 'Sin límite',
+    burnAfterReading: '🔥 Autodestrucción tras la lectura (se eliminan tras la primera descarga)',
+    message: 'Mensaje para el destinatario (opcional)',
+  },
+
+  image: {
+    options: '🖼️ Opciones de imagen',
+    processing: 'Procesando…',
+    stripMetadata: 'Quitar metadatos (ubicación, cámara, fecha)',
+    format: 'Formato',
+    keepFormat: 'Mantener formato',
+    maxSize: 'Tamaño máx.',
+    original: 'Original',
+    quality: 'Calidad: {percent} %',
+    metadataNote: 'Redimensionar o convertir siempre quita los metadatos.',
+    failed: 'No se pudo procesar esta imagen.',
+  },
+
+  snippet: {
+    filename: 'Nombre del archivo del fragmento',
+    placeholder: 'Pega o escribe texto, código o Markdown',
+    discard: 'Descartar',
+    add: '📝 Añadir como archivo',
+  },
+
+  qr: {
+    size: 'Tamaño',
+    errorCorrection: 'Corrección de errores',
+    colour: 'Color',
+    background: 'Fondo',
+    tooLong: 'Este enlace es demasiado largo para un código QR.',
+  },
+
+  preview: {
+    unavailable: 'Vista previa no disponible: {error}',
+    imageAlt: 'Vista previa del archivo',
+    pdfTitle: 'Vista previa del PDF',
+    loading: 'Cargando vista previa…',
+  },
+
+  server: {
+    unknown: 'Estado del servidor desconocido',
+    checking: 'Comprobando el servidor…',
+    waking: 'Despertando el servidor',
+    online: 'Servidor en línea',
+    offline: 'Estás sin conexión',
+    unreachable: 'Servidor inaccesible',
+    checkAgain: 'Volver a comprobar',
+  },
+
+  download: {
+    loading: {
+      wakingTitle: 'Despertando el servidor',
+      wakingMessage: 'El servidor se duerme cuando está inactivo y puede tardar hasta un minuto en arrancar. Esperando desde hace {elapsed}...',
+      title: 'Cargando los detalles',
+      message: 'Espera mientras buscamos tus archivos...',
+    },
+    invalidLink: {
+      title: 'Enlace no válido',
+      message: 'Este enlace no incluye un ID de envío.',
+      action: 'Comprueba que copiaste el enlace completo.',
+    },
+    sharedWithYou: { one: 'Alguien ha compartido un archivo contigo', other: 'Alguien ha compartido {count} archivos contigo' },
+    expiresIn: 'Caduca en {duration}',
+    expired: 'Caducado',
+    downloadsLeft: { one: 'Queda {count} descarga', other: 'Quedan {count} descargas' },
+    burnNotice: '🔥 Estos archivos se eliminan en cuanto se descargan una vez.',
+    encrypted: '🔒 Cifrado de extremo a extremo. Los archivos se descifran en tu navegador.',
+    passwordPlaceholder: 'Introduce la contraseña',
+    checking: 'Comprobando...',
+    unlock: '🔓 Desbloquear',
+    passwordCheckFailed: 'No se pudo comprobar la contraseña: {message}',
+    cancelled: 'Descarga cancelada. No se ha guardado nada.',
+    unknownSize: 'Tamaño desconocido',
+    preview: '👁️ Vista previa',
+    hidePreview: 'Ocultar',
+    download: '📥 Descargar',
+    downloadAll: '🗜️ Descargar todo (ZIP)',
+    downloading: 'Descargando',
+    progressLabel: 'Progreso de la descarga',
+    progressAnnouncement: 'Descarga completada al {percent} %',
+    receivedAnnouncement: '{received} descargados',
+    allAsZip: { one: '{count} archivo en ZIP', other: 'Los {count} archivos en ZIP' },
+    progressOf: '{received} de {total}',
+    perSecond: '{size}/s',
+    timeLeft: 'quedan {duration}',
+    cancel: '✖ Cancelar',
+    tryAgain: '🔄 Reintentar',
+    expiredTitle: 'Este envío ha caducado',
+    expiredMessage: 'Los archivos de este enlace se eliminaron al caducar el envío.',
+    limitTitle: 'Límite de descargas alcanzado',
+    limitMessage: 'Estos archivos se han descargado tantas veces como permitió el remitente y ya no están disponibles.',
+    askSender: 'Pide al remitente que los vuelva a compartir.',
+    completeTitle: '¡Descarga completada!',
+    completeMessage: 'Tu archivo se ha descargado correctamente.',
+    fileDetails: 'Detalles del archivo:',
+    verified: '✅ Verificado: la suma SHA-256 coincide con lo que subió el remitente.',
+    mismatch: '❌ La suma de verificación no coincide: los datos recibidos difieren de lo que subió el remitente. Descárgalo de nuevo o pide al remitente que lo vuelva a compartir.',
+    noChecksum: 'No hay suma de verificación con la que comprobar esta descarga.',
+    downloadAgain: '📥 Descargar de nuevo',
+    backToFiles: '🗂️ Volver a todos los archivos',
+    lastDownload: 'Esa era la última descarga: el enlace ya no funciona para nadie más.',
+    autoDelete: 'Los archivos se eliminan automáticamente en {duration}',
+  },
+
+  history: {
+    title: '🕘 Tus envíos',
+    subtitle: 'Enlaces creados en este navegador',
+    search: 'Buscar por nombre de archivo o enlace',
+    export: '⬇️ Exportar',
+    import: '⬆️ Importar',
+    unavailable: 'El historial no está disponible en este navegador (IndexedDB está bloqueado).',
+    loading: 'Cargando tus envíos…',
+    imported: { one: 'Se importó {count} envío.', other: 'Se importaron {count} envíos.' },
+    invalidJson: 'Este archivo no es JSON válido.',
+    invalidExport: 'Este archivo no es una exportación del historial de File Share.',
+    empty: 'Aún no hay envíos. Sube algunos archivos y aparecerán aquí.',
+    noMatch: 'Ningún envío coincide con «{query}».',
+    noExpiry: 'Caducidad desconocida',
+    expired: 'Caducado',
+    expires: 'Caduca en {duration}',
+    singleDownload: 'descarga única',
+    maxDownloads: { one: 'máx. {count} descarga', other: 'máx. {count} descargas' },
+    qr: '📱 QR',
+    delete: 'Eliminar del historial',
+  },
+
+  notFound: {
+    title: 'Página no encontrada',
+    message: 'No hay nada en {path}.',
+  },
+
+  widget: {
+    dropTitle: 'Haz clic para elegir archivos o arrástralos aquí',
+    remove: 'Quitar {name}',
+    progressLabel: 'Progreso de la subida',
+    linkLabel: 'Enlace de descarga',
+    clear: 'Vaciar',
+    waking: 'Despertando el servidor...',
+    uploading: 'Subiendo {percent} %',
+    upload: 'Subir',
+    retry: 'Reintentar',
+  },
+
+  errors: {
+    offline: {
+      title: 'Estás sin conexión',
+      message: 'Tu dispositivo ha perdido la conexión a Internet.',
+      action: 'Vuelve a conectarte y continuará automáticamente.',
+    },
+    timeout: {
+      title: 'El servidor tardó demasiado',
+      message: 'La solicitud caducó antes de que el servidor respondiera.',
+      action: 'Inténtalo de nuevo en un momento.',
+    },
+    network: {
+      title: 'Conexión interrumpida',
+      message: 'Se cortó la conexión con el servidor.',
+      action: 'Comprueba tu conexión e inténtalo de nuevo.',
+    },
+    cors: {
+      title: 'No se puede acceder al servidor',
+      message: 'El servidor no respondió o no acepta solicitudes de este sitio (CORS).',
+      action: 'Inténtalo más tarde. Si sigue ocurriendo, revisa la URL del backend y sus orígenes permitidos.',
+    },
+    tooLarge: {
+      title: 'Demasiado grande',
+      message: 'El servidor rechazó la subida porque supera el tamaño que acepta.',
+      action: 'Quita los archivos más grandes o envíalos por separado.',
+    },
+    notFound: {
+      title: 'No encontrado',
+      message: 'Este enlace no existe o sus archivos ya se han eliminado.',
+      action: 'Comprueba el enlace o pide uno nuevo al remitente.',
+    },
+    gone: {
+      title: 'Ya no está disponible',
+      message: 'Estos archivos caducaron o alcanzaron su límite de descargas.',
+      action: 'Pide al remitente que los vuelva a compartir.',
+    },
+    rateLimited: {
+      title: 'Demasiadas solicitudes',
+      message: 'El servidor está limitando la frecuencia de las solicitudes.',
+      action: 'Espera un poco; se reintentará automáticamente.',
+    },
+    server: {
+      title: 'Error del servidor',
+      message: 'Algo salió mal en el servidor.',
+      action: 'Inténtalo de nuevo en unos minutos.',
+    },
+    signaling: {
+      title: 'No se pudo contactar con el relé',
+      message: 'Las transferencias directas necesitan el servidor de señalización para encontrar el otro navegador.',
+      action: 'Comprueba tu conexión o sube los archivos en su lugar.',
+    },
+    roomFull: {
+      title: 'Este enlace ya está en uso',
+      message: 'Otra persona ya está recibiendo estos archivos.',
+      action: 'Pide un enlace nuevo a quien los envía.',
+    },
+    peerConnection: {
+      title: 'Sin conexión directa',
+      message: 'Los dos navegadores no pudieron conectarse, a menudo por un cortafuegos o una red restrictiva.',
+      action: 'Prueba con otra red o sube los archivos en su lugar.',
+    },
+    peerLeft: {
+      title: 'El otro lado se fue',
+      message: 'La conexión se cerró antes de que terminara la transferencia.',
+      action: 'Inicia una nueva transferencia.',
+    },
+    peerProtocol: {
+      title: 'La transferencia falló',
+      message: 'El otro navegador envió algo inesperado.',
+      action: 'Inicia una nueva transferencia.',
+    },
+    unknown: {
+      title: 'Algo salió mal',
+      message: 'La solicitud falló.',
+      action: 'Inténtalo de nuevo.',
+    },
+  },
+
+  validation: {
+    rules: { one: 'Máximo {count} archivo, {size} por archivo', other: 'Máximo {count} archivos, {size} por archivo' },
+    empty: 'El archivo está vacío',
+    tooLarge: 'Más de {size} por archivo',
+    extensionBlocked: 'No se permiten archivos .{extension}',
+    noExtension: 'No se permiten archivos sin extensión',
+    typeBlocked: 'No se permiten archivos {type}',
+    typeNotAllowed: 'El tipo de archivo {type} no está permitido',
+    unknownType: 'No se permiten tipos de archivo desconocidos',
+    tooMany: { one: 'Supera el límite de {count} archivo', other: 'Supera el límite de {count} archivos' },
+    totalTooLarge: 'Supera el tamaño total de {size}',
+  },
+
+  crypto: {
+    damagedKey: 'La clave de descifrado de este enlace está dañada.',
+    notEncrypted: 'Este archivo no está cifrado con el cifrado de File Share.',
+    needsPassword: 'Este archivo está protegido con contraseña.',
+    missingKey: 'A este enlace le falta la clave de descifrado.',
+    wrongPassword: 'Contraseña incorrecta. Revísala e inténtalo de nuevo.',
+    wrongKey: 'No se pudo descifrar el archivo: la clave es incorrecta o los datos se modificaron.',
+    incomplete: 'El archivo cifrado está incompleto.',
+    unsupported: 'Este archivo se cifró con una configuración que File Share no acepta.',
+  },
+  peer: {
+    sendDirectly: '📡 Enviar directamente',
+    sendDirectlyHint: '¿Demasiado grande para subir? Envía directamente: sin límite de tamaño, pero ambos tenéis que estar conectados.',
+    title: '📡 Transferencia directa',
+    intro: 'Abre este enlace en el otro dispositivo. Los archivos van directamente de este navegador al otro y nunca se guardan en el servidor.',
+    keepOpen: 'Mantén esta página abierta hasta que termine la transferencia.',
+    optionsIgnored: 'La caducidad, los límites de descarga, las contraseñas y las opciones de imagen no se aplican a las transferencias directas.',
+    linkLabel: 'Enlace de transferencia directa',
+    status: {
+      waiting: 'Esperando a que el destinatario abra el enlace...',
+      connecting: 'Conectando...',
+      connected: 'Conectado. Esperando a que el destinatario acepte...',
+      transferring: 'Enviando...',
+      done: 'Todos los archivos entregados.',
+    },
+    verified: '✅ Verificado',
+    mismatch: '❌ La suma de comprobación no coincide, no se guardó',
+    progressLabel: 'Progreso de la transferencia',
+    progressAnnouncement: 'Transferencia completada al {percent} %',
+    cancel: '✖ Cancelar',
+    back: '← Volver a subir',
+    receive: {
+      waitingTitle: 'Esperando al remitente',
+      waitingMessage: 'Una transferencia directa necesita que la página del remitente esté abierta. Empieza en cuanto esté aquí.',
+      connectingTitle: 'Conectando',
+      connectingMessage: 'Estableciendo una conexión directa con el remitente...',
+      offerTitle: { one: 'Alguien quiere enviarte un archivo', other: 'Alguien quiere enviarte {count} archivos' },
+      offerMessage: 'Los archivos llegan directamente desde el navegador del remitente y nunca se guardan en un servidor.',
+      accept: '📥 Aceptar y guardar',
+      receivingTitle: 'Recibiendo',
+      doneTitle: '¡Transferencia completada!',
+      doneMessage: 'Cada archivo se comprobó con la suma SHA-256 del remitente.',
+      mismatchMessage: 'Algunos archivos no coincidían con la suma de comprobación del remitente y no se guardaron. Pídele que lo intente de nuevo.',
+    },
+  },
+
+  theme: {
+    label: 'Tema de color',
+    light: '☀️ Claro',
+    dark: '🌙 Oscuro',
+    system: '💻 Sistema',
+  },
+};
@@ -0,0 +1,371 @@
+// French (see locales/en for the reference catalog)
+export default {
+  common: {
+    uploadFiles: '📁 Envoyer des fichiers',
+    uploadNewFiles: '📁 Envoyer d’autres fichiers',
+    fileId: 'ID du fichier : {id}',
+    files: { one: '{count} fichier', other: '{count} fichiers' },
+    copy: '📋 Copier',
+    copied: '✅ Copié !',
+    language: 'Langue',
+  },
+
+  upload: {
+    subtitle: 'Envoyez vos fichiers et obtenez un lien de téléchargement à partager',
+    historyLink: '🕘 Vos partages précédents',
+    dropTitle: 'Cliquez pour envoyer des fichiers ou glissez-déposez-les',
+    chooseFolder: '📂 Ou choisissez un dossier entier',
+    writeSnippet: '✍️ Écrire un extrait de texte',
+    pasteTip: 'Astuce : collez des fichiers, captures d’écran ou du texte n’importe où sur cette page (Ctrl+V / ⌘V)',
+    skippedDuplicates: {
+      one: 'Un fichier déjà sélectionné a été ignoré : {names}',
+      other: '{count} fichiers déjà sélectionnés ont été ignorés : {names}',
+    },
+    removeInvalid: 'Retirez les fichiers marqués en rouge pour continuer.',
+    waking: '⏳ Réveil du serveur ({elapsed}). Il se met en veille quand il n’est pas utilisé et peut mettre jusqu’à une minute à démarrer ; votre envoi commence dès qu’il répond.',
+    waitingForServer: 'En attente du serveur...',
+    uploading: 'Envoi en cours...',
+    upload: 'Envoyer les fichiers',
+    clear: 'Vider la sélection',
+    compareContents: 'Détecter les doublons d’après le contenu',
+    encrypt: '🔒 Chiffrer les fichiers dans mon navigateur',
+    encryptWithLink: 'Mettre la clé dans le lien de partage',
+    encryptWithPassword: 'Protéger par un mot de passe',
+    passwordPlaceholder: 'Mot de passe',
+    passwordTooShort: 'Utilisez au moins {count} caractères.',
+    parallelUploads: 'Envois simultanés',
+    status: {
+      queued: 'En attente',
+      uploading: 'Envoi',
+      paused: 'En pause',
+      done: 'Terminé',
+      failed: 'Échec',
+    },
+    pause: 'Pause',
+    resume: 'Reprendre',
+    retry: 'Réessayer',
+    remove: 'Retirer {name}',
+    moveUp: 'Monter {name}',
+    moveDown: 'Descendre {name}',
+    progressLabel: 'Progression de l’envoi de {name}',
+    overallProgress: 'Envoi terminé à {percent} %',
+    lifetime: {
+      firstDownload: 'après le premier téléchargement',
+      downloads: { one: 'après {count} téléchargement', other: 'après {count} téléchargements' },
+      whicheverFirst: '{limit} ou {expiry}, selon ce qui arrive en premier',
+    },
+    success: {
+      title: '✅ Envoi réussi !',
+      message: 'Vos fichiers ont bien été envoyés.',
+      files: 'Fichiers :',
+      checksums: '🧾 Sommes de contrôle SHA-256',
+      encrypted: '🔒 Chiffré dans votre navigateur.',
+      encryptedWithKey: 'La clé fait partie de ce lien : toute personne disposant du lien complet peut ouvrir les fichiers.',
+      encryptedWithPassword: 'Les destinataires auront besoin du mot de passe ; envoyez-le séparément du lien.',
+      downloadFiles: '📥 Télécharger les fichiers',
+      shareTitle: '📤 Partager ce lien',
+      linkLabel: 'Lien de téléchargement',
+      share: '📤 Partager',
+      showQr: '📱 Afficher le QR code',
+      hideQr: '🔼 Masquer le QR code',
+      deletion: 'Les fichiers seront supprimés {lifetime}. Le lien est enregistré dans {history}.',
+      historyLink: 'votre historique',
+    },
+    failed: '❌ Échec de l’envoi : {title}',
+  },
+
+  shareOptions: {
+    title: '⚙️ Options de partage',
+    expiresAfter: 'Expire après {lifetime}',
+    burnSummary: 'suppression après lecture',
+    downloadsSummary: { one: '{count} téléchargement', other: '{count} téléchargements' },
+    deleteAfter: 'Supprimer les fichiers après',
+    maxDownloads: 'Téléchargements maximum',
+    unlimited: 'Illimité',
+    burnAfterReading: '🔥 Supprimer après lecture (après le premier téléchargement)',
+    message: 'Message pour le destinataire (facultatif)',
+  },
+
+  image: {
+    options: '🖼️ Options d’image',
+    processing: 'Traitement…',
+    stripMetadata: 'Supprimer les métadonnées (lieu, appareil, date)',
+    format: 'Format',
+    keepFormat: 'Garder le format',
+    maxSize: 'Taille max.',
+    original: 'Originale',
+    quality: 'Qualité : {percent} %',
+    metadataNote: 'Redimensionner ou convertir supprime toujours les métadonnées.',
+    failed: 'Impossible de traiter cette image.',
+  },
+
+  snippet: {
+    filename: 'Nom du fichier de l’extrait',
+    placeholder: 'Collez ou tapez du texte, du code ou du Markdown',
+    discard: 'Abandonner',
+    add: '📝 Ajouter comme fichier',
+  },
+
+  qr: {
+    size: 'Taille',
+    errorCorrection: 'Correction d’erreurs',
+    colour: 'Couleur',
+    background: 'Fond',
+    tooLong: 'Ce lien est trop long pour un QR code.',
+  },
+
+  preview: {
+    unavailable: 'Aperçu indisponible : {error}',
+    imageAlt: 'Aperçu du fichier',
+    pdfTitle: 'Aperçu PDF',
+    loading: 'Chargement de l’aperçu…',
+  },
+
+  server: {
+    unknown: 'État du serveur inconnu',
+    checking: 'Vérification du serveur…',
+    waking: 'Réveil du serveur',
+    online: 'Serveur en ligne',
+    offline: 'Vous êtes hors ligne',
+    unreachable: 'Serveur injoignable',
+    checkAgain: 'Vérifier à nouveau',
+  },
+
+  download: {
+    loading: {
+      wakingTitle: 'Réveil du serveur',
+      wakingMessage: 'Le serveur se met en veille quand il n’est pas utilisé et peut mettre jusqu’à une minute à démarrer. Attente depuis {elapsed}...',
+      title: 'Chargement des détails',
+      message: 'Veuillez patienter pendant que nous recherchons vos fichiers...',
+    },
+    invalidLink: {
+      title: 'Lien invalide',
+      message: 'Ce lien ne contient pas d’identifiant de partage.',
+      action: 'Vérifiez que vous avez copié le lien en entier.',
+    },
+    sharedWithYou: { one: 'Quelqu’un a partagé un fichier avec vous', other: 'Quelqu’un a partagé {count} fichiers avec vous' },
+    expiresIn: 'Expire dans {duration}',
+    expired: 'Expiré',
+    downloadsLeft: { one: '{count} téléchargement restant', other: '{count} téléchargements restants' },
+    burnNotice: '🔥 Ces fichiers seront supprimés dès qu’ils auront été téléchargés une fois.',
+    encrypted: '🔒 Chiffré de bout en bout. Les fichiers sont déchiffrés dans votre navigateur.',
+    passwordPlaceholder: 'Saisissez le mot de passe',
+    checking: 'Vérification...',
+    unlock: '🔓 Déverrouiller',
+    passwordCheckFailed: 'Impossible de vérifier le mot de passe : {message}',
+    cancelled: 'Téléchargement annulé. Rien n’a été enregistré.',
+    unknownSize: 'Taille inconnue',
+    preview: '👁️ Aperçu',
+    hidePreview: 'Masquer',
+    download: '📥 Télécharger',
+    downloadAll: '🗜️ Tout télécharger (ZIP)',
+    downloading: 'Téléchargement',
+    progressLabel: 'Progression du téléchargement',
+    progressAnnouncement: 'Téléchargement terminé à {percent} %',
+    receivedAnnouncement: '{received} téléchargés',
+    allAsZip: { one: '{count} fichier en ZIP', other: 'Les {count} fichiers en ZIP' },
+    progressOf: '{received} sur {total}',
+    perSecond: '{size}/s',
+    timeLeft: 'encore {duration}',
+    cancel: '✖ Annuler',
+    tryAgain: '🔄 Réessayer',
+    expiredTitle: 'Ce partage a expiré',
+    expiredMessage: 'Les fichiers de ce lien ont été supprimés à l’expiration du partage.',
+    limitTitle: 'Limite de téléchargements atteinte',
+    limitMessage: 'Ces fichiers ont été téléchargés autant de fois que l’expéditeur l’a permis et ne sont plus disponibles.',
+    askSender: 'Demandez à l’expéditeur de les partager à nouveau.',
+    completeTitle: 'Téléchargement terminé !',
+    completeMessage: 'Votre fichier a bien été téléchargé.',
+    fileDetails: 'Détails du fichier :',
+    verified: '✅ Vérifié : la somme de contrôle SHA-256 correspond à ce que l’expéditeur a envoyé.',
+    mismatch: '❌ Somme de contrôle différente : les données reçues ne correspondent pas à ce que l’expéditeur a envoyé. Téléchargez à nouveau, ou demandez à l’expéditeur de partager à nouveau.',
+    noChecksum: 'Aucune somme de contrôle pour vérifier ce téléchargement.',
+    downloadAgain: '📥 Télécharger à nouveau',
+    backToFiles: '🗂️ Retour à tous les fichiers',
+    lastDownload: 'C’était le dernier téléchargement : le lien ne fonctionne plus pour personne.',
+    autoDelete: 'Les fichiers seront supprimés automatiquement dans {duration}',
+  },
+
+  history: {
+    title: '🕘 Vos partages',
+    subtitle: 'Les liens créés dans ce navigateur',
+    search: 'Rechercher par nom de fichier ou lien',
+    export: '⬇️ Exporter',
+    import: '⬆️ Importer',
+    unavailable: 'L’historique n’est pas disponible dans ce navigateur (IndexedDB est bloqué).',
+    loading: 'Chargement de vos partages…',
+    imported: { one: '{count} partage importé.', other: '{count} partages importés.' },
+    invalidJson: 'Ce fichier n’est pas du JSON valide.',
+    invalidExport: 'Ce fichier n’est pas un export d’historique File Share.',
+    empty: 'Aucun partage pour l’instant. Envoyez des fichiers et ils apparaîtront ici.',
+    noMatch: 'Aucun partage ne correspond à « {query} ».',
+    noExpiry: 'Expiration inconnue',
+    expired: 'Expiré',
+    expires: 'Expire dans {duration}',
+    singleDownload: 'téléchargement unique',
+    maxDownloads: { one: '{count} téléchargement max.', other: '{count} téléchargements max.' },
+    qr: '📱 QR',
+    delete: 'Supprimer de l’historique',
+  },
+
+  notFound: {
+    title: 'Page introuvable',
+    message: 'Il n’y a rien à l’adresse {path}.',
+  },
+
+  widget: {
+    dropTitle: 'Cliquez pour choisir des fichiers ou glissez-déposez-les',
+    remove: 'Retirer {name}',
+    progressLabel: 'Progression de l’envoi',
+    linkLabel: 'Lien de téléchargement',
+    clear: 'Vider',
+    waking: 'Réveil du serveur...',
+    uploading: 'Envoi : {percent} %',
+    upload: 'Envoyer',
+    retry: 'Réessayer',
+  },
+
+  errors: {
+    offline: {
+      title: 'Vous êtes hors ligne',
+      message: 'Votre appareil a perdu sa connexion Internet.',
+      action: 'Reconnectez-vous et tout reprendra automatiquement.',
+    },
+    timeout: {
+      title: 'Le serveur a mis trop de temps',
+      message: 'La requête a expiré avant que le serveur ne réponde.',
+      action: 'Réessayez dans un instant.',
+    },
+    network: {
+      title: 'Connexion interrompue',
+      message: 'La connexion au serveur a été coupée.',
+      action: 'Vérifiez votre connexion et réessayez.',
+    },
+    cors: {
+      title: 'Serveur injoignable',
+      message: 'Le serveur n’a pas répondu, ou il n’accepte pas les requêtes de ce site (CORS).',
+      action: 'Réessayez plus tard. Si cela se reproduit, vérifiez l’URL du backend et ses origines autorisées.',
+    },
+    tooLarge: {
+      title: 'Trop volumineux',
+      message: 'Le serveur a refusé l’envoi car il dépasse la taille acceptée.',
+      action: 'Retirez les plus gros fichiers ou envoyez-les dans des partages séparés.',
+    },
+    notFound: {
+      title: 'Introuvable',
+      message: 'Ce lien n’existe pas, ou ses fichiers ont déjà été supprimés.',
+      action: 'Vérifiez le lien, ou demandez-en un nouveau à l’expéditeur.',
+    },
+    gone: {
+      title: 'Plus disponible',
+      message: 'Ces fichiers ont expiré ou atteint leur limite de téléchargements.',
+      action: 'Demandez à l’expéditeur de les partager à nouveau.',
+    },
+    rateLimited: {
+      title: 'Trop de requêtes',
+      message: 'Le serveur limite la fréquence des requêtes.',
+      action: 'Patientez un peu ; une nouvelle tentative est faite automatiquement.',
+    },
+    server: {
+      title: 'Erreur du serveur',
+      message: 'Un problème est survenu sur le serveur.',
+      action: 'Réessayez dans quelques minutes.',
+    },
+    signaling: {
+      title: 'Relais injoignable',
+      message: 'Les transferts directs ont besoin du serveur de signalisation pour trouver l’autre navigateur.',
+      action: 'Vérifiez votre connexion, ou envoyez plutôt les fichiers sur le serveur.',
+    },
+    roomFull: {
+      title: 'Ce lien est déjà utilisé',
+      message: 'Quelqu’un d’autre reçoit déjà ces fichiers.',
+      action: 'Demandez un nouveau lien à l’expéditeur.',
+    },
+    peerConnection: {
+      title: 'Pas de connexion directe',
+      message: 'Les deux navigateurs n’ont pas pu se joindre, souvent à cause d’un pare-feu ou d’un réseau restrictif.',
+      action: 'Essayez un autre réseau, ou envoyez plutôt les fichiers sur le serveur.',
+    },
+    peerLeft: {
+      title: 'L’autre côté est parti',
+      message: 'La connexion s’est fermée avant la fin du transfert.',
+      action: 'Lancez un nouveau transfert.',
+    },
+    peerProtocol: {
+      title: 'Le transfert a échoué',
+      message: 'L’autre navigateur a envoyé quelque chose d’inattendu.',
+      action: 'Lancez un nouveau transfert.',
+    },
+    unknown: {
+      title: 'Un problème est survenu',
+      message: 'La requête a échoué.',
+      action: 'Réessayez.',
+    },
+  },
+
+  validation: {
+    rules: { one: '{count} fichier maximum, {size} par fichier', other: '{count} fichiers maximum, {size} par fichier' },
+    empty: 'Le fichier est vide',
+    tooLarge: 'Plus de {size} par fichier',
+    extensionBlocked: 'Les fichiers .{extension} ne sont pas autorisés',
+    noExtension: 'Les fichiers sans extension ne sont pas autorisés',
+    typeBlocked: 'Les fichiers {type} ne sont pas autorisés',
+    typeNotAllowed: 'Le type de fichier {type} n’est pas autorisé',
+    unknownType: 'Les types de fichier inconnus ne sont pas autorisés',
+    tooMany: { one: 'Au-delà de la limite de {count} fichier', other: 'Au-delà de la limite de {count} fichiers' },
+    totalTooLarge: 'Dépasse la taille totale de {size}',
+  },
+
+  crypto: {
+    damagedKey: 'La clé de déchiffrement de ce lien est endommagée.',
+    notEncrypted: 'Ce fichier n’est pas chiffré avec le chiffrement de File Share.',
+    needsPassword: 'Ce fichier est protégé par un mot de passe.',
+    missingKey: 'Il manque la clé de déchiffrement dans ce lien.',
+    wrongPassword: 'Mot de passe incorrect. Vérifiez-le et réessayez.',
+    wrongKey: 'Le fichier n’a pas pu être déchiffré : la clé est incorrecte ou les données ont été modifiées.',
+    incomplete: 'Le fichier chiffré est incomplet.',
+    unsupported: 'Ce fichier a été chiffré avec des paramètres que File Share n’accepte pas.',
+  },
+  peer: {
+    sendDirectly: '📡 Envoyer directement',
+    sendDirectlyHint: 'Trop gros pour l’envoi ? Envoyez directement : sans limite de taille, mais vous devez être en ligne tous les deux.',
+    title: '📡 Transfert direct',
+    intro: 'Ouvrez ce lien sur l’autre appareil. Les fichiers passent directement de ce navigateur à l’autre et ne sont jamais stockés sur le serveur.',
+    keepOpen: 'Gardez cette page ouverte jusqu’à la fin du transfert.',
+    optionsIgnored: 'L’expiration, les limites de téléchargement, les mots de passe et les options d’image ne s’appliquent pas aux transferts directs.',
+    linkLabel: 'Lien du transfert direct',
+    status: {
+      waiting: 'En attente de l’ouverture du lien par le destinataire...',
+      connecting: 'Connexion...',
+      connected: 'Connecté. En attente de l’accord du destinataire...',
+      transferring: 'Envoi...',
+      done: 'Tous les fichiers ont été livrés.',
+    },
+    verified: '✅ Vérifié',
+    mismatch: '❌ Somme de contrôle différente, non enregistré',
+    progressLabel: 'Progression du transfert',
+    progressAnnouncement: 'Transfert terminé à {percent} %',
+    cancel: '✖ Annuler',
+    back: '← Retour à l’envoi',
+    receive: {
+      waitingTitle: 'En attente de l’expéditeur',
+      waitingMessage: 'Un transfert direct nécessite que la page de l’expéditeur soit ouverte. Il démarre dès qu’il est là.',
+      connectingTitle: 'Connexion',
+      connectingMessage: 'Établissement d’une connexion directe avec l’expéditeur...',
+      offerTitle: { one: 'Quelqu’un veut vous envoyer un fichier', other: 'Quelqu’un veut vous envoyer {count} fichiers' },
+      offerMessage: 'Les fichiers viennent directement du navigateur de l’expéditeur et ne sont jamais stockés sur un serveur.',
+      accept: '📥 Accepter et enregistrer',
+      receivingTitle: 'Réception',
+      doneTitle: 'Transfert terminé !',
+      doneMessage: 'Chaque fichier a été comparé à la somme de contrôle SHA-256 de l’expéditeur.',
+      mismatchMessage: 'Certains fichiers ne correspondaient pas à la somme de contrôle de l’expéditeur et n’ont pas été enregistrés. Demandez-lui de réessayer.',
+    },
+  },
+
+  theme: {
+    label: 'Thème de couleur',
+    light: '☀️ Clair',
+    dark: '🌙 Sombre',
+    system: '💻 Système',
+  },
+};
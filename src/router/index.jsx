@@ -0,0 +1,106 @@
+import React, { createContext, useContext, useEffect, useState } from 'react';
+import { matchPath, parseQuery } from './matchPath';
+
+const RouterContext = createContext(null);
+
+const readLocation = () => ({
+  pathname: window.location.pathname,
+  search: window.location.search,
+});
+
+// Picks the first matching child; nested <Route>s are matched against what their parent left over
+const renderRoutes = (children, pathname, inheritedParams) => {
+  const routes = React.Children.toArray(children).filter(React.isValidElement);
+
+  for (const route of routes) {
+    const { path = route.props.from || '*', exact = false, children: nested } = route.props;
+    const hasNested = route.type === Route && React.Children.count(nested) > 0;
+    const match = matchPath(path, pathname, { exact: exact && !hasNested });
+    if (!match) continue;
+
+    const params = { ...inheritedParams, ...match.params };
+    if (route.type !== Route) {
+      return route;
+    }
+    const outlet = hasNested ? renderRoutes(nested, match.rest, params) : null;
+    return React.cloneElement(route, { params, outlet });
+  }
+
+  return null;
+};
+
+// Router Component: renders the first child <Route> (or <Redirect from>) that matches the URL.
+// Put <Route path="*"> last as the 404 page.
+export const Router = ({ children }) => {
+  const [location, setLocation] = useState(readLocation);
+
+  useEffect(() => {
+    const handlePopState = () => {
+      setLocation(readLocation());
+    };
+
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  const navigate = (to, { replace = false } = {}) => {
+    if (replace) {
+      window.history.replaceState({}, '', to);
+    } else {
+      window.history.pushState({}, '', to);
+    }
+    setLocation(readLocation());
+  };
+
+  const query = parseQuery(location.search);
+
+  return (
+    <RouterContext.Provider value={{ location, query, navigate }}>
+      {renderRoutes(children, location.pathname, {})}
+    </RouterContext.Provider>
+  );
+};
+
+// Renders its component with { navigate, params, query, outlet }; `outlet` is the matched
+// nested route, if any. Without nested routes, `exact` requires the whole path to match.
+export const Route = (props) => {
+  const { component: Component, params = {}, outlet = null } = props;
+  const { navigate, query } = useContext(RouterContext);
+  return <Component navigate={navigate} params={params} query={query} outlet={outlet} />;
+};
+
+// Client-side navigation for same-origin links; modified clicks keep their browser behaviour
+export const Link = ({ to, replace = false, onClick, target, children, ...rest }) => {
+  const { navigate } = useContext(RouterContext);
+
+  const handleClick = (e) => {
+    onClick?.(e);
+    if (
+      e.defaultPrevented ||
+      e.button !== 0 ||
+      e.metaKey || e.ctrlKey || e.shiftKey || e.altKey ||
+      (target && target !== '_self')
+    ) {
+      return;
+    }
+    e.preventDefault();
+    navigate(to, { replace });
+  };
+
+  return (
+    <a href={to} target={target} onClick={handleClick} {...rest}>
+      {children}
+    </a>
+  );
+};
+
+// Replaces the current history entry with `to`. Inside <Router> it can take `from` to act as a route.
+export const Redirect = ({ to }) => {
+  const { navigate } = useContext(RouterContext);
+
+  useEffect(() => {
+    navigate(to, { replace: true });
+  });
+
+  return null;
+};
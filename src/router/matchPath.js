@@ -0,0 +1,48 @@
+// Malformed escapes such as '%E0%A4%A' can't be decoded; paths containing them match nothing
+const decodeSegment = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return null;
+  }
+};
+
+// Matches a route pattern such as '/download/:shareId' against a pathname.
+// Supports ':name' params, a trailing '*' splat (exposed as params['*']) and '*' on its own
+// as a catch-all. Returns { params, rest } where rest is the unmatched tail (for nested
+// routes), or null when the pattern doesn't match.
+export const matchPath = (pattern, pathname, { exact = false } = {}) => {
+  if (pattern === '*') {
+    return { params: {}, rest: '/' };
+  }
+
+  const patternSegments = pattern.split('/').filter(Boolean);
+  const pathSegments = pathname.split('/').filter(Boolean);
+  const params = {};
+
+  for (let i = 0; i < patternSegments.length; i++) {
+    const segment = patternSegments[i];
+    if (segment === '*') {
+      const splat = pathSegments.slice(i).map(decodeSegment);
+      if (splat.includes(null)) return null;
+      params['*'] = splat.join('/');
+      return { params, rest: '/' };
+    }
+
+    const value = pathSegments[i];
+    if (value === undefined) return null;
+    if (segment.startsWith(':')) {
+      const decoded = decodeSegment(value);
+      if (decoded === null) return null;
+      params[segment.slice(1)] = decoded;
+    } else if (segment !== value) {
+      return null;
+    }
+  }
+
+  const rest = pathSegments.slice(patternSegments.length);
+  if (exact && rest.length > 0) return null;
+  return { params, rest: `/${rest.join('/')}` };
+};
+
+export const parseQuery = (search) => Object.fromEntries(new URLSearchParams(search));
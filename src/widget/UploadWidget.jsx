@@ -0,0 +1,304 @@
+import React, { useEffect, useId, useRef, useState } from 'react';
+import { completeUpload, configureApi, toShareUrl } from '../api/client';
+import { describeError } from '../api/errors';
+import { ensureServerAwake } from '../api/health';
+import { useUploadQueue } from '../hooks/useUploadQueue';
+import { validateFiles, describeRules, getAcceptAttribute } from '../lib/validation';
+import { buildDigestFragment } from '../lib/hash';
+import { fromFileList, fromDataTransfer } from '../lib/folders';
+import { formatFileSize } from '../lib/format';
+import { buildLocaleFragment } from '../lib/i18n';
+import { useI18n } from '../hooks/useI18n';
+import { useThrottledAnnouncement } from '../hooks/useThrottledAnnouncement';
+import { copyText } from '../lib/clipboard';
+import { SHARE_DEFAULTS, UPLOAD_RULES } from '../config';
+
+const THEMES = {
+  light: {
+    panel: 'bg-white text-gray-800 border-gray-300',
+    muted: 'text-gray-500',
+    row: 'bg-gray-50',
+  },
+  dark: {
+    panel: 'bg-gray-900 text-gray-100 border-gray-600',
+    muted: 'text-gray-400',
+    row: 'bg-gray-800',
+  },
+};
+
+const DEFAULT_ACCENT = '#8b5cf6';
+
+// The upload → link flow without the full page around it, for other apps to embed.
+// Props:
+//   endpoint     backend base URL (see api/client configureApi); shareUrl: where links point
+//   uploadMode   'form' (default) or 'chunked', for backends with the resumable protocol
+//   limits       overrides for UPLOAD_RULES, e.g. { maxFiles: 3, maxFileSize: 10 * 1024 * 1024 }
+//   expiresIn    share lifetime in seconds
+//   theme        'light' or 'dark'; accent: any CSS colour
+//   autoUpload   start as soon as valid files are picked
+//   onFilesSelected({ files }), onProgress({ loaded, total, percent }),
+//   onUploaded({ url, files }), onError({ error })   error is describeError() output
+const UploadWidget = ({
+  endpoint,
+  shareUrl,
+  uploadMode,
+  limits,
+  expiresIn = SHARE_DEFAULTS.expiresIn,
+  theme = 'light',
+  accent = DEFAULT_ACCENT,
+  autoUpload = false,
+  onFilesSelected,
+  onProgress,
+  onUploaded,
+  onError,
+}) => {
+  const [result, setResult] = useState(null); // { url } or { error }
+  const [isWaitingForServer, setIsWaitingForServer] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const [isDragging, setIsDragging] = useState(false);
+  const [startPending, setStartPending] = useState(false);
+  const fileInputRef = useRef(null);
+  const resultRef = useRef(null);
+  const rulesId = useId();
+  const { locale, t } = useI18n();
+  const colors = THEMES[theme] || THEMES.light;
+  const rules = { ...UPLOAD_RULES, ...limits };
+
+  // Latest callbacks, so the queue's completion handler never calls a stale one
+  const callbacksRef = useRef({});
+  useEffect(() => {
+    callbacksRef.current = { onFilesSelected, onProgress, onUploaded, onError };
+  }, [onFilesSelected, onProgress, onUploaded, onError]);
+
+  useEffect(() => {
+    configureApi({ baseUrl: endpoint, shareUrl, uploadMode });
+  }, [endpoint, shareUrl, uploadMode]);
+
+  const reportError = (described) => {
+    setResult({ error: described });
+    callbacksRef.current.onError?.({ error: described });
+  };
+
+  const fail = (error) => reportError(describeError(error));
+
+  // uploaded: the form upload's response, which already created the share (see useUploadQueue)
+  const finishUpload = async (entries, uploaded) => {
+    try {
+      const response = uploaded || await completeUpload(entries.map(entry => entry.uploadId), {
+        expiresIn,
+        checksums: Object.fromEntries(entries.map(entry => [entry.uploadId, entry.hash])),
+      });
+      const backendDownloadLink = response.downloadLink || response.url || response.link;
+      const digests = buildDigestFragment(entries.map(entry => ({ path: entry.relativePath, sha256: entry.hash })));
+      const fragment = [digests, buildLocaleFragment(locale)].filter(Boolean).join('&');
+      const url = `${toShareUrl(backendDownloadLink)}#${fragment}`;
+      const files = entries.map(entry => ({ name: entry.relativePath, size: entry.file.size }));
+      setResult({ url });
+      reset();
+      callbacksRef.current.onUploaded?.({ url, files });
+    } catch (error) {
+      fail(error);
+    }
+  };
+
+  const { entries, isRunning, addFiles, start, cancel, clear, reset } = useUploadQueue({ onComplete: finishUpload, onError: reportError });
+
+  const fileErrors = validateFiles(entries.map(entry => entry.file), rules);
+  const hasInvalidFiles = fileErrors.some(errors => errors.length > 0);
+  const isBusy = isRunning || isWaitingForServer;
+  // Starting again sends the failed files once more (see useUploadQueue start)
+  const hasFailed = entries.some(entry => entry.status === 'failed');
+
+  const upload = async () => {
+    if (entries.length === 0 || hasInvalidFiles || isBusy) return;
+    setResult(null);
+    setIsWaitingForServer(true);
+    try {
+      await ensureServerAwake();
+    } catch (error) {
+      fail(error);
+      return;
+    } finally {
+      setIsWaitingForServer(false);
+    }
+    start({ share: { expiresIn } });
+  };
+
+  const handleFiles = async (items) => {
+    if (items.length === 0 || isBusy) return;
+    setResult(null);
+    await addFiles(items);
+    callbacksRef.current.onFilesSelected?.({ files: items.map(item => item.file) });
+    if (autoUpload) setStartPending(true);
+  };
+
+  // Auto-upload waits for the queue to hold the new files before validating them
+  const uploadRef = useRef(upload);
+  useEffect(() => {
+    uploadRef.current = upload;
+  });
+  useEffect(() => {
+    if (!startPending) return;
+    setStartPending(false);
+    uploadRef.current();
+  }, [startPending]);
+
+  // Overall progress, weighted by file size
+  const total = entries.reduce((sum, entry) => sum + entry.file.size, 0);
+  const loaded = entries.reduce((sum, entry) => sum + (entry.progress / 100) * entry.file.size, 0);
+  const percent = total ? Math.round((loaded / total) * 100) : 0;
+  useEffect(() => {
+    if (!isRunning) return;
+    callbacksRef.current.onProgress?.({ loaded: Math.round(loaded), total, percent });
+  }, [isRunning, loaded, total, percent]);
+
+  const announcement = useThrottledAnnouncement(isRunning ? t('upload.overallProgress', { percent }) : '');
+
+  // Move focus to the link (or the error) once there is one
+  useEffect(() => {
+    if (result) resultRef.current?.focus();
+  }, [result]);
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    fromDataTransfer(e.dataTransfer).then(handleFiles).catch(fail);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key !== 'Enter' && e.key !== ' ') return;
+    e.preventDefault();
+    fileInputRef.current?.click();
+  };
+
+  const copyLink = async () => {
+    await copyText(result.url);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  return (
+    // The widget's styles only apply inside .fs-widget (see tailwind.widget.config.js)
+    <div className="fs-widget">
+      <div className={`rounded-2xl border p-5 text-sm ${colors.panel}`} style={{ '--fs-accent': accent }}>
+        <div
+          role="button"
+          tabIndex={0}
+          aria-describedby={rulesId}
+          className={`border-2 border-dashed rounded-xl p-6 text-center cursor-pointer transition-colors focus:outline-none focus-visible:ring-2 focus-visible:ring-[var(--fs-accent)] ${
+            isDragging ? 'border-[var(--fs-accent)]' : 'border-gray-400'
+          }`}
+          onClick={() => fileInputRef.current?.click()}
+          onKeyDown={handleKeyDown}
+          onDragOver={(e) => {
+            e.preventDefault();
+            setIsDragging(true);
+          }}
+          onDragLeave={() => setIsDragging(false)}
+          onDrop={handleDrop}
+        >
+          <div className="text-3xl mb-2" aria-hidden="true">☁️</div>
+          <div>{t('widget.dropTitle')}</div>
+          <div id={rulesId} className={`text-xs mt-1 ${colors.muted}`}>{describeRules(rules)}</div>
+        </div>
+        <input
+          ref={fileInputRef}
+          type="file"
+          multiple
+          accept={getAcceptAttribute(rules)}
+          onChange={(e) => {
+            handleFiles(fromFileList(e.target.files));
+            e.target.value = '';
+          }}
+          className="hidden"
+        />
+
+        {entries.length > 0 && (
+          <div className="mt-4 space-y-2">
+            {entries.map((entry, index) => (
+              <div key={entry.id} className={`rounded-lg p-3 ${colors.row}`}>
+                <div className="flex justify-between items-center gap-3">
+                  <div className="min-w-0">
+                    <div className="truncate">{entry.relativePath}</div>
+                    <div className={`text-xs ${colors.muted}`}>
+                      {formatFileSize(entry.file.size, locale)}
+                      {entry.status !== 'queued' && ` · ${Math.round(entry.progress)}%`}
+                    </div>
+                  </div>
+                  {!isBusy && (
+                    <button
+                      onClick={() => cancel(entry.id)}
+                      title={t('widget.remove', { name: entry.relativePath })}
+                      aria-label={t('widget.remove', { name: entry.relativePath })}
+                      className={`shrink-0 ${colors.muted}`}
+                    >
+                      ×
+                    </button>
+                  )}
+                </div>
+                {fileErrors[index].map(error => (
+                  <div key={error} className="text-xs text-red-500 mt-1">{error}</div>
+                ))}
+                {entry.error && <div className="text-xs text-red-500 mt-1">{entry.error.message}</div>}
+              </div>
+            ))}
+
+            {isRunning && (
+              <div
+                role="progressbar"
+                aria-label={t('widget.progressLabel')}
+                aria-valuemin={0}
+                aria-valuemax={100}
+                aria-valuenow={percent}
+                className="h-2 rounded-full bg-gray-300 overflow-hidden"
+              >
+                <div className="h-full bg-[var(--fs-accent)] transition-all motion-reduce:transition-none" style={{ width: `${percent}%` }}></div>
+              </div>
+            )}
+
+            <div className="flex gap-2 justify-end">
+              <button onClick={clear} disabled={isBusy} className={`px-4 py-2 rounded-full disabled:opacity-50 ${colors.muted}`}>
+                {t('widget.clear')}
+              </button>
+              <button
+                onClick={upload}
+                disabled={isBusy || hasInvalidFiles}
+                className="px-4 py-2 rounded-full text-white bg-[var(--fs-accent)] disabled:opacity-50"
+              >
+                {isWaitingForServer
+                  ? t('widget.waking')
+                  : isRunning ? t('widget.uploading', { percent }) : hasFailed ? t('widget.retry') : t('widget.upload')}
+              </button>
+            </div>
+          </div>
+        )}
+
+        <div role="status" className="sr-only">{announcement}</div>
+
+        {result?.url && (
+          <div ref={resultRef} tabIndex={-1} className="mt-4 flex gap-2 focus:outline-none">
+            <input
+              type="text"
+              readOnly
+              value={result.url}
+              onFocus={(e) => e.target.select()}
+              aria-label={t('widget.linkLabel')}
+              className="flex-1 min-w-0 rounded-full border border-gray-400 bg-transparent px-3 py-2"
+            />
+            <button onClick={copyLink} className="px-4 py-2 rounded-full text-white bg-[var(--fs-accent)]">
+              {copied ? t('common.copied') : t('common.copy')}
+            </button>
+          </div>
+        )}
+
+        {result?.error && (
+          <div ref={resultRef} tabIndex={-1} role="alert" className="mt-4 text-red-500 focus:outline-none">
+            <strong>{result.error.title}.</strong> {result.error.message} {result.error.action}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default UploadWidget;
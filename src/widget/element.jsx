@@ -0,0 +1,83 @@
+import React from 'react';
+import { createRoot } from 'react-dom/client';
+import UploadWidget from './UploadWidget';
+
+export const ELEMENT_NAME = 'file-share-upload';
+
+// Attribute -> UPLOAD_RULES key for the limits, all numbers (sizes in bytes)
+const LIMIT_ATTRIBUTES = {
+  'max-files': 'maxFiles',
+  'max-file-size': 'maxFileSize',
+  'max-total-size': 'maxTotalSize',
+};
+
+const EVENTS = ['filesselected', 'progress', 'uploaded', 'error'];
+
+const readLimits = (element) => {
+  const limits = {};
+  Object.entries(LIMIT_ATTRIBUTES).forEach(([attribute, key]) => {
+    const value = Number(element.getAttribute(attribute));
+    if (element.hasAttribute(attribute) && Number.isFinite(value)) limits[key] = value;
+  });
+  // accept="pdf,png" limits the extensions
+  const accept = element.getAttribute('accept');
+  if (accept) {
+    limits.allowedExtensions = accept.split(',').map(extension => extension.trim().replace(/^\./, '').toLowerCase());
+  }
+  return limits;
+};
+
+// <file-share-upload endpoint="https://files.example.com" share-url="https://share.example.com"
+//   max-files="5" max-file-size="10485760" accept="pdf,png" expires-in="3600"
+//   theme="dark" accent="#0ea5e9" auto-upload>
+// Fires filesselected, progress, uploaded and error as CustomEvents; event.detail matches the
+// React component's callback arguments (see UploadWidget).
+export class FileShareUploadElement extends HTMLElement {
+  static get observedAttributes() {
+    return ['endpoint', 'share-url', 'upload-mode', 'expires-in', 'theme', 'accent', 'auto-upload', 'accept', ...Object.keys(LIMIT_ATTRIBUTES)];
+  }
+
+  connectedCallback() {
+    if (!this.root) this.root = createRoot(this);
+    this.renderWidget();
+  }
+
+  disconnectedCallback() {
+    this.root?.unmount();
+    this.root = null;
+  }
+
+  attributeChangedCallback() {
+    if (this.root) this.renderWidget();
+  }
+
+  emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail, bubbles: true, composed: true }));
+  }
+
+  renderWidget() {
+    const [filesSelected, progress, uploaded, error] = EVENTS.map(type => detail => this.emit(type, detail));
+    const expiresIn = Number(this.getAttribute('expires-in'));
+    this.root.render(
+      <UploadWidget
+        endpoint={this.getAttribute('endpoint') || undefined}
+        shareUrl={this.getAttribute('share-url') || undefined}
+        uploadMode={this.getAttribute('upload-mode') || undefined}
+        limits={readLimits(this)}
+        expiresIn={expiresIn > 0 ? expiresIn : undefined}
+        theme={this.getAttribute('theme') || undefined}
+        accent={this.getAttribute('accent') || undefined}
+        autoUpload={this.hasAttribute('auto-upload')}
+        onFilesSelected={filesSelected}
+        onProgress={progress}
+        onUploaded={uploaded}
+        onError={error}
+      />
+    );
+  }
+}
+
+// Safe to call more than once, e.g. when two bundles on the page both include the widget
+export const defineUploadElement = (name = ELEMENT_NAME) => {
+  if (!customElements.get(name)) customElements.define(name, FileShareUploadElement);
+};
@@ -0,0 +1,6 @@
+// Library entry for the embeddable widget (vite.widget.config.js). React apps render
+// UploadWidget; anything else calls defineUploadElement() and uses <file-share-upload>.
+import './widget.css';
+
+export { default as UploadWidget } from './UploadWidget';
+export { FileShareUploadElement, defineUploadElement, ELEMENT_NAME } from './element';
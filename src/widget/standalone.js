@@ -0,0 +1,4 @@
+// Script-tag build: React comes bundled and <file-share-upload> is ready once this loads
+import { defineUploadElement } from './index';
+
+defineUploadElement();
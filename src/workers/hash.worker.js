@@ -0,0 +1,23 @@
+import { createSha256, hashBlob } from '../lib/sha256';
+
+// SHA-256 off the main thread (see lib/hash). Whole files are read here in slices;
+// streams send their bytes in 'update' messages and ask for the 'digest' at the end.
+const sessions = new Map();
+
+self.onmessage = async ({ data: { id, type, file, bytes } }) => {
+  try {
+    if (type === 'file') {
+      self.postMessage({ id, digest: await hashBlob(file) });
+    } else if (type === 'update') {
+      if (!sessions.has(id)) sessions.set(id, createSha256());
+      sessions.get(id).update(bytes);
+    } else if (type === 'digest') {
+      const hasher = sessions.get(id) || createSha256();
+      sessions.delete(id);
+      self.postMessage({ id, digest: hasher.digest() });
+    }
+  } catch (error) {
+    sessions.delete(id);
+    self.postMessage({ id, error: error.message || 'Hashing failed' });
+  }
+};
@@ -0,0 +1,116 @@
+// Resizes, re-encodes and strips metadata from images off the main thread (see lib/imageProcessing).
+// Re-encoding through a canvas drops all metadata; "strip only" edits JPEG and PNG files
+// losslessly and falls back to re-encoding for anything else.
+
+// JPEG segments that carry EXIF/XMP (APP1), IPTC (APP13) and comments; JFIF, ICC and Adobe stay
+const JPEG_DROPPED_MARKERS = [0xe1, 0xed, 0xfe];
+const PNG_DROPPED_CHUNKS = ['tEXt', 'zTXt', 'iTXt', 'eXIf', 'tIME'];
+const REENCODE_QUALITY = 0.92;
+
+const isJpeg = (bytes) => bytes[0] === 0xff && bytes[1] === 0xd8;
+const isPng = (bytes) => bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47;
+
+// EXIF orientation (1-8) from the APP1 segment, 1 when there is none
+const getJpegOrientation = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let pos = 2;
+  while (pos + 4 < bytes.length && bytes[pos] === 0xff) {
+    const marker = bytes[pos + 1];
+    const length = view.getUint16(pos + 2);
+    const isExif = marker === 0xe1 && view.getUint32(pos + 4) === 0x45786966; // 'Exif'
+    if (isExif) {
+      const tiff = pos + 10;
+      const little = view.getUint16(tiff) === 0x4949;
+      const ifd = tiff + view.getUint32(tiff + 4, little);
+      const count = view.getUint16(ifd, little);
+      for (let i = 0; i < count; i++) {
+        const entry = ifd + 2 + i * 12;
+        if (view.getUint16(entry, little) === 0x0112) {
+          return view.getUint16(entry + 8, little);
+        }
+      }
+      return 1;
+    }
+    if (marker === 0xda) break;
+    pos += 2 + length;
+  }
+  return 1;
+};
+
+const stripJpeg = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const parts = [bytes.subarray(0, 2)];
+  let pos = 2;
+  while (pos + 4 <= bytes.length && bytes[pos] === 0xff) {
+    const marker = bytes[pos + 1];
+    if (marker === 0xda) break; // start of scan: the rest is image data
+    const end = pos + 2 + view.getUint16(pos + 2);
+    if (!JPEG_DROPPED_MARKERS.includes(marker)) {
+      parts.push(bytes.subarray(pos, end));
+    }
+    pos = end;
+  }
+  parts.push(bytes.subarray(pos));
+  return new Blob(parts, { type: 'image/jpeg' });
+};
+
+const stripPng = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const parts = [bytes.subarray(0, 8)];
+  let pos = 8;
+  while (pos + 8 <= bytes.length) {
+    const end = pos + 12 + view.getUint32(pos);
+    const type = String.fromCharCode(...bytes.subarray(pos + 4, pos + 8));
+    if (!PNG_DROPPED_CHUNKS.includes(type)) {
+      parts.push(bytes.subarray(pos, end));
+    }
+    pos = end;
+  }
+  return new Blob(parts, { type: 'image/png' });
+};
+
+const reencode = async (file, { type, quality, maxDimension }) => {
+  // createImageBitmap applies the EXIF orientation, so the pixels come out upright
+  const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+  const scale = maxDimension ? Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height)) : 1;
+  const width = Math.max(1, Math.round(bitmap.width * scale));
+  const height = Math.max(1, Math.round(bitmap.height * scale));
+
+  const canvas = new OffscreenCanvas(width, height);
+  const context = canvas.getContext('2d');
+  if (type === 'image/jpeg') {
+    // JPEG has no transparency; flatten onto white rather than black
+    context.fillStyle = '#fff';
+    context.fillRect(0, 0, width, height);
+  }
+  context.drawImage(bitmap, 0, 0, width, height);
+  bitmap.close();
+  return canvas.convertToBlob({ type, quality });
+};
+
+const processImage = async (file, { format, quality, maxDimension, stripMetadata }) => {
+  if (format !== 'original' || maxDimension) {
+    const type = format === 'original' ? file.type : format;
+    return reencode(file, { type, quality, maxDimension });
+  }
+  if (!stripMetadata) {
+    return file;
+  }
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  // Dropping EXIF would also drop the orientation, so rotated photos are re-encoded upright
+  if (isJpeg(bytes) && getJpegOrientation(bytes) === 1) {
+    return stripJpeg(bytes);
+  }
+  if (isPng(bytes)) {
+    return stripPng(bytes);
+  }
+  return reencode(file, { type: file.type, quality: REENCODE_QUALITY, maxDimension: null });
+};
+
+self.onmessage = async ({ data: { id, file, options } }) => {
+  try {
+    self.postMessage({ id, blob: await processImage(file, options) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message || 'Could not process this image' });
+  }
+};
@@ -1,9 +1,42 @@
 /** @type {import('tailwindcss').Config} */
+
+// Colours the app's design tokens resolve to (see src/index.css). They are CSS variables holding
+// "r g b" channels, so opacity modifiers such as bg-surface/90 keep working.
+const token = (name) => `rgb(var(--fs-${name}) / <alpha-value>)`
+
 export default {
-  content: [],
+  content: ['./index.html', './src/**/*.{js,jsx}'],
+  // The `dark` class on <html> is set by src/lib/theme from the light / dark / system choice
+  darkMode: 'class',
   theme: {
-    extend: {},
+    extend: {
+      colors: {
+        brand: {
+          from: token('brand-from'),
+          via: token('brand-via'),
+          to: token('brand-to'),
+          accent: token('brand-accent'),
+        },
+        surface: {
+          DEFAULT: token('surface'),
+          muted: token('surface-muted'),
+          sunken: token('surface-sunken'),
+          strong: token('surface-strong'),
+        },
+        content: {
+          DEFAULT: token('content'),
+          muted: token('content-muted'),
+          subtle: token('content-subtle'),
+        },
+        line: token('line'),
+        // Failures and other red states
+        danger: token('danger'),
+      },
+      // The dashed drop zone border
+      borderWidth: {
+        3: '3px',
+      },
+    },
   },
   plugins: [],
 }
-
@@ -0,0 +1,13 @@
+/** @type {import('tailwindcss').Config} */
+
+// Styles for the embeddable widget (src/widget), which lives inside other people's pages. Every
+// utility is scoped to the widget's .fs-widget wrapper, only classes the widget uses are emitted,
+// and preflight stays off so the host page's own elements aren't reset.
+export default {
+  content: ['./src/widget/**/*.{js,jsx}'],
+  important: '.fs-widget',
+  corePlugins: {
+    preflight: false,
+  },
+  plugins: [],
+}
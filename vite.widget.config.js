@@ -0,0 +1,48 @@
+import { defineConfig } from 'vite'
+import react from '@vitejs/plugin-react'
+import tailwindcss from 'tailwindcss'
+import autoprefixer from 'autoprefixer'
+import widgetTailwindConfig from './tailwind.widget.config.js'
+
+const WIDGET_SELECTOR = '.fs-widget'
+
+// Tailwind puts its --tw-* defaults on every element of the page ('*, ::before, ::after' and
+// '::backdrop'); this narrows them to the widget's wrapper and what is inside it
+const scopeToWidget = {
+  postcssPlugin: 'scope-to-widget',
+  Rule(rule) {
+    if (rule.parent.type !== 'root' || rule.selector.includes(WIDGET_SELECTOR)) return
+    rule.selectors = rule.selectors.flatMap(selector => [
+      selector === '*' ? WIDGET_SELECTOR : `${WIDGET_SELECTOR}${selector}`,
+      `${WIDGET_SELECTOR} ${selector}`,
+    ])
+  },
+}
+
+// Library build of the embeddable upload widget (src/widget), separate from the app build.
+//   vite build -c vite.widget.config.js                  ES module for bundlers; React is a peer dependency
+//   vite build -c vite.widget.config.js --mode standalone  one script with React inside, defines <file-share-upload>
+export default defineConfig(({ mode }) => {
+  const standalone = mode === 'standalone'
+  return {
+    plugins: [react()],
+    // Library builds don't get Vite's automatic NODE_ENV replacement, and React reads it
+    define: { 'process.env.NODE_ENV': JSON.stringify('production') },
+    publicDir: false,
+    css: {
+      postcss: { plugins: [tailwindcss(widgetTailwindConfig), scopeToWidget, autoprefixer()] },
+    },
+    // Chunks and workers load relative to the script, wherever the embedder hosts it
+    base: './',
+    build: {
+      outDir: 'dist-widget',
+      emptyOutDir: !standalone,
+      lib: standalone
+        ? { entry: 'src/widget/standalone.js', name: 'FileShareWidget', formats: ['iife'], fileName: () => 'file-share-widget.js', cssFileName: 'file-share-widget' }
+        : { entry: 'src/widget/index.js', formats: ['es'], fileName: () => 'file-share-widget.mjs', cssFileName: 'file-share-widget' },
+      rollupOptions: {
+        external: standalone ? [] : ['react', 'react-dom', 'react-dom/client', 'react/jsx-runtime'],
+      },
+    },
+  }
+})